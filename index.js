@@ -8,19 +8,37 @@
 export { default as AppBar } from "./lib/AppBar.jsx";
 export { default as Button } from "./lib/Button.jsx";
 export { default as ButtonGroup } from "./lib/ButtonGroup.jsx";
+export { default as Card } from "./lib/Card.jsx";
 export { default as CheckBox } from "./lib/CheckBox.jsx";
+export { default as Chip } from "./lib/Chip.jsx";
+export { default as ChipSet } from "./lib/ChipSet.jsx";
+export { default as CircularProgress } from "./lib/CircularProgress.jsx";
+export { default as ColorModeIcon } from "./lib/ColorModeIcon.jsx";
+export { default as ColorModeSelector } from "./lib/ColorModeSelector.jsx";
+export { default as Dialog } from "./lib/Dialog.jsx";
 export { default as Fab } from "./lib/Fab.jsx";
+export { default as LinearProgress } from "./lib/LinearProgress.jsx";
+export { default as List } from "./lib/List.jsx";
+export { default as ListItem } from "./lib/ListItem.jsx";
+export { default as Menu } from "./lib/Menu.jsx";
 export { default as NavigationBar } from "./lib/NavigationBar.jsx";
 export { default as NavigationDrawer } from "./lib/NavigationDrawer.jsx";
 export { default as NavigationRail } from "./lib/NavigationRail.jsx";
 export { default as PasswordField } from "./lib/PasswordField.jsx";
 export { default as PWABadge } from "./lib/PWABadge.jsx";
 export { default as RadioGroup } from "./lib/RadioGroup.jsx";
+export { default as Select } from "./lib/Select.jsx";
 export { default as Slider } from "./lib/Slider.jsx";
+export { default as Snackbar } from "./lib/Snackbar.jsx";
+export { default as SnackbarProvider } from "./lib/SnackbarProvider.jsx";
 export { default as Switch } from "./lib/Switch.jsx";
+export { default as TabPanels } from "./lib/TabPanels.jsx";
+export { default as Tabs } from "./lib/Tabs.jsx";
 export { default as TextField } from "./lib/TextField.jsx";
+export { default as ThemeProvider } from "./lib/ThemeProvider.jsx";
 export { default as ToggleDarkModeButton } from "./lib/ToggleDarkModeButton.jsx";
 export { default as ToggleLanguageButton } from "./lib/ToggleLanguageButton.jsx";
+export { default as Tooltip } from "./lib/Tooltip.jsx";
 
 // Export theme utilities
 export {
@@ -28,7 +46,57 @@ export {
   convertToVariables,
   applyColorScheme,
   generateThemeCss,
+  schemeVariants,
+  contrastLevels,
+  colorTokens,
+  paletteTones,
+  seedColorsFromImage,
 } from "./lib/material-theme.js";
+export {
+  exportTheme,
+  registerThemeFormat,
+  themeFormatNames,
+  themeFormatExtension,
+} from "./lib/theme-export.js";
+export {
+  importTheme,
+  parseThemeCss,
+  parseThemeBuilderJson,
+} from "./lib/theme-import.js";
+export {
+  auditScheme,
+  contrastRatio,
+  apcaContrast,
+  contrastPairs,
+  wcagThresholds,
+} from "./lib/contrast-audit.js";
+export {
+  interpolateColor,
+  transitionColorScheme,
+  transitionDarkMode,
+} from "./lib/theme-transition.js";
+export {
+  createPreferencesStore,
+  createCookieAdapter,
+  themePreferences,
+  usePreferences,
+  defaultPreferences,
+  preferencesStorageKey,
+  preferencesVersion,
+} from "./lib/preferences.js";
+export {
+  useColorMode,
+  resolveColorMode,
+  nextColorMode,
+  colorModes,
+} from "./lib/color-mode.js";
+export {
+  themeBootstrapScript,
+  cacheColorScheme,
+  themeCacheKey,
+} from "./lib/theme-bootstrap.js";
+export { useSnackbar } from "./lib/snackbar.js";
+export { serverTheme, schemeStyleSheet } from "./lib/theme-server.js";
 
 // Note: xuan-paper.css should be imported separately by the consuming application
 // Example: import 'xuan-paper/lib/xuan-paper.css';
@@ -5,6 +5,8 @@
  */
 
 import PropTypes from "prop-types";
+import CircularProgress from "./CircularProgress.jsx";
+import Tooltip from "./Tooltip.jsx";
 
 /**
  * A versatile button component implementing Material Design 3 principles with multiple
@@ -27,6 +29,7 @@ import PropTypes from "prop-types";
  * - Flexible width and border radius customization
  * - Accessibility support with proper ARIA attributes
  * - Icon-only or text-only configurations
+ * - Tooltips that name icon-only buttons and describe labelled ones
  * - Factory method (Button.forAppBar) for creating AppBar-optimized buttons
  * @component
  * @param {object} props - The props object
@@ -39,6 +42,8 @@ import PropTypes from "prop-types";
  * @param {string} [props.rounded] - Tailwind CSS class for border radius (defaults to "rounded-full")
  * @param {('xs'|'sm'|'md')} [props.size] - Size variant of the button (defaults to "sm", auto-adjusts to "xs" for embedded style)
  * @param {string} [props.width] - Tailwind CSS class for button width (defaults to "w-fit")
+ * @param {boolean} [props.loading] - Whether to show a circular progress indicator in place of the icon and ignore clicks (defaults to false)
+ * @param {string} [props.tooltip] - Text of a plain tooltip, which is also the accessible name of an icon-only button
  * @returns {JSX.Element} Rendered button component with configured styling and behavior
  * @example
  * // Basic filled button (default style)
@@ -60,6 +65,12 @@ import PropTypes from "prop-types";
  *   disabled={isLoading}
  * />
  * @example
+ * // Button showing progress while saving
+ * <Button label="Save" loading={isSaving} onClick={save} />
+ * @example
+ * // Icon-only button named by its tooltip
+ * <Button icon={<SvgShare />} style="text" tooltip="Share" onClick={share} />
+ * @example
  * // Icon-only button with custom width
  * <Button
  *   icon={<SvgAdd />}
@@ -93,10 +104,12 @@ function Button({
   rounded = "rounded-full",
   size = "sm",
   width = "w-fit",
+  loading = false,
+  tooltip,
 }) {
   size = size || (style === "embedded" ? "xs" : "sm");
 
-  return (
+  const button = (
     <button
       id={id}
       className={`flex flex-row justify-center items-center gap-2
@@ -164,13 +177,27 @@ ${(() => {
 })()}`
 }
       }`}
-      onClick={disabled ? () => {} : onClick}
+      onClick={disabled || loading ? () => {} : onClick}
       disabled={disabled}
+      aria-busy={loading || undefined}
+      aria-label={label ? undefined : tooltip}
     >
-      {icon && <div className="size-6">{icon}</div>}
+      {loading ? (
+        <CircularProgress size="size-6" color="" />
+      ) : (
+        icon && <div className="size-6">{icon}</div>
+      )}
       {label}
     </button>
   );
+
+  return tooltip ? (
+    <Tooltip text={tooltip} asLabel={!label} optionalClass={label ? width : ""}>
+      {button}
+    </Tooltip>
+  ) : (
+    button
+  );
 }
 
 /**
@@ -183,6 +210,8 @@ ${(() => {
  * @param {string} [props.label] - Text content to display in the button
  * @param {Function} [props.onClick] - Click event handler function
  * @param {boolean} [props.disabled] - Whether the button is disabled
+ * @param {boolean} [props.loading] - Whether to show a progress indicator in place of the icon
+ * @param {string} [props.tooltip] - Text of a plain tooltip naming the button
  * @returns {JSX.Element} Button component optimized for AppBar usage
  * @example
  * // Create an AppBar navigation button
@@ -190,6 +219,7 @@ ${(() => {
  *
  * const navigationButton = Button.forAppBar({
  *   icon: <SvgMenu />,
+ *   tooltip: "Menu",
  *   onClick: () => setDrawerOpen(true)
  * });
  * @example
@@ -229,6 +259,8 @@ Button.propTypes = {
   rounded: PropTypes.string,
   size: PropTypes.oneOf(["xs", "sm", "md"]),
   width: PropTypes.string,
+  loading: PropTypes.bool,
+  tooltip: PropTypes.string,
 };
 
 export default Button;
@@ -0,0 +1,300 @@
+/**
+ * @file Card component implementing Material Design 3 elevated, filled and
+ * outlined cards.
+ * Groups content and actions about a single subject on a surface container,
+ * optionally clickable as a whole or draggable by a handle.
+ * @since 1.1.0
+ */
+
+import { useId, useState } from "react";
+import PropTypes from "prop-types";
+import Button from "./Button.jsx";
+
+/**
+ * MIME type of the data of a dragged card.
+ * @private
+ */
+const dragType = "text/plain";
+
+/**
+ * A Material Design 3 card.
+ *
+ * Key features:
+ * - **Styles**: "elevated" on surfaceContainerLow with a shadow, "filled" on
+ *   surfaceContainerHighest, and "outlined" on surface with an outline
+ * - **Slots**: Media at the top, a header with an avatar, headline and subhead,
+ *   supporting text, and a row of action buttons
+ * - **Clickable**: With onClick, the whole card is a button with hover, focus
+ *   and pressed state layers and a focus ring; the action buttons stay
+ *   separately clickable above it
+ * - **Draggable**: With draggable, a drag handle in the header starts HTML drag
+ *   and drop of the card, carrying dragData. Cards with onDrop accept drops, and
+ *   ArrowUp and ArrowDown on the handle call onMove, so that boards can be
+ *   reordered with the keyboard too
+ * @component
+ * @param {object} props - Component props
+ * @param {string} [props.style] - "elevated", "filled" or "outlined"
+ *   (defaults to "elevated")
+ * @param {React.ReactNode} [props.media] - Image or video at the top of the card
+ * @param {React.ReactNode} [props.avatar] - Avatar or icon before the headline
+ * @param {string} [props.headline] - Title of the card
+ * @param {string} [props.subhead] - Text below the headline
+ * @param {React.ReactNode} [props.children] - Supporting text or content
+ * @param {Array<object>} [props.actions] - Props of the Button components at the
+ *   end of the card, in order from left to right; style defaults to "text"
+ *   (defaults to [])
+ * @param {Function} [props.onClick] - Makes the whole card clickable
+ * @param {string} [props.label] - Accessible label of a clickable card
+ *   (defaults to the headline)
+ * @param {boolean} [props.disabled] - Whether a clickable card and its actions
+ *   are disabled (defaults to false)
+ * @param {boolean} [props.draggable] - Whether the card has a drag handle
+ *   (defaults to false)
+ * @param {string} [props.dragData] - Data carried by the dragged card, such as
+ *   its identifier (defaults to "")
+ * @param {Function} [props.onDrop] - Called with the data of a card dropped on
+ *   this card and the drop event
+ * @param {Function} [props.onMove] - Called with -1 or 1 when ArrowUp or
+ *   ArrowDown is pressed on the drag handle
+ * @param {string} [props.dragLabel] - Accessible label of the drag handle
+ *   (defaults to "Reorder")
+ * @param {string} [props.width] - Tailwind CSS width class (defaults to "w-full")
+ * @returns {JSX.Element} Rendered card
+ * @since 1.1.0
+ * @example
+ * // Outlined card with media and actions
+ * <Card
+ *   style="outlined"
+ *   width="w-80"
+ *   media={<img src={photo} alt="" className="h-40 w-full object-cover" />}
+ *   headline="Kyoto"
+ *   subhead="Japan"
+ *   actions={[{ label: "Share" }, { label: "Book", style: "filled" }]}
+ * >
+ *   Temples, gardens and wooden machiya townhouses.
+ * </Card>
+ * @example
+ * // Reorderable card of a board column
+ * <Card
+ *   style="filled"
+ *   headline={task.title}
+ *   draggable
+ *   dragData={task.id}
+ *   onDrop={(id) => moveTaskBefore(id, task.id)}
+ *   onMove={(step) => moveTaskBy(task.id, step)}
+ *   onClick={() => openTask(task.id)}
+ * />
+ */
+const Card = ({
+  style = "elevated",
+  media,
+  avatar,
+  headline,
+  subhead,
+  children,
+  actions = [],
+  onClick,
+  label,
+  disabled = false,
+  draggable = false,
+  dragData = "",
+  onDrop,
+  onMove,
+  dragLabel = "Reorder",
+  width = "w-full",
+}) => {
+  const headlineId = useId();
+  const [dragging, setDragging] = useState(false);
+  const [handleDown, setHandleDown] = useState(false);
+  const [dropTarget, setDropTarget] = useState(false);
+
+  const hasHeader = avatar || headline || subhead || draggable;
+
+  return (
+    <div
+      className={`relative flex flex-col ${width} pb-4 overflow-hidden rounded-xl
+        ${
+          style === "filled"
+            ? "bg-light-surface-container-highest dark:bg-dark-surface-container-highest"
+            : style === "outlined"
+              ? `bg-light-surface dark:bg-dark-surface
+                outline-1 -outline-offset-1
+                outline-light-outline-variant dark:outline-dark-outline-variant`
+              : `bg-light-surface-container-low dark:bg-dark-surface-container-low
+                shadow-sm shadow-light-shadow/30 dark:shadow-dark-shadow/30`
+        }
+        ${
+          disabled
+            ? "text-light-on-surface/40 dark:text-dark-on-surface/40"
+            : "text-light-on-surface dark:text-dark-on-surface"
+        }
+        ${dragging ? "opacity-50" : ""}
+        ${
+          dropTarget
+            ? "ring-2 ring-inset ring-light-primary dark:ring-dark-primary"
+            : ""
+        }`}
+      // Only a drag started from the handle moves the card
+      draggable={draggable && handleDown}
+      onDragStart={(event) => {
+        event.dataTransfer.setData(dragType, dragData);
+        event.dataTransfer.effectAllowed = "move";
+        setDragging(true);
+      }}
+      onDragEnd={() => {
+        setDragging(false);
+        setHandleDown(false);
+      }}
+      onDragOver={
+        onDrop &&
+        ((event) => {
+          event.preventDefault();
+          event.dataTransfer.dropEffect = "move";
+          setDropTarget(true);
+        })
+      }
+      onDragLeave={
+        onDrop &&
+        ((event) => {
+          if (!event.currentTarget.contains(event.relatedTarget)) {
+            setDropTarget(false);
+          }
+        })
+      }
+      onDrop={
+        onDrop &&
+        ((event) => {
+          event.preventDefault();
+          setDropTarget(false);
+          onDrop(event.dataTransfer.getData(dragType), event);
+        })
+      }
+    >
+      {onClick && (
+        <button
+          type="button"
+          aria-label={label}
+          aria-labelledby={label || !headline ? undefined : headlineId}
+          disabled={disabled}
+          className={`absolute inset-0 rounded-xl
+            -outline-offset-2 focus-visible:outline-2
+            focus-visible:outline-light-secondary dark:focus-visible:outline-dark-secondary
+            ${
+              disabled
+                ? ""
+                : `cursor-pointer
+                  hover:bg-light-on-surface/8 dark:hover:bg-dark-on-surface/8
+                  focus-visible:bg-light-on-surface/10 dark:focus-visible:bg-dark-on-surface/10
+                  active:bg-light-on-surface/10 dark:active:bg-dark-on-surface/10`
+            }`}
+          onClick={onClick}
+        />
+      )}
+      {media && <div className="flex overflow-hidden">{media}</div>}
+      {hasHeader && (
+        <div className="flex flex-row items-center gap-4 pl-4 pr-2 pt-3">
+          {avatar && <div className="flex flex-none size-10">{avatar}</div>}
+          <div className="flex flex-col grow min-w-0 py-1">
+            {headline && (
+              <div id={headlineId} className="text-base font-medium truncate">
+                {headline}
+              </div>
+            )}
+            {subhead && (
+              <div
+                className={`text-sm truncate ${
+                  disabled
+                    ? ""
+                    : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+                }`}
+              >
+                {subhead}
+              </div>
+            )}
+          </div>
+          {draggable && (
+            <button
+              type="button"
+              aria-label={dragLabel}
+              className={`relative flex justify-center items-center flex-none
+                size-10 p-2 rounded-full cursor-grab touch-none
+                text-light-on-surface-variant dark:text-dark-on-surface-variant
+                hover:bg-light-on-surface-variant/8 dark:hover:bg-dark-on-surface-variant/8`}
+              onPointerDown={() => {
+                setHandleDown(true);
+                // Released anywhere without dragging; a drag ends in onDragEnd
+                document.addEventListener(
+                  "pointerup",
+                  () => setHandleDown(false),
+                  { once: true },
+                );
+              }}
+              onKeyDown={(event) => {
+                if (
+                  onMove &&
+                  (event.key === "ArrowUp" || event.key === "ArrowDown")
+                ) {
+                  event.preventDefault();
+                  onMove(event.key === "ArrowUp" ? -1 : 1);
+                }
+              }}
+            >
+              {/* Material icons 'Drag indicator' https://fonts.google.com/icons */}
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                viewBox="0 -960 960 960"
+                fill="currentColor"
+              >
+                <path d="M360-160q-33 0-56.5-23.5T280-240q0-33 23.5-56.5T360-320q33 0 56.5 23.5T440-240q0 33-23.5 56.5T360-160Zm240 0q-33 0-56.5-23.5T520-240q0-33 23.5-56.5T600-320q33 0 56.5 23.5T680-240q0 33-23.5 56.5T600-160ZM360-400q-33 0-56.5-23.5T280-480q0-33 23.5-56.5T360-560q33 0 56.5 23.5T440-480q0 33-23.5 56.5T360-400Zm240 0q-33 0-56.5-23.5T520-480q0-33 23.5-56.5T600-560q33 0 56.5 23.5T680-480q0 33-23.5 56.5T600-400ZM360-640q-33 0-56.5-23.5T280-720q0-33 23.5-56.5T360-800q33 0 56.5 23.5T440-720q0 33-23.5 56.5T360-640Zm240 0q-33 0-56.5-23.5T520-720q0-33 23.5-56.5T600-800q33 0 56.5 23.5T680-720q0 33-23.5 56.5T600-640Z" />
+              </svg>
+            </button>
+          )}
+        </div>
+      )}
+      {children && (
+        <div
+          className={`px-4 pt-3 text-sm ${
+            disabled
+              ? ""
+              : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+          }`}
+        >
+          {children}
+        </div>
+      )}
+      {actions.length > 0 && (
+        <div className="relative flex flex-row flex-wrap justify-end gap-2 px-4 pt-4">
+          {actions.map((action, index) => (
+            <Button
+              key={action.label ?? index}
+              style="text"
+              disabled={disabled}
+              {...action}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+Card.propTypes = {
+  style: PropTypes.oneOf(["elevated", "filled", "outlined"]),
+  media: PropTypes.node,
+  avatar: PropTypes.node,
+  headline: PropTypes.string,
+  subhead: PropTypes.string,
+  children: PropTypes.node,
+  actions: PropTypes.arrayOf(PropTypes.object),
+  onClick: PropTypes.func,
+  label: PropTypes.string,
+  disabled: PropTypes.bool,
+  draggable: PropTypes.bool,
+  dragData: PropTypes.string,
+  onDrop: PropTypes.func,
+  onMove: PropTypes.func,
+  dragLabel: PropTypes.string,
+  width: PropTypes.string,
+};
+
+export default Card;
@@ -0,0 +1,222 @@
+/**
+ * @file Chip component implementing Material Design 3 assist, filter, input and
+ * suggestion chips.
+ * Chips are compact elements for actions, filters, entered values and
+ * suggestions; ChipSet groups them.
+ * @since 1.1.0
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * A single Material Design 3 chip.
+ *
+ * Key features:
+ * - **Assist**: An action with an optional leading icon in the primary color
+ * - **Filter**: A toggle with `aria-pressed`, showing a check icon instead of
+ *   its icon and the secondary container color when selected
+ * - **Input**: An entered value with an optional avatar and a remove button
+ * - **Suggestion**: A dynamically generated suggestion, such as a reply
+ * - **Elevated**: Assist, filter and suggestion chips may use a shadow instead of
+ *   the outline, on images or other busy backgrounds
+ *
+ * The remove button of input chips is not in the tab sequence; Backspace or
+ * Delete on the focused chip removes it instead. Inside a ChipSet, the set
+ * passes tabIndex so that only one chip is in the tab sequence.
+ * @component
+ * @param {object} props - Component props
+ * @param {string} [props.type] - "assist", "filter", "input" or "suggestion"
+ *   (defaults to "assist")
+ * @param {string} props.label - Text of the chip
+ * @param {React.ReactNode} [props.icon] - Leading icon
+ * @param {React.ReactNode} [props.avatar] - Leading avatar image of input chips,
+ *   shown instead of the icon
+ * @param {boolean} [props.selected] - Whether a filter chip is selected
+ *   (defaults to false)
+ * @param {boolean} [props.elevated] - Whether the chip has a shadow instead of an
+ *   outline (defaults to false)
+ * @param {boolean} [props.disabled] - Whether the chip is disabled
+ *   (defaults to false)
+ * @param {Function} [props.onClick] - Called when the chip is clicked
+ * @param {Function} [props.onRemove] - Called by the remove button of input chips;
+ *   input chips without it have no remove button
+ * @param {string} [props.removeLabel] - Accessible label of the remove button,
+ *   followed by the label of the chip (defaults to "Remove")
+ * @param {number} [props.tabIndex] - Tab index of the chip (defaults to 0)
+ * @param {string} [props.id] - Identifier of the chip button
+ * @returns {JSX.Element} Rendered chip
+ * @since 1.1.0
+ * @example
+ * // Assist chip
+ * <Chip label="Add to calendar" icon={<SvgEvent />} onClick={addEvent} />
+ * @example
+ * // Removable input chip with an avatar
+ * <Chip
+ *   type="input"
+ *   label="Ada Lovelace"
+ *   avatar={<img src={ada.photo} alt="" />}
+ *   onRemove={() => removeRecipient(ada)}
+ * />
+ */
+const Chip = ({
+  type = "assist",
+  label,
+  icon,
+  avatar,
+  selected = false,
+  elevated = false,
+  disabled = false,
+  onClick,
+  onRemove,
+  removeLabel = "Remove",
+  tabIndex = 0,
+  id,
+}) => {
+  const isFilter = type === "filter";
+  const isInput = type === "input";
+  const isSelected = isFilter && selected;
+  const removable = isInput && onRemove;
+  const leading = isInput && avatar ? "avatar" : isSelected ? "check" : icon;
+
+  return (
+    <span
+      className={`inline-flex flex-row flex-none items-center h-8 rounded-lg
+        ${
+          disabled
+            ? `text-light-on-surface/40 dark:text-dark-on-surface/40 ${
+                elevated || isSelected
+                  ? "bg-light-on-surface/12 dark:bg-dark-on-surface/12"
+                  : "outline-1 -outline-offset-1 outline-light-on-surface/12 dark:outline-dark-on-surface/12"
+              }`
+            : isSelected
+              ? `bg-light-secondary-container dark:bg-dark-secondary-container
+                text-light-on-secondary-container dark:text-dark-on-secondary-container
+                ${elevated ? "shadow-sm shadow-light-shadow/30 dark:shadow-dark-shadow/30" : ""}`
+              : `${
+                  elevated && !isInput
+                    ? `bg-light-surface-container-low dark:bg-dark-surface-container-low
+                      shadow-sm shadow-light-shadow/30 dark:shadow-dark-shadow/30`
+                    : `outline-1 -outline-offset-1
+                      outline-light-outline-variant dark:outline-dark-outline-variant`
+                }
+                ${
+                  type === "assist"
+                    ? "text-light-on-surface dark:text-dark-on-surface"
+                    : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+                }`
+        }`}
+    >
+      <button
+        id={id}
+        type="button"
+        data-chip
+        tabIndex={tabIndex}
+        disabled={disabled}
+        aria-pressed={isFilter ? selected : undefined}
+        className={`flex flex-row items-center h-full gap-2 rounded-lg
+          text-sm font-medium whitespace-nowrap outline-0
+          ${
+            leading === "avatar"
+              ? "pl-1"
+              : leading
+                ? "pl-2"
+                : isInput
+                  ? "pl-3"
+                  : "pl-4"
+          }
+          ${removable ? "pr-1" : isInput ? "pr-3" : "pr-4"}
+          ${
+            disabled
+              ? ""
+              : `cursor-pointer
+                hover:bg-light-on-surface-variant/8 dark:hover:bg-dark-on-surface-variant/8
+                focus-visible:bg-light-on-surface-variant/12 dark:focus-visible:bg-dark-on-surface-variant/12
+                active:bg-light-on-surface-variant/12 dark:active:bg-dark-on-surface-variant/12`
+          }`}
+        onClick={onClick}
+        onKeyDown={(event) => {
+          if (
+            removable &&
+            (event.key === "Backspace" || event.key === "Delete")
+          ) {
+            event.preventDefault();
+            onRemove();
+          }
+        }}
+      >
+        {leading === "avatar" ? (
+          <span className="flex size-6 overflow-hidden rounded-full">
+            {avatar}
+          </span>
+        ) : leading === "check" ? (
+          <span className="size-[18px]">
+            {/* Material icons 'Check' https://fonts.google.com/icons */}
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              viewBox="0 -960 960 960"
+              fill="currentColor"
+            >
+              <path d="M382-240 154-468l57-57 171 171 367-367 57 57-424 424Z" />
+            </svg>
+          </span>
+        ) : (
+          leading && (
+            <span
+              className={`size-[18px] ${
+                type === "assist" && !disabled
+                  ? "text-light-primary dark:text-dark-primary"
+                  : ""
+              }`}
+            >
+              {leading}
+            </span>
+          )
+        )}
+        {label}
+      </button>
+      {removable && (
+        <button
+          type="button"
+          tabIndex={-1}
+          disabled={disabled}
+          aria-label={`${removeLabel} ${label}`}
+          className={`flex justify-center items-center size-6 mr-1 p-[3px]
+            rounded-full
+            ${
+              disabled
+                ? ""
+                : `cursor-pointer
+                  hover:bg-light-on-surface-variant/8 dark:hover:bg-dark-on-surface-variant/8`
+            }`}
+          onClick={() => onRemove()}
+        >
+          {/* Material icons 'Close' https://fonts.google.com/icons */}
+          <svg
+            xmlns="http://www.w3.org/2000/svg"
+            viewBox="0 -960 960 960"
+            fill="currentColor"
+          >
+            <path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z" />
+          </svg>
+        </button>
+      )}
+    </span>
+  );
+};
+
+Chip.propTypes = {
+  type: PropTypes.oneOf(["assist", "filter", "input", "suggestion"]),
+  label: PropTypes.string.isRequired,
+  icon: PropTypes.node,
+  avatar: PropTypes.node,
+  selected: PropTypes.bool,
+  elevated: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onClick: PropTypes.func,
+  onRemove: PropTypes.func,
+  removeLabel: PropTypes.string,
+  tabIndex: PropTypes.number,
+  id: PropTypes.string,
+};
+
+export default Chip;
@@ -0,0 +1,245 @@
+/**
+ * @file ChipSet component grouping Material Design 3 chips of one type.
+ * Provides keyboard focus movement, removal of input chips and the selection of
+ * filter chips with the value and onChange conventions of ButtonGroup.
+ * @since 1.1.0
+ */
+
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import Chip from "./Chip.jsx";
+
+/**
+ * A set of chips of one type.
+ *
+ * Key features:
+ * - **Selection**: Filter chips are selected like the buttons of ButtonGroup;
+ *   with multiSelect the value is an array and clicking toggles the chip,
+ *   otherwise clicking a chip selects its single value
+ * - **Removal**: Input chips are removed with their remove button, or with
+ *   Backspace or Delete; the focus then moves to the chip that took its place
+ * - **Keyboard**: Only one chip is in the tab sequence (roving tabindex);
+ *   the arrow keys move the focus between the chips, and Home and End to the
+ *   first and last
+ * - **Overflow**: Chips wrap onto further lines, or scroll horizontally in one
+ *   line with scrollable
+ * @component
+ * @param {object} props - Component props
+ * @param {string} [props.type] - "assist", "filter", "input" or "suggestion"
+ *   (defaults to "assist")
+ * @param {Array<object>} [props.items] - Chips with value, label, icon, avatar,
+ *   disabled and onClick (defaults to [])
+ * @param {string|number|Array} [props.value] - Value of the selected filter chip,
+ *   or an array of the values with multiSelect
+ * @param {boolean} [props.multiSelect] - Whether several filter chips can be
+ *   selected (defaults to false)
+ * @param {Function} [props.onChange] - Called with the new value of the filter
+ *   chips (defaults to empty function)
+ * @param {Function} [props.onRemove] - Called with the value of the removed input
+ *   chip; input chips without it have no remove button
+ * @param {boolean} [props.scrollable] - Whether the chips scroll horizontally in
+ *   one line instead of wrapping (defaults to false)
+ * @param {boolean} [props.elevated] - Whether the chips have a shadow instead of an
+ *   outline (defaults to false)
+ * @param {boolean} [props.disabled] - Whether all chips are disabled
+ *   (defaults to false)
+ * @param {string} [props.label] - Accessible label of the set
+ * @param {string} [props.removeLabel] - Accessible label of the remove buttons,
+ *   followed by the label of the chip (defaults to "Remove")
+ * @param {string} [props.optionalClass] - Additional CSS classes for positioning
+ *   and styling (defaults to "")
+ * @returns {JSX.Element} Rendered chip set
+ * @since 1.1.0
+ * @example
+ * // Filter chips in place of a multi-select ButtonGroup
+ * <ChipSet
+ *   type="filter"
+ *   label="Filters"
+ *   value={filters}
+ *   multiSelect
+ *   items={[
+ *     { value: "new", label: "New" },
+ *     { value: "popular", label: "Popular" },
+ *     { value: "featured", label: "Featured" },
+ *   ]}
+ *   onChange={setFilters}
+ * />
+ * @example
+ * // Removable recipients
+ * <ChipSet
+ *   type="input"
+ *   label="Recipients"
+ *   items={recipients.map((r) => ({
+ *     value: r.email,
+ *     label: r.name,
+ *     avatar: <img src={r.photo} alt="" />,
+ *   }))}
+ *   onRemove={(email) => removeRecipient(email)}
+ * />
+ */
+const ChipSet = ({
+  type = "assist",
+  items = [],
+  value,
+  multiSelect = false,
+  onChange = () => {},
+  onRemove,
+  scrollable = false,
+  elevated = false,
+  disabled = false,
+  label,
+  removeLabel = "Remove",
+  optionalClass = "",
+}) => {
+  const ref = useRef(null);
+  const restoreFocus = useRef(false);
+  const [focused, setFocused] = useState(0);
+
+  const selected = multiSelect
+    ? Array.isArray(value)
+      ? value
+      : value || value === 0
+        ? [value]
+        : []
+    : value;
+  const isSelected = (item) =>
+    multiSelect ? selected.includes(item.value) : item.value === selected;
+  const enabled = disabled
+    ? []
+    : items
+        .map((item, index) => index)
+        .filter((index) => !items[index].disabled);
+  // The chip at the focused position, or the last one after removing the last
+  const focusIndex =
+    enabled.find((index) => index >= focused) ?? enabled.at(-1) ?? -1;
+
+  // The buttons of the chips, in the order of the items
+  const chips = () => [...ref.current.querySelectorAll("[data-chip]")];
+
+  useEffect(() => {
+    if (restoreFocus.current) {
+      restoreFocus.current = false;
+      chips()[focusIndex]?.focus();
+    }
+  }, [items.length, focusIndex]);
+
+  const toggle = (item) => {
+    if (multiSelect) {
+      onChange(
+        isSelected(item)
+          ? selected.filter((v) => v !== item.value)
+          : [...selected, item.value],
+      );
+    } else {
+      onChange(item.value);
+    }
+  };
+
+  const onKeyDown = (event) => {
+    const current = enabled.indexOf(chips().indexOf(document.activeElement));
+    if (current < 0) {
+      return;
+    }
+    let next;
+    switch (event.key) {
+      case "ArrowRight":
+      case "ArrowDown":
+        next = enabled[(current + 1) % enabled.length];
+        break;
+      case "ArrowLeft":
+      case "ArrowUp":
+        next = enabled[(current - 1 + enabled.length) % enabled.length];
+        break;
+      case "Home":
+        next = enabled[0];
+        break;
+      case "End":
+        next = enabled.at(-1);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    setFocused(next);
+    chips()[next].focus();
+  };
+
+  return (
+    <div
+      ref={ref}
+      role="toolbar"
+      aria-label={label}
+      className={`flex flex-row gap-2
+        ${scrollable ? "overflow-x-auto p-0.5" : "flex-wrap"} ${optionalClass}`}
+      onKeyDown={onKeyDown}
+      onFocus={(event) => {
+        const index = chips().indexOf(event.target);
+        if (index >= 0) {
+          setFocused(index);
+        }
+      }}
+    >
+      {items.map((item, index) => (
+        <Chip
+          key={item.value}
+          type={type}
+          label={item.label}
+          icon={item.icon}
+          avatar={item.avatar}
+          selected={type === "filter" && isSelected(item)}
+          elevated={elevated}
+          disabled={disabled || item.disabled}
+          tabIndex={index === focusIndex ? 0 : -1}
+          removeLabel={removeLabel}
+          onClick={() => {
+            if (type === "filter") {
+              toggle(item);
+            }
+            item.onClick?.();
+          }}
+          onRemove={
+            onRemove &&
+            (() => {
+              restoreFocus.current = true;
+              setFocused(index);
+              onRemove(item.value);
+            })
+          }
+        />
+      ))}
+    </div>
+  );
+};
+
+ChipSet.propTypes = {
+  type: PropTypes.oneOf(["assist", "filter", "input", "suggestion"]),
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+        .isRequired,
+      label: PropTypes.string.isRequired,
+      icon: PropTypes.node,
+      avatar: PropTypes.node,
+      disabled: PropTypes.bool,
+      onClick: PropTypes.func,
+    }),
+  ),
+  value: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.number,
+    PropTypes.arrayOf(
+      PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    ),
+  ]),
+  multiSelect: PropTypes.bool,
+  onChange: PropTypes.func,
+  onRemove: PropTypes.func,
+  scrollable: PropTypes.bool,
+  elevated: PropTypes.bool,
+  disabled: PropTypes.bool,
+  label: PropTypes.string,
+  removeLabel: PropTypes.string,
+  optionalClass: PropTypes.string,
+};
+
+export default ChipSet;
@@ -0,0 +1,145 @@
+/**
+ * @file CircularProgress component implementing the Material Design 3 circular
+ * progress indicator.
+ * Shows determinate progress as an arc with a gap to its track, or an
+ * indeterminate spinner.
+ * @since 1.1.0
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * Radius of the circle in the 48 by 48 view box.
+ * @private
+ */
+const radius = 20;
+
+/**
+ * Width of the arc and the track in the view box.
+ * @private
+ */
+const strokeWidth = 4;
+
+/**
+ * Gap between the arc and the track in the view box.
+ * @private
+ */
+const gap = 4;
+
+/**
+ * Circumference of the circle.
+ * @private
+ */
+const circumference = 2 * Math.PI * radius;
+
+/**
+ * A Material Design 3 circular progress indicator.
+ *
+ * Key features:
+ * - **Determinate**: With a value, the active arc grows clockwise from the top,
+ *   separated from the rest of the track by a gap on both ends
+ * - **Indeterminate**: Without a value, a rotating arc grows and shrinks
+ * - **Sizing**: The indicator scales with its size class; the arc keeps a
+ *   twelfth of the diameter
+ * - **Accessibility**: `progressbar` role with `aria-valuenow` in percent for
+ *   determinate progress
+ * @component
+ * @param {object} props - Component props
+ * @param {number} [props.value] - Progress from 0 to 1; indeterminate without it
+ * @param {string} [props.size] - Tailwind CSS size class (defaults to "size-12")
+ * @param {string} [props.color] - Tailwind CSS text color class of the arc
+ *   (defaults to "text-light-primary dark:text-dark-primary"). Use "" to
+ *   inherit the text color, as in buttons.
+ * @param {boolean} [props.track] - Whether determinate progress shows its track
+ *   (defaults to true)
+ * @param {string} [props.label] - Accessible label of the progress bar
+ * @returns {JSX.Element} Rendered progress indicator
+ * @since 1.1.0
+ * @example
+ * // Determinate
+ * <CircularProgress value={uploaded / total} label="Uploading" />
+ * @example
+ * // Small indeterminate spinner in the text color
+ * <CircularProgress size="size-6" color="" label="Loading" />
+ */
+const CircularProgress = ({
+  value,
+  size = "size-12",
+  color = "text-light-primary dark:text-dark-primary",
+  track = true,
+  label,
+}) => {
+  const determinate = value !== undefined && value !== null;
+  const progress = determinate ? Math.min(1, Math.max(0, value)) : 0;
+
+  // Round caps extend each dash by half the stroke width on both ends
+  const activeStart = progress * circumference;
+  const activeLength = activeStart - strokeWidth;
+  const trackLength = circumference - activeStart - 2 * gap - strokeWidth;
+
+  return (
+    <div
+      role="progressbar"
+      aria-label={label}
+      aria-valuemin={determinate ? 0 : undefined}
+      aria-valuemax={determinate ? 100 : undefined}
+      aria-valuenow={determinate ? Math.round(progress * 100) : undefined}
+      className={`flex-none ${size} ${color}`}
+    >
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox="0 0 48 48"
+        fill="none"
+        strokeWidth={strokeWidth}
+        strokeLinecap="round"
+        className={`size-full -rotate-90 ${
+          determinate ? "" : "animate-progress-rotate"
+        }`}
+      >
+        {determinate ? (
+          <>
+            {track && trackLength > 0 && (
+              <circle
+                cx="24"
+                cy="24"
+                r={radius}
+                className="stroke-light-secondary-container dark:stroke-dark-secondary-container"
+                strokeDasharray={`${trackLength} ${circumference}`}
+                strokeDashoffset={-(activeStart + gap + strokeWidth / 2)}
+              />
+            )}
+            {progress > 0 && (
+              <circle
+                cx="24"
+                cy="24"
+                r={radius}
+                stroke="currentColor"
+                className="transition-[stroke-dasharray] duration-200"
+                strokeDasharray={`${Math.max(activeLength, 0.01)} ${circumference}`}
+                strokeDashoffset={-strokeWidth / 2}
+              />
+            )}
+          </>
+        ) : (
+          <circle
+            cx="24"
+            cy="24"
+            r={radius}
+            stroke="currentColor"
+            className="animate-progress-arc"
+          />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+CircularProgress.propTypes = {
+  value: PropTypes.number,
+  size: PropTypes.string,
+  color: PropTypes.string,
+  track: PropTypes.bool,
+  label: PropTypes.string,
+};
+
+export default CircularProgress;
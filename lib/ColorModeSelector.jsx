@@ -0,0 +1,104 @@
+/**
+ * @file ColorModeSelector component showing the system, light and dark modes at once.
+ * A segmented alternative to the cycling ToggleDarkModeButton.
+ * @since 1.1.0
+ */
+
+import PropTypes from "prop-types";
+
+import ButtonGroup from "./ButtonGroup.jsx";
+import ColorModeIcon from "./ColorModeIcon.jsx";
+import { colorModes, useColorMode } from "./color-mode.js";
+import { themePreferences } from "./preferences.js";
+
+/**
+ * A segmented button group for choosing the color mode: follow the system,
+ * light or dark. Unlike ToggleDarkModeButton, all three options are visible and
+ * the chosen one is selected.
+ *
+ * Key features:
+ * - Built on ButtonGroup, with the icons of ToggleDarkModeButton
+ * - Shares the mode with ToggleDarkModeButton and other tabs through the
+ *   preferences store (see useColorMode())
+ * - Adds or removes only the dark mode class of the target element
+ * - Optional text labels, e.g. translated by the application
+ * @component
+ * @param {object} props - Component props
+ * @param {string} [props.name] - Name of the button group (defaults to "color-mode")
+ * @param {object} [props.labels] - Labels by mode, e.g. { system: "Auto",
+ *   light: "Light", dark: "Dark" }. Without labels only the icons are shown.
+ * @param {('xs'|'sm'|'md')} [props.size] - Size of the buttons (defaults to "sm")
+ * @param {boolean} [props.disabled] - Whether the selector is disabled
+ *   (defaults to false)
+ * @param {boolean|object} [props.transition] - Whether to animate the switch,
+ *   or TransitionOptions for transitionDarkMode() (defaults to false)
+ * @param {object} [props.store] - Preferences store from createPreferencesStore()
+ *   (defaults to themePreferences)
+ * @param {HTMLElement} [props.target] - Element of the dark mode class
+ *   (defaults to document.documentElement)
+ * @param {string} [props.className] - Dark mode class (defaults to "dark")
+ * @returns {JSX.Element} Segmented button group of the three modes
+ * @since 1.1.0
+ * @example
+ * // Icons only, in an app bar
+ * <ColorModeSelector size="xs" />
+ * @example
+ * // Translated labels in a settings page
+ * <ColorModeSelector
+ *   labels={{ system: t("system"), light: t("light"), dark: t("dark") }}
+ *   transition
+ * />
+ */
+const ColorModeSelector = ({
+  name = "color-mode",
+  labels,
+  size = "sm",
+  disabled = false,
+  transition = false,
+  store = themePreferences,
+  target,
+  className = "dark",
+}) => {
+  const { mode, setMode } = useColorMode({
+    target,
+    className,
+    store,
+    transition,
+  });
+
+  return (
+    <ButtonGroup
+      name={name}
+      value={mode}
+      items={colorModes.map((value) => ({
+        value,
+        icon: <ColorModeIcon mode={value} />,
+        label: labels?.[value],
+      }))}
+      onChange={setMode}
+      disabled={disabled}
+      size={size}
+    />
+  );
+};
+
+ColorModeSelector.propTypes = {
+  name: PropTypes.string,
+  labels: PropTypes.shape({
+    system: PropTypes.string,
+    light: PropTypes.string,
+    dark: PropTypes.string,
+  }),
+  size: PropTypes.oneOf(["xs", "sm", "md"]),
+  disabled: PropTypes.bool,
+  transition: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
+  store: PropTypes.shape({
+    get: PropTypes.func.isRequired,
+    set: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired,
+  }),
+  target: PropTypes.object,
+  className: PropTypes.string,
+};
+
+export default ColorModeSelector;
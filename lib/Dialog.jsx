@@ -0,0 +1,376 @@
+/**
+ * @file Modal dialog component implementing Material Design 3 basic and full-screen dialogs.
+ * Keeps the focus inside the dialog, closes on Escape and locks the page scroll while open.
+ * @since 1.1.0
+ */
+
+import { useEffect, useId, useRef } from "react";
+import { createRoot } from "react-dom/client";
+import PropTypes from "prop-types";
+import Button from "./Button.jsx";
+
+/**
+ * Elements that can receive the keyboard focus.
+ * @private
+ */
+const focusableSelector = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+/**
+ * Material icons 'Close' for the full-screen dialog.
+ * @private
+ * @returns {JSX.Element} SVG icon
+ */
+const CloseIcon = () => (
+  /* Material icons 'Close' https://fonts.google.com/icons */
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 -960 960 960"
+    fill="currentColor"
+  >
+    <path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z" />
+  </svg>
+);
+
+/**
+ * A modal dialog implementing Material Design 3 dialog patterns.
+ *
+ * The component provides two layouts:
+ * - **basic**: Centered container with an optional icon, headline, supporting
+ *   text and a row of action buttons, over a scrim
+ * - **full-screen**: Covers the viewport, with a close button, the headline and
+ *   the actions in a top bar, for small screens and long forms
+ *
+ * While the dialog is open:
+ * - The focus moves to its first focusable element and Tab cycles inside it
+ * - Escape and a click on the scrim call onClose, unless dismissible is false
+ * - The page behind it does not scroll
+ * - The focus returns to the previously focused element when it closes
+ *
+ * The dialog element has `aria-modal` and is labelled by the headline and
+ * described by the supporting text. The scrim uses the `scrim` color token.
+ *
+ * For simple questions, Dialog.confirm() and Dialog.alert() open a dialog
+ * without any state in the calling component.
+ * @component
+ * @param {object} props - Component props
+ * @param {boolean} [props.open] - Whether the dialog is shown (defaults to false)
+ * @param {Function} [props.onClose] - Called on Escape, a click on the scrim and
+ *   the close button of the full-screen dialog (defaults to empty function)
+ * @param {React.ReactNode} [props.icon] - Icon above the headline of the basic dialog
+ * @param {string} [props.headline] - Title of the dialog
+ * @param {React.ReactNode} [props.children] - Supporting text or content
+ * @param {Array<object>} [props.actions] - Props of the Button components of the
+ *   action row, in order from left to right; style defaults to "text"
+ *   (defaults to [])
+ * @param {boolean} [props.fullScreen] - Whether to use the full-screen layout
+ *   (defaults to false)
+ * @param {boolean} [props.dismissible] - Whether Escape and the scrim close the
+ *   dialog (defaults to true)
+ * @param {string} [props.role] - "dialog", or "alertdialog" for urgent
+ *   interruptions (defaults to "dialog")
+ * @param {string} [props.closeLabel] - Accessible label of the close button of
+ *   the full-screen dialog (defaults to "Close")
+ * @returns {JSX.Element|null} Rendered dialog, or null when closed
+ * @since 1.1.0
+ * @example
+ * // Basic dialog with an icon and two actions
+ * <Dialog
+ *   open={open}
+ *   onClose={() => setOpen(false)}
+ *   icon={<SvgDelete />}
+ *   headline="Delete the draft?"
+ *   actions={[
+ *     { label: "Cancel", onClick: () => setOpen(false) },
+ *     { label: "Delete", onClick: deleteDraft },
+ *   ]}
+ * >
+ *   The draft will be removed from all your devices.
+ * </Dialog>
+ * @example
+ * // Full-screen form on phones, basic dialog on larger screens
+ * const small = useMediaQuery("(max-width: 600px)");
+ *
+ * <Dialog
+ *   open={editing}
+ *   onClose={cancelEdit}
+ *   headline="New event"
+ *   fullScreen={small}
+ *   actions={[{ label: "Save", onClick: saveEvent }]}
+ * >
+ *   <EventForm />
+ * </Dialog>
+ */
+const Dialog = ({
+  open = false,
+  onClose = () => {},
+  icon,
+  headline,
+  children,
+  actions = [],
+  fullScreen = false,
+  dismissible = true,
+  role = "dialog",
+  closeLabel = "Close",
+}) => {
+  const ref = useRef(null);
+  const headlineId = useId();
+  const contentId = useId();
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    const dialog = ref.current;
+    const previous = document.activeElement;
+    const focusFirst = () =>
+      (dialog.querySelector(focusableSelector) ?? dialog).focus();
+    focusFirst();
+
+    // Bring back the focus that has moved outside, e.g. by a script
+    const onFocusIn = (event) => {
+      if (!dialog.contains(event.target)) {
+        focusFirst();
+      }
+    };
+    document.addEventListener("focusin", onFocusIn);
+
+    const { overflow } = document.body.style;
+    document.body.style.overflow = "hidden";
+
+    return () => {
+      document.removeEventListener("focusin", onFocusIn);
+      document.body.style.overflow = overflow;
+      previous?.focus?.();
+    };
+  }, [open]);
+
+  if (!open) {
+    return null;
+  }
+
+  const onKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.stopPropagation();
+      if (dismissible) {
+        onClose();
+      }
+    } else if (event.key === "Tab") {
+      const items = [...ref.current.querySelectorAll(focusableSelector)];
+      const first = items[0];
+      const last = items.at(-1);
+      if (!items.length) {
+        event.preventDefault();
+      } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  };
+
+  const actionButtons = actions.map((action, index) => (
+    <Button key={action.label ?? index} style="text" {...action} />
+  ));
+
+  return (
+    <div
+      className={`flex justify-center items-center fixed inset-0 z-50
+        bg-light-scrim/32 dark:bg-dark-scrim/32`}
+      onClick={dismissible ? onClose : undefined}
+    >
+      <div
+        ref={ref}
+        role={role}
+        aria-modal="true"
+        aria-labelledby={headline ? headlineId : undefined}
+        aria-describedby={children ? contentId : undefined}
+        tabIndex={-1}
+        className={`flex flex-col outline-none
+          ${
+            fullScreen
+              ? `w-full h-full
+                bg-light-surface dark:bg-dark-surface`
+              : `w-fit min-w-70 max-w-140 max-h-[calc(100%-3rem)] m-6 p-6 gap-4
+                rounded-[28px]
+                bg-light-surface-container-high dark:bg-dark-surface-container-high`
+          }`}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={onKeyDown}
+      >
+        {fullScreen ? (
+          <div className="flex flex-row items-center h-14 px-1 gap-1">
+            <button
+              className={`flex justify-center items-center size-12 p-3
+                rounded-full cursor-pointer
+                text-light-on-surface dark:text-dark-on-surface
+                hover:bg-light-on-surface/8 dark:hover:bg-dark-on-surface/8`}
+              aria-label={closeLabel}
+              onClick={onClose}
+            >
+              <CloseIcon />
+            </button>
+            <h2
+              id={headlineId}
+              className={`flex grow text-[22px] truncate
+                text-light-on-surface dark:text-dark-on-surface`}
+            >
+              {headline}
+            </h2>
+            {actionButtons}
+          </div>
+        ) : (
+          <>
+            {icon && (
+              <div
+                className={`size-6 self-center
+                  text-light-secondary dark:text-dark-secondary`}
+              >
+                {icon}
+              </div>
+            )}
+            {headline && (
+              <h2
+                id={headlineId}
+                className={`text-2xl
+                  ${icon ? "text-center" : ""}
+                  text-light-on-surface dark:text-dark-on-surface`}
+              >
+                {headline}
+              </h2>
+            )}
+          </>
+        )}
+        {children && (
+          <div
+            id={contentId}
+            className={`overflow-y-auto text-sm
+              text-light-on-surface-variant dark:text-dark-on-surface-variant
+              ${fullScreen ? "grow px-6 pb-6" : ""}`}
+          >
+            {children}
+          </div>
+        )}
+        {!fullScreen && actions.length > 0 && (
+          <div className="flex flex-row flex-wrap justify-end gap-2 pt-2">
+            {actionButtons}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+Dialog.propTypes = {
+  open: PropTypes.bool,
+  onClose: PropTypes.func,
+  icon: PropTypes.node,
+  headline: PropTypes.string,
+  children: PropTypes.node,
+  actions: PropTypes.arrayOf(PropTypes.object),
+  fullScreen: PropTypes.bool,
+  dismissible: PropTypes.bool,
+  role: PropTypes.oneOf(["dialog", "alertdialog"]),
+  closeLabel: PropTypes.string,
+};
+
+/**
+ * Renders a dialog into a new element of the body until it is answered.
+ * @private
+ * @param {object} props - Dialog props except open, onClose and actions
+ * @param {Function} createActions - Returns the actions for a close(result) function
+ * @param {*} dismissResult - Result of Escape and a click on the scrim
+ * @returns {Promise<*>} Promise resolving to the result of the chosen action
+ */
+const openDialog = (props, createActions, dismissResult) =>
+  new Promise((resolve) => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    const root = createRoot(container);
+
+    const close = (result) => {
+      root.unmount();
+      container.remove();
+      resolve(result);
+    };
+
+    root.render(
+      <Dialog
+        {...props}
+        open
+        role="alertdialog"
+        onClose={() => close(dismissResult)}
+        actions={createActions(close)}
+      />,
+    );
+  });
+
+/**
+ * Asks the user to confirm an action with a basic dialog.
+ * @param {object} [options] - Dialog content
+ * @param {string} [options.headline] - Title of the dialog
+ * @param {React.ReactNode} [options.message] - Supporting text
+ * @param {React.ReactNode} [options.icon] - Icon above the headline
+ * @param {string} [options.confirmLabel] - Label of the confirm button
+ *   (defaults to "OK")
+ * @param {string} [options.cancelLabel] - Label of the cancel button
+ *   (defaults to "Cancel")
+ * @param {boolean} [options.danger] - Whether to show the confirm button in the
+ *   error color for destructive actions (defaults to false)
+ * @returns {Promise<boolean>} Promise resolving to true if confirmed, and to
+ *   false on cancel, Escape and a click on the scrim
+ * @since 1.1.0
+ * @example
+ * if (await Dialog.confirm({ headline: "Discard changes?", danger: true })) {
+ *   discardChanges();
+ * }
+ */
+Dialog.confirm = ({
+  headline,
+  message,
+  icon,
+  confirmLabel = "OK",
+  cancelLabel = "Cancel",
+  danger = false,
+} = {}) =>
+  openDialog(
+    { headline, icon, children: message },
+    (close) => [
+      { label: cancelLabel, onClick: () => close(false) },
+      {
+        label: confirmLabel,
+        style: danger ? "danger" : "text",
+        onClick: () => close(true),
+      },
+    ],
+    false,
+  );
+
+/**
+ * Shows a message with a basic dialog and a single button.
+ * @param {object} [options] - Dialog content
+ * @param {string} [options.headline] - Title of the dialog
+ * @param {React.ReactNode} [options.message] - Supporting text
+ * @param {React.ReactNode} [options.icon] - Icon above the headline
+ * @param {string} [options.okLabel] - Label of the button (defaults to "OK")
+ * @returns {Promise<void>} Promise resolving when the dialog is closed
+ * @since 1.1.0
+ * @example
+ * await Dialog.alert({ headline: "Saved", message: "Your theme is saved." });
+ */
+Dialog.alert = ({ headline, message, icon, okLabel = "OK" } = {}) =>
+  openDialog(
+    { headline, icon, children: message },
+    (close) => [{ label: okLabel, onClick: () => close() }],
+    undefined,
+  );
+
+export default Dialog;
@@ -6,6 +6,8 @@
 
 import PropTypes from "prop-types";
 import { useState } from "react";
+import CircularProgress from "./CircularProgress.jsx";
+import Tooltip from "./Tooltip.jsx";
 
 const activeColor = (color = "primary") => {
   switch (color) {
@@ -126,6 +128,10 @@ FabMenuItem.propTypes = {
  * @param {Function} [props.onClick] - Click handler for the main FAB button.
  *   Called when FAB is clicked. For expandable FABs, this is called in addition to menu toggle.
  *   Defaults to no-op function if not provided.
+ * @param {boolean} [props.loading] - When true, shows a circular progress indicator in place of the icon.
+ *   Defaults to false. Clicks are ignored while loading.
+ * @param {string} [props.tooltip] - Text of a plain tooltip on the FAB button.
+ *   Names a FAB without a label, which shows only its icon.
  * @returns {JSX.Element} FAB component with configured styling and optional expandable menu
  * @since 1.0.0
  * @example
@@ -165,6 +171,9 @@ FabMenuItem.propTypes = {
  *   ]}
  * />
  * @example
+ * // Icon-only FAB named by its tooltip
+ * <Fab icon={<SvgEdit />} tooltip="Compose" onClick={compose} />
+ * @example
  * // Conditionally hidden FAB based on scroll
  * <Fab
  *   icon={<SvgArrowUp />}
@@ -192,9 +201,51 @@ function Fab({
   color = "primary",
   position = "fixed bottom-safe-offset-4 right-4 z-40",
   onClick = () => null,
+  loading = false,
+  tooltip,
 }) {
   const [opened, setOpened] = useState(false);
 
+  const button = (
+    <button
+      id={id}
+      className={`${hidden ? "hidden" : "flex"} flex-row w-fit px-4 py-4 gap-2
+        ${opened ? "rounded-full" : "rounded-2xl"} text-base
+        ${opened ? openedColor(color) : activeColor(color)}
+        shadow-md shadow-light-shadow/30 dark:shadow-dark-shadow/30`}
+      onClick={
+        hidden || loading
+          ? () => {}
+          : items.length > 0
+            ? () => setOpened(!opened)
+            : onClick
+      }
+      disabled={hidden}
+      aria-busy={loading || undefined}
+      aria-label={label ? undefined : tooltip}
+    >
+      {
+        <div className="size-6">
+          {loading ? (
+            <CircularProgress size="size-6" color="" />
+          ) : opened ? (
+            /* Material icons 'Close' https://fonts.google.com/icons */
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              viewBox="0 -960 960 960"
+              fill="currentColor"
+            >
+              <path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z" />
+            </svg>
+          ) : (
+            icon
+          )}
+        </div>
+      }
+      {label}
+    </button>
+  );
+
   return (
     <div className={`flex flex-col gap-2 items-end ${position}`}>
       {opened &&
@@ -213,39 +264,13 @@ function Fab({
             }}
           />
         ))}
-      <button
-        id={id}
-        className={`${hidden ? "hidden" : "flex"} flex-row w-fit px-4 py-4 gap-2
-        ${opened ? "rounded-full" : "rounded-2xl"} text-base
-        ${opened ? openedColor(color) : activeColor(color)}
-        shadow-md shadow-light-shadow/30 dark:shadow-dark-shadow/30`}
-        onClick={
-          hidden
-            ? () => {}
-            : items.length > 0
-              ? () => setOpened(!opened)
-              : onClick
-        }
-        disabled={hidden}
-      >
-        {
-          <div className="size-6">
-            {opened ? (
-              /* Material icons 'Close' https://fonts.google.com/icons */
-              <svg
-                xmlns="http://www.w3.org/2000/svg"
-                viewBox="0 -960 960 960"
-                fill="currentColor"
-              >
-                <path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z" />
-              </svg>
-            ) : (
-              icon
-            )}
-          </div>
-        }
-        {label}
-      </button>
+      {tooltip ? (
+        <Tooltip text={tooltip} side="top" asLabel={!label}>
+          {button}
+        </Tooltip>
+      ) : (
+        button
+      )}
     </div>
   );
 }
@@ -259,6 +284,8 @@ Fab.propTypes = {
   color: PropTypes.oneOf(["primary", "secondary", "tertiary"]),
   position: PropTypes.string,
   onClick: PropTypes.func,
+  loading: PropTypes.bool,
+  tooltip: PropTypes.string,
 };
 
 export default Fab;
@@ -0,0 +1,105 @@
+/**
+ * @file LinearProgress component implementing the Material Design 3 linear
+ * progress indicator.
+ * Shows determinate progress with a track gap, a stop indicator and an optional
+ * buffer, or an indeterminate moving bar.
+ * @since 1.1.0
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * A Material Design 3 linear progress indicator.
+ *
+ * Key features:
+ * - **Determinate**: With a value, the active indicator is followed by a gap and
+ *   the track, which ends in a stop indicator dot
+ * - **Buffer**: With buffer, the track up to the buffered amount is shown in full
+ *   color and the rest lighter, as for streamed media
+ * - **Indeterminate**: Without a value, a bar moves along the track
+ * - **Accessibility**: `progressbar` role with `aria-valuenow` in percent for
+ *   determinate progress
+ * @component
+ * @param {object} props - Component props
+ * @param {number} [props.value] - Progress from 0 to 1; indeterminate without it
+ * @param {number} [props.buffer] - Buffered amount from 0 to 1, at least value
+ * @param {string} [props.width] - Tailwind CSS width class (defaults to "w-full")
+ * @param {string} [props.label] - Accessible label of the progress bar
+ * @returns {JSX.Element} Rendered progress indicator
+ * @since 1.1.0
+ * @example
+ * // Determinate with a buffer
+ * <LinearProgress value={played} buffer={loaded} label="Playback" />
+ * @example
+ * // Indeterminate
+ * <LinearProgress label="Loading" />
+ */
+const LinearProgress = ({ value, buffer, width = "w-full", label }) => {
+  const determinate = value !== undefined && value !== null;
+  const progress = determinate ? Math.min(1, Math.max(0, value)) : 0;
+  const buffered =
+    buffer === undefined || buffer === null
+      ? 1
+      : Math.min(1, Math.max(progress, buffer));
+
+  return (
+    <div
+      role="progressbar"
+      aria-label={label}
+      aria-valuemin={determinate ? 0 : undefined}
+      aria-valuemax={determinate ? 100 : undefined}
+      aria-valuenow={determinate ? Math.round(progress * 100) : undefined}
+      className={`relative flex flex-row h-1 ${width} ${
+        determinate
+          ? "gap-1"
+          : `overflow-hidden rounded-full
+            bg-light-secondary-container dark:bg-dark-secondary-container`
+      }`}
+    >
+      {determinate ? (
+        <>
+          {progress > 0 && (
+            <div
+              className={`flex-none rounded-full transition-[flex-basis] duration-200
+                bg-light-primary dark:bg-dark-primary`}
+              style={{ flexBasis: `${progress * 100}%` }}
+            />
+          )}
+          {progress < 1 && (
+            <div
+              className={`relative grow overflow-hidden rounded-full ${
+                buffered < 1
+                  ? "bg-light-secondary-container/40 dark:bg-dark-secondary-container/40"
+                  : "bg-light-secondary-container dark:bg-dark-secondary-container"
+              }`}
+            >
+              {buffered < 1 && (
+                <div
+                  className={`absolute inset-y-0 left-0 rounded-full
+                    transition-[width] duration-200
+                    bg-light-secondary-container dark:bg-dark-secondary-container`}
+                  style={{
+                    width: `${((buffered - progress) / (1 - progress)) * 100}%`,
+                  }}
+                />
+              )}
+              {/* Stop indicator */}
+              <div className="absolute inset-y-0 right-0 size-1 rounded-full bg-light-primary dark:bg-dark-primary" />
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="absolute inset-y-0 rounded-full animate-progress-linear bg-light-primary dark:bg-dark-primary" />
+      )}
+    </div>
+  );
+};
+
+LinearProgress.propTypes = {
+  value: PropTypes.number,
+  buffer: PropTypes.number,
+  width: PropTypes.string,
+  label: PropTypes.string,
+};
+
+export default LinearProgress;
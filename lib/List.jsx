@@ -0,0 +1,296 @@
+/**
+ * @file List component implementing Material Design 3 lists.
+ * Renders ListItem rows with selection, keyboard navigation and windowed
+ * rendering of long lists.
+ * @since 1.1.0
+ */
+
+import { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import ListItem from "./ListItem.jsx";
+import { visibleRange } from "./listbox.js";
+
+/**
+ * Heights of one-, two- and three-line items in pixels.
+ * @private
+ */
+const itemHeights = { 1: 56, 2: 72, 3: 88 };
+
+/**
+ * A Material Design 3 list of ListItem rows.
+ *
+ * Key features:
+ * - **Items**: Each item takes the props of ListItem and a value
+ * - **Selection**: With selectable, clicking an item selects it with the value
+ *   and onChange conventions of ButtonGroup; with multiSelect the value is an
+ *   array and clicking toggles the item. Items with control="checkbox" show
+ *   their selection in the checkbox
+ * - **Keyboard**: Only one item is in the tab sequence (roving tabindex);
+ *   ArrowUp and ArrowDown move the focus, Home and End jump to the ends,
+ *   PageUp and PageDown move by a page, and Enter or Space activates
+ * - **Long Lists**: With height, the list scrolls within that height and only
+ *   renders the items in view, so that lists of 10,000 items stay smooth. All
+ *   items then have the same number of lines. The focusable item stays
+ *   rendered out of view, and the items carry their position in the list
+ * @component
+ * @param {object} props - Component props
+ * @param {Array<object>} [props.items] - Props of the ListItem rows with a
+ *   unique value (defaults to [])
+ * @param {boolean} [props.selectable] - Whether clicking selects items
+ *   (defaults to false)
+ * @param {boolean} [props.multiSelect] - Whether several items can be selected
+ *   (defaults to false)
+ * @param {string|number|Array} [props.value] - Value of the selected item, or an
+ *   array of the values with multiSelect
+ * @param {Function} [props.onChange] - Called with the new value of the
+ *   selection (defaults to empty function)
+ * @param {number} [props.lines] - Number of lines of every item: 1, 2 or 3.
+ *   Required for the item height of long lists (defaults to 1 with height)
+ * @param {number} [props.height] - Height of the scrolling list in pixels,
+ *   which turns on windowed rendering
+ * @param {string} [props.label] - Accessible label of the list
+ * @param {string} [props.optionalClass] - Additional CSS classes for positioning
+ *   and styling (defaults to "")
+ * @returns {JSX.Element} Rendered list
+ * @since 1.1.0
+ * @example
+ * // Settings
+ * <List
+ *   label="Settings"
+ *   items={[
+ *     { value: "wifi", leading: <SvgWifi />, headline: "Wi-Fi",
+ *       control: "switch", checked: wifi, onChange: setWifi },
+ *     { value: "about", headline: "About", supportingText: "Version 1.1.0",
+ *       onClick: () => navigate("/about") },
+ *   ]}
+ * />
+ * @example
+ * // Multi-select over 10,000 two-line rows
+ * <List
+ *   label="Contacts"
+ *   selectable
+ *   multiSelect
+ *   value={chosen}
+ *   onChange={setChosen}
+ *   lines={2}
+ *   height={480}
+ *   items={contacts.map((c) => ({
+ *     value: c.id,
+ *     headline: c.name,
+ *     supportingText: c.email,
+ *     control: "checkbox",
+ *     controlPosition: "leading",
+ *   }))}
+ * />
+ */
+const List = ({
+  items = [],
+  selectable = false,
+  multiSelect = false,
+  value,
+  onChange = () => {},
+  lines,
+  height,
+  label,
+  optionalClass = "",
+}) => {
+  const ref = useRef(null);
+  const restoreFocus = useRef(false);
+  const [focused, setFocused] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const windowed = height !== undefined;
+  const itemHeight = itemHeights[lines ?? 1];
+  const selected = multiSelect
+    ? Array.isArray(value)
+      ? value
+      : value || value === 0
+        ? [value]
+        : []
+    : value;
+  const isSelected = (item) =>
+    multiSelect ? selected.includes(item.value) : item.value === selected;
+  const focusable = items
+    .map((item, index) => index)
+    .filter(
+      (index) =>
+        !items[index].disabled &&
+        (selectable || items[index].onClick || items[index].control),
+    );
+  const focusIndex =
+    focusable.find((index) => index >= focused) ?? focusable.at(-1) ?? -1;
+  const { start, end } = windowed
+    ? visibleRange({ scrollTop, height, itemHeight, count: items.length })
+    : { start: 0, end: items.length };
+
+  // Focus the item moved to once it is rendered
+  useEffect(() => {
+    if (restoreFocus.current) {
+      restoreFocus.current = false;
+      ref.current
+        .querySelector(`[data-index="${focusIndex}"] [data-list-item]`)
+        ?.focus();
+    }
+  });
+
+  const moveFocus = (index) => {
+    setFocused(index);
+    restoreFocus.current = true;
+    if (windowed) {
+      const list = ref.current;
+      const top = index * itemHeight;
+      if (top < list.scrollTop) {
+        list.scrollTop = top;
+      } else if (top + itemHeight > list.scrollTop + height) {
+        list.scrollTop = top + itemHeight - height;
+      }
+      setScrollTop(list.scrollTop);
+    }
+  };
+
+  const select = (item) => {
+    if (multiSelect) {
+      onChange(
+        isSelected(item)
+          ? selected.filter((v) => v !== item.value)
+          : [...selected, item.value],
+      );
+    } else {
+      onChange(item.value);
+    }
+  };
+
+  const onKeyDown = (event) => {
+    if (!event.target.matches("[data-list-item]") || focusable.length === 0) {
+      return;
+    }
+    const current = focusable.indexOf(focusIndex);
+    const page = Math.max(
+      1,
+      Math.floor((windowed ? height : window.innerHeight) / itemHeight),
+    );
+    const step = {
+      ArrowDown: 1,
+      ArrowUp: -1,
+      PageDown: page,
+      PageUp: -page,
+      Home: -focusable.length,
+      End: focusable.length,
+    }[event.key];
+    if (step === undefined) {
+      return;
+    }
+    event.preventDefault();
+    moveFocus(
+      focusable[Math.max(0, Math.min(focusable.length - 1, current + step))],
+    );
+  };
+
+  // The item in the tab sequence stays rendered when scrolled out of view
+  const indexes = Array.from({ length: end - start }, (_, i) => start + i);
+  if (
+    windowed &&
+    focusIndex >= 0 &&
+    (focusIndex < start || focusIndex >= end)
+  ) {
+    indexes.push(focusIndex);
+    indexes.sort((a, b) => a - b);
+  }
+
+  const rows = indexes.map((index) => {
+    const item = items[index];
+    // Screen readers only see the rendered items of a windowed list
+    const position = windowed
+      ? { setSize: items.length, posInSet: index + 1 }
+      : {};
+    return (
+      <div
+        key={item.value ?? index}
+        data-index={index}
+        role={selectable ? "none" : "listitem"}
+        aria-setsize={selectable ? undefined : position.setSize}
+        aria-posinset={selectable ? undefined : position.posInSet}
+        className={windowed ? "absolute inset-x-0" : undefined}
+        style={windowed ? { top: index * itemHeight } : undefined}
+      >
+        <ListItem
+          {...item}
+          {...(selectable ? position : {})}
+          lines={windowed ? (lines ?? 1) : (item.lines ?? lines)}
+          role={selectable ? "option" : undefined}
+          selected={selectable && isSelected(item)}
+          checked={selectable && item.control ? isSelected(item) : item.checked}
+          tabIndex={index === focusIndex ? 0 : -1}
+          onClick={
+            selectable
+              ? () => {
+                  select(item);
+                  item.onClick?.();
+                }
+              : item.onClick
+          }
+        />
+      </div>
+    );
+  });
+
+  return (
+    <div
+      ref={ref}
+      role={selectable ? "listbox" : "list"}
+      aria-label={label}
+      aria-multiselectable={selectable && multiSelect ? true : undefined}
+      className={`flex flex-col w-full
+        ${windowed ? "overflow-y-auto" : "py-2"} ${optionalClass}`}
+      style={windowed ? { height } : undefined}
+      onKeyDown={onKeyDown}
+      onFocus={(event) => {
+        const row = event.target.closest("[data-index]");
+        if (row) {
+          setFocused(Number(row.dataset.index));
+        }
+      }}
+      onScroll={
+        windowed
+          ? (event) => setScrollTop(event.currentTarget.scrollTop)
+          : undefined
+      }
+    >
+      {windowed ? (
+        <div
+          className="relative flex-none"
+          style={{ height: items.length * itemHeight }}
+        >
+          {rows}
+        </div>
+      ) : (
+        rows
+      )}
+    </div>
+  );
+};
+
+List.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      headline: PropTypes.string.isRequired,
+    }),
+  ),
+  selectable: PropTypes.bool,
+  multiSelect: PropTypes.bool,
+  value: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.number,
+    PropTypes.arrayOf(
+      PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    ),
+  ]),
+  onChange: PropTypes.func,
+  lines: PropTypes.oneOf([1, 2, 3]),
+  height: PropTypes.number,
+  label: PropTypes.string,
+  optionalClass: PropTypes.string,
+};
+
+export default List;
@@ -0,0 +1,275 @@
+/**
+ * @file ListItem component implementing Material Design 3 one-, two- and
+ * three-line list items.
+ * Rows of List with leading and trailing elements, selection and controls.
+ * @since 1.1.0
+ */
+
+import PropTypes from "prop-types";
+import CheckBox from "./CheckBox.jsx";
+import Switch from "./Switch.jsx";
+
+/**
+ * A row of a Material Design 3 list.
+ *
+ * Key features:
+ * - **Leading**: An icon, a round avatar or a square image, or a checkbox with
+ *   control="checkbox" and controlPosition="leading"
+ * - **Text**: Overline, headline and supporting text in one to three lines; the
+ *   supporting text of three-line items wraps onto two lines
+ * - **Trailing**: Text such as a time, an icon, or a CheckBox or Switch control
+ * - **Interaction**: Items with a control toggle it when clicked and are
+ *   announced as a checkbox or switch; items with onClick are buttons; other
+ *   items are static
+ *
+ * The CheckBox and Switch inside an item only show its state, so that the whole
+ * row is one target for the pointer, the keyboard and screen readers.
+ * @component
+ * @param {object} props - Component props
+ * @param {string} props.headline - Main text of the item
+ * @param {string} [props.overline] - Small text above the headline
+ * @param {string} [props.supportingText] - Text below the headline
+ * @param {React.ReactNode} [props.leading] - Leading icon, avatar or image
+ * @param {string} [props.leadingStyle] - "icon", "avatar" or "image"
+ *   (defaults to "icon")
+ * @param {string} [props.trailingText] - Text at the end, such as a time
+ * @param {React.ReactNode} [props.trailing] - Icon at the end
+ * @param {string} [props.control] - "checkbox" or "switch"
+ * @param {string} [props.controlPosition] - "leading" or "trailing"
+ *   (defaults to "trailing")
+ * @param {boolean} [props.checked] - State of the control (defaults to false)
+ * @param {Function} [props.onChange] - Called with the new state of the control
+ * @param {Function} [props.onClick] - Called when the item is clicked
+ * @param {number} [props.lines] - 1, 2 or 3; 3 without an overline lets the
+ *   supporting text wrap onto two lines (defaults to 3 with an overline, 2 with
+ *   supporting text, else 1)
+ * @param {boolean} [props.selected] - Whether the item is selected in a List
+ *   with selectable (defaults to false)
+ * @param {boolean} [props.disabled] - Whether the item is disabled
+ *   (defaults to false)
+ * @param {string} [props.role] - Set by List: "option" in selectable lists
+ * @param {number} [props.tabIndex] - Set by List for keyboard navigation
+ *   (defaults to 0)
+ * @param {number} [props.setSize] - Set by List: number of items of a windowed
+ *   list
+ * @param {number} [props.posInSet] - Set by List: position of the item in a
+ *   windowed list, from 1
+ * @returns {JSX.Element} Rendered list item
+ * @since 1.1.0
+ * @example
+ * // Two-line item with an avatar and a time
+ * <ListItem
+ *   leading={<img src={sender.photo} alt="" />}
+ *   leadingStyle="avatar"
+ *   headline={sender.name}
+ *   supportingText={message.subject}
+ *   trailingText="10:42"
+ *   onClick={() => openMessage(message.id)}
+ * />
+ * @example
+ * // Setting with a switch
+ * <ListItem
+ *   headline="Wi-Fi"
+ *   control="switch"
+ *   checked={wifi}
+ *   onChange={setWifi}
+ * />
+ */
+const ListItem = ({
+  headline,
+  overline,
+  supportingText,
+  leading,
+  leadingStyle = "icon",
+  trailingText,
+  trailing,
+  control,
+  controlPosition = "trailing",
+  checked = false,
+  onChange,
+  onClick,
+  lines,
+  selected = false,
+  disabled = false,
+  role,
+  tabIndex = 0,
+  setSize,
+  posInSet,
+}) => {
+  const lineCount = lines ?? (overline ? 3 : supportingText ? 2 : 1);
+  const isOption = role === "option";
+  const interactive = isOption || control || onClick;
+  const itemRole = isOption
+    ? "option"
+    : control === "switch"
+      ? "switch"
+      : control
+        ? "checkbox"
+        : onClick
+          ? "button"
+          : undefined;
+
+  const activate = () => {
+    if (disabled) {
+      return;
+    }
+    if (control && !isOption) {
+      onChange?.(!checked);
+    }
+    onClick?.();
+  };
+
+  const controlElement = control && (
+    <div inert className="flex flex-none items-center pointer-events-none">
+      {control === "switch" ? (
+        <Switch value={checked} disabled={disabled} />
+      ) : (
+        <CheckBox value={checked} disabled={disabled} />
+      )}
+    </div>
+  );
+
+  return (
+    <div
+      data-list-item
+      role={itemRole}
+      tabIndex={interactive && !disabled ? tabIndex : undefined}
+      aria-selected={isOption ? selected : undefined}
+      aria-checked={control && !isOption ? checked : undefined}
+      aria-disabled={interactive && disabled ? true : undefined}
+      aria-setsize={setSize}
+      aria-posinset={posInSet}
+      className={`flex flex-row w-full gap-4 pl-4 pr-6 outline-0
+        ${lineCount === 3 ? "items-start py-3" : "items-center py-2"}
+        ${lineCount === 1 ? "h-14" : lineCount === 2 ? "h-[72px]" : "h-[88px]"}
+        ${
+          selected
+            ? `bg-light-secondary-container dark:bg-dark-secondary-container
+              text-light-on-secondary-container dark:text-dark-on-secondary-container`
+            : ""
+        }
+        ${
+          disabled
+            ? "text-light-on-surface/40 dark:text-dark-on-surface/40"
+            : interactive
+              ? `cursor-pointer
+                hover:bg-light-on-surface/8 dark:hover:bg-dark-on-surface/8
+                focus-visible:bg-light-on-surface/12 dark:focus-visible:bg-dark-on-surface/12
+                active:bg-light-on-surface/12 dark:active:bg-dark-on-surface/12`
+              : ""
+        }`}
+      onClick={interactive ? activate : undefined}
+      onKeyDown={
+        interactive
+          ? (event) => {
+              if (event.key === "Enter" || event.key === " ") {
+                event.preventDefault();
+                activate();
+              }
+            }
+          : undefined
+      }
+    >
+      {controlPosition === "leading" && controlElement}
+      {leading && (
+        <div
+          className={`flex flex-none overflow-hidden ${
+            leadingStyle === "avatar"
+              ? "size-10 rounded-full"
+              : leadingStyle === "image"
+                ? "size-14"
+                : `size-6 ${
+                    disabled || selected
+                      ? ""
+                      : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+                  }`
+          }`}
+        >
+          {leading}
+        </div>
+      )}
+      <div className="flex flex-col grow min-w-0">
+        {overline && (
+          <div
+            className={`text-xs truncate ${
+              disabled || selected
+                ? ""
+                : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+            }`}
+          >
+            {overline}
+          </div>
+        )}
+        <div
+          className={`text-base truncate ${
+            disabled || selected
+              ? ""
+              : "text-light-on-surface dark:text-dark-on-surface"
+          }`}
+        >
+          {headline}
+        </div>
+        {supportingText && (
+          <div
+            className={`text-sm ${
+              lineCount === 3 && !overline ? "line-clamp-2" : "truncate"
+            } ${
+              disabled || selected
+                ? ""
+                : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+            }`}
+          >
+            {supportingText}
+          </div>
+        )}
+      </div>
+      {trailingText && (
+        <div
+          className={`flex-none text-xs ${
+            disabled || selected
+              ? ""
+              : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+          }`}
+        >
+          {trailingText}
+        </div>
+      )}
+      {trailing && (
+        <div
+          className={`flex flex-none size-6 ${
+            disabled || selected
+              ? ""
+              : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+          }`}
+        >
+          {trailing}
+        </div>
+      )}
+      {controlPosition === "trailing" && controlElement}
+    </div>
+  );
+};
+
+ListItem.propTypes = {
+  headline: PropTypes.string.isRequired,
+  overline: PropTypes.string,
+  supportingText: PropTypes.string,
+  leading: PropTypes.node,
+  leadingStyle: PropTypes.oneOf(["icon", "avatar", "image"]),
+  trailingText: PropTypes.string,
+  trailing: PropTypes.node,
+  control: PropTypes.oneOf(["checkbox", "switch"]),
+  controlPosition: PropTypes.oneOf(["leading", "trailing"]),
+  checked: PropTypes.bool,
+  onChange: PropTypes.func,
+  onClick: PropTypes.func,
+  lines: PropTypes.oneOf([1, 2, 3]),
+  selected: PropTypes.bool,
+  disabled: PropTypes.bool,
+  role: PropTypes.string,
+  tabIndex: PropTypes.number,
+  setSize: PropTypes.number,
+  posInSet: PropTypes.number,
+};
+
+export default ListItem;
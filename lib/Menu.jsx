@@ -0,0 +1,481 @@
+/**
+ * @file Menu component implementing Material Design 3 menus.
+ * Opens a list of actions from a trigger element or as a context menu, with submenus
+ * and full keyboard support.
+ * @since 1.1.0
+ */
+
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import PropTypes from "prop-types";
+import { placeMenu } from "./menu-position.js";
+import { createTypeahead, typeaheadIndex } from "./listbox.js";
+
+/**
+ * Material icons 'Arrow right' for items with a submenu.
+ * @private
+ * @returns {JSX.Element} SVG icon
+ */
+const SubmenuIcon = () => (
+  /* Material icons 'Arrow right' https://fonts.google.com/icons */
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 -960 960 960"
+    fill="currentColor"
+  >
+    <path d="M400-280v-400l200 200-200 200Z" />
+  </svg>
+);
+
+/**
+ * List of menu items, positioned next to its anchor. Renders the list of an open
+ * submenu inside the item it belongs to.
+ * @component
+ * @private
+ * @param {object} props - Component props
+ * @param {Array<object>} props.items - Items of the list, see Menu
+ * @param {object} props.anchor - Rectangle to open the list from
+ * @param {string} props.side - "bottom" or "right", see placeMenu()
+ * @param {string} props.align - "start" or "end", see placeMenu()
+ * @param {string} [props.label] - Accessible label of the list
+ * @param {Function} props.onSelect - Called with an item that was chosen
+ * @param {Function} props.onClose - Called to close this list, with true when
+ *   the focus should return to where the list was opened from
+ * @param {object} [props.listRef] - Ref to the list element
+ * @returns {JSX.Element} Rendered menu list
+ */
+const MenuList = ({
+  items,
+  anchor,
+  side,
+  align,
+  label,
+  onSelect,
+  onClose,
+  listRef,
+}) => {
+  const ownRef = useRef(null);
+  const ref = listRef ?? ownRef;
+  const itemRefs = useRef([]);
+  const [typeahead] = useState(createTypeahead);
+  const [position, setPosition] = useState(null);
+  const [submenu, setSubmenu] = useState(null);
+
+  useLayoutEffect(() => {
+    const { width, height } = ref.current.getBoundingClientRect();
+    setPosition(
+      placeMenu(
+        anchor,
+        { width, height },
+        {
+          side,
+          align,
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+        },
+      ),
+    );
+  }, [ref, anchor, side, align]);
+
+  const enabled = () =>
+    items
+      .map((item, index) => index)
+      .filter((index) => items[index].label && !items[index].disabled);
+
+  const focusItem = (index) => itemRefs.current[index]?.focus();
+
+  // Focus the first item once the list is visible
+  const shown = position !== null;
+  useEffect(() => {
+    if (shown) {
+      focusItem(enabled()[0]);
+    }
+  }, [shown]);
+
+  const openSubmenu = (index) =>
+    setSubmenu({
+      index,
+      anchor: itemRefs.current[index].getBoundingClientRect(),
+    });
+
+  const closeSubmenu = (refocus) => {
+    if (refocus) {
+      focusItem(submenu.index);
+    }
+    setSubmenu(null);
+  };
+
+  const onKeyDown = (event) => {
+    // Tab leaves every level of the menu
+    if (event.key === "Tab") {
+      return onClose(false);
+    }
+    // Other keys in a submenu are handled there
+    if (event.target.closest('[role="menu"]') !== event.currentTarget) {
+      return;
+    }
+    const indexes = enabled();
+    const current = indexes.indexOf(
+      itemRefs.current.indexOf(document.activeElement),
+    );
+    const item = items[itemRefs.current.indexOf(document.activeElement)];
+    const move = (index) => {
+      event.preventDefault();
+      event.stopPropagation();
+      focusItem(indexes[(index + indexes.length) % indexes.length]);
+    };
+
+    switch (event.key) {
+      case "ArrowDown":
+        return move(current + 1);
+      case "ArrowUp":
+        return move(current < 0 ? -1 : current - 1);
+      case "Home":
+        return move(0);
+      case "End":
+        return move(-1);
+      case "ArrowRight":
+        if (item?.items) {
+          event.preventDefault();
+          event.stopPropagation();
+          openSubmenu(itemRefs.current.indexOf(document.activeElement));
+        }
+        return;
+      case "ArrowLeft":
+        if (side === "right") {
+          event.preventDefault();
+          event.stopPropagation();
+          onClose(true);
+        }
+        return;
+      case "Escape":
+        event.preventDefault();
+        event.stopPropagation();
+        return onClose(true);
+    }
+
+    if (
+      event.key.length === 1 &&
+      !event.ctrlKey &&
+      !event.metaKey &&
+      !event.altKey
+    ) {
+      const match = typeaheadIndex(
+        indexes.map((index) => items[index].label),
+        typeahead(event.key),
+        current,
+      );
+      if (match >= 0) {
+        event.preventDefault();
+        event.stopPropagation();
+        focusItem(indexes[match]);
+      }
+    }
+  };
+
+  return (
+    <div
+      ref={ref}
+      role="menu"
+      aria-label={label}
+      aria-orientation="vertical"
+      className={`flex flex-col fixed z-50 min-w-28 max-w-70 py-2
+        max-h-[calc(100vh-16px)] overflow-y-auto rounded-sm
+        bg-light-surface-container dark:bg-dark-surface-container
+        shadow-md shadow-light-shadow/30 dark:shadow-dark-shadow/30`}
+      style={position ?? { top: 0, left: 0, visibility: "hidden" }}
+      onKeyDown={onKeyDown}
+    >
+      {items.map((item, index) =>
+        item.label ? (
+          <div key={index} role="none">
+            <button
+              ref={(element) => (itemRefs.current[index] = element)}
+              role="menuitem"
+              tabIndex={-1}
+              aria-disabled={item.disabled || undefined}
+              aria-haspopup={item.items ? "menu" : undefined}
+              aria-expanded={item.items ? submenu?.index === index : undefined}
+              className={`flex flex-row items-center w-full h-12 px-3 gap-3
+                text-left outline-none
+                ${
+                  item.disabled
+                    ? `text-light-on-surface/40 dark:text-dark-on-surface/40`
+                    : `cursor-pointer
+                      text-light-on-surface dark:text-dark-on-surface
+                      hover:bg-light-on-surface/8 dark:hover:bg-dark-on-surface/8
+                      focus-visible:bg-light-on-surface/12 dark:focus-visible:bg-dark-on-surface/12`
+                }
+                ${
+                  submenu?.index === index
+                    ? "bg-light-on-surface/8 dark:bg-dark-on-surface/8"
+                    : ""
+                }`}
+              onClick={() => {
+                if (item.disabled) {
+                  return;
+                }
+                if (item.items) {
+                  openSubmenu(index);
+                } else {
+                  onSelect(item);
+                }
+              }}
+              onMouseEnter={() => {
+                if (!item.disabled && item.items) {
+                  openSubmenu(index);
+                } else if (submenu) {
+                  setSubmenu(null);
+                }
+              }}
+            >
+              {item.icon && (
+                <div
+                  className={`size-6 ${
+                    item.disabled
+                      ? ""
+                      : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+                  }`}
+                >
+                  {item.icon}
+                </div>
+              )}
+              <span className="grow truncate">{item.label}</span>
+              {item.trailing && (
+                <span
+                  className={`text-sm ${
+                    item.disabled
+                      ? ""
+                      : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+                  }`}
+                >
+                  {item.trailing}
+                </span>
+              )}
+              {item.items && (
+                <div className="size-6">
+                  <SubmenuIcon />
+                </div>
+              )}
+            </button>
+            {submenu?.index === index && (
+              <MenuList
+                items={item.items}
+                anchor={submenu.anchor}
+                side="right"
+                align="start"
+                label={item.label}
+                onSelect={onSelect}
+                onClose={closeSubmenu}
+              />
+            )}
+          </div>
+        ) : (
+          <hr key={index} role="separator" className="my-2" />
+        ),
+      )}
+    </div>
+  );
+};
+
+MenuList.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.object).isRequired,
+  anchor: PropTypes.object.isRequired,
+  side: PropTypes.oneOf(["bottom", "right"]).isRequired,
+  align: PropTypes.oneOf(["start", "end"]).isRequired,
+  label: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  listRef: PropTypes.object,
+};
+
+/**
+ * A menu implementing Material Design 3 menus, for overflow actions and context
+ * menus.
+ *
+ * Key features:
+ * - **Trigger**: Opens below the element given as children, such as
+ *   Button.forAppBar() in the suffix of an AppBar, which needs no extra props
+ * - **Context Menu**: With contextMenu, opens at the pointer on a right click
+ *   on the children instead
+ * - **Viewport**: Flips to the other side of the trigger or submenu item when
+ *   there is no room, and shifts to stay inside the viewport
+ * - **Items**: Leading icons, trailing text such as keyboard shortcuts,
+ *   dividers, disabled items and nested submenus
+ * - **Keyboard**: Arrow keys, Home and End move the focus, typing the first
+ *   letters of a label jumps to it, ArrowRight and ArrowLeft open and close
+ *   submenus, and Escape closes the menu and returns the focus to the trigger
+ * - **Accessibility**: `menu`, `menuitem` and `separator` roles, and
+ *   `aria-haspopup` and `aria-expanded` on the trigger and submenu items
+ *
+ * The menu closes when an item is chosen, on a click outside it, and when the
+ * window is scrolled or resized.
+ * @component
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - Trigger element, or the area of
+ *   the context menu
+ * @param {Array<object>} [props.items] - Items of the menu (defaults to []).
+ *   Each item supports icon, label, trailing, onClick, disabled and items for
+ *   a submenu. Empty objects ({}) render as dividers.
+ * @param {string} [props.label] - Accessible label of the menu
+ * @param {string} [props.align] - "start" to align the menu with the left edge
+ *   of the trigger, or "end" with its right edge (defaults to "start")
+ * @param {boolean} [props.contextMenu] - Whether to open the menu on a right
+ *   click at the pointer (defaults to false)
+ * @returns {JSX.Element} The trigger and the open menu
+ * @since 1.1.0
+ * @example
+ * // Overflow menu in the app bar
+ * <AppBar
+ *   appName="Notes"
+ *   suffix={[
+ *     <Menu
+ *       key="more"
+ *       label="More"
+ *       align="end"
+ *       items={[
+ *         { icon: <SvgShare />, label: "Share", onClick: share },
+ *         { label: "Export", items: [
+ *           { label: "PDF", onClick: () => exportAs("pdf") },
+ *           { label: "Markdown", onClick: () => exportAs("md") },
+ *         ] },
+ *         {},
+ *         { icon: <SvgDelete />, label: "Delete", trailing: "Del", onClick: remove },
+ *       ]}
+ *     >
+ *       {Button.forAppBar({ icon: <SvgMoreVert /> })}
+ *     </Menu>,
+ *   ]}
+ * />
+ * @example
+ * // Context menu of a list row
+ * <Menu contextMenu items={[{ label: "Rename", onClick: rename }]}>
+ *   <div>{file.name}</div>
+ * </Menu>
+ */
+const Menu = ({
+  children,
+  items = [],
+  label,
+  align = "start",
+  contextMenu = false,
+}) => {
+  const anchorRef = useRef(null);
+  const listRef = useRef(null);
+  const [anchor, setAnchor] = useState(null);
+
+  const triggerElement = () =>
+    anchorRef.current.querySelector("button, a[href], [tabindex]") ??
+    anchorRef.current;
+
+  const close = (refocus) => {
+    setAnchor(null);
+    if (refocus && !contextMenu) {
+      triggerElement().focus();
+    }
+  };
+
+  const open = () => setAnchor(anchorRef.current.getBoundingClientRect());
+
+  // Announce the menu on the trigger, which can be any element
+  useEffect(() => {
+    if (contextMenu) {
+      return;
+    }
+    const trigger = triggerElement();
+    trigger.setAttribute("aria-haspopup", "menu");
+    trigger.setAttribute("aria-expanded", anchor ? "true" : "false");
+  }, [anchor, contextMenu]);
+
+  useEffect(() => {
+    if (!anchor) {
+      return;
+    }
+    const onPointerDown = (event) => {
+      if (
+        !listRef.current.contains(event.target) &&
+        !anchorRef.current.contains(event.target)
+      ) {
+        setAnchor(null);
+      }
+    };
+    const onViewportChange = (event) => {
+      // Scrolling inside the menu keeps it open
+      if (!listRef.current.contains(event.target)) {
+        setAnchor(null);
+      }
+    };
+    document.addEventListener("pointerdown", onPointerDown);
+    window.addEventListener("scroll", onViewportChange, true);
+    window.addEventListener("resize", onViewportChange);
+    return () => {
+      document.removeEventListener("pointerdown", onPointerDown);
+      window.removeEventListener("scroll", onViewportChange, true);
+      window.removeEventListener("resize", onViewportChange);
+    };
+  }, [anchor]);
+
+  return (
+    <>
+      <span
+        ref={anchorRef}
+        className={contextMenu ? "contents" : "inline-flex"}
+        onClick={
+          contextMenu ? undefined : () => (anchor ? close(false) : open())
+        }
+        onKeyDown={(event) => {
+          if (!contextMenu && !anchor && event.key === "ArrowDown") {
+            event.preventDefault();
+            open();
+          }
+        }}
+        onContextMenu={
+          contextMenu
+            ? (event) => {
+                event.preventDefault();
+                const { clientX: x, clientY: y } = event;
+                setAnchor({ top: y, right: x, bottom: y, left: x });
+              }
+            : undefined
+        }
+      >
+        {children}
+      </span>
+      {anchor &&
+        createPortal(
+          <MenuList
+            listRef={listRef}
+            items={items}
+            anchor={anchor}
+            side="bottom"
+            align={align}
+            label={label}
+            onSelect={(item) => {
+              close(true);
+              item.onClick?.();
+            }}
+            onClose={close}
+          />,
+          document.body,
+        )}
+    </>
+  );
+};
+
+Menu.propTypes = {
+  children: PropTypes.node.isRequired,
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      icon: PropTypes.node,
+      label: PropTypes.string,
+      trailing: PropTypes.string,
+      onClick: PropTypes.func,
+      disabled: PropTypes.bool,
+      items: PropTypes.arrayOf(PropTypes.object),
+    }),
+  ),
+  label: PropTypes.string,
+  align: PropTypes.oneOf(["start", "end"]),
+  contextMenu: PropTypes.bool,
+};
+
+export default Menu;
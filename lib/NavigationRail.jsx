@@ -4,7 +4,9 @@
  * @since 1.0.0
  */
 
+import { Fragment } from "react";
 import PropTypes from "prop-types";
+import Tooltip from "./Tooltip.jsx";
 
 /**
  * @typedef {object} NavigationRailItem
@@ -13,6 +15,7 @@ import PropTypes from "prop-types";
  * @property {boolean} [active=false] - Whether the navigation item is currently active/selected
  * @property {boolean} [disabled=false] - Whether the navigation item is disabled and non-interactive
  * @property {Function} onClick - Callback function triggered when the navigation item is clicked
+ * @property {string} [tooltip] - Text of a plain tooltip describing the destination
  */
 
 /**
@@ -30,6 +33,7 @@ import PropTypes from "prop-types";
  * - Supports disabled states with reduced opacity
  * - Provides hover effects that adapt based on screen size
  * - Follows Material Design 3 theming guidelines with proper light/dark mode support
+ * - Optional tooltips that describe destinations whose short labels need more context
  * @since 1.0.0
  * @param {object} props - Component props
  * @param {Array<NavigationRailItem>} props.items - Array of navigation items to display
@@ -82,10 +86,10 @@ const NavigationRail = ({
         bg-light-surface-container dark:bg-dark-surface-container
         shadow-sm shadow-light-shadow dark:shadow-dark-shadow`}
     >
-      {items.map((item, index) => (
-        <button
-          key={index}
-          className={`flex flex-col lg:flex-row h-14 w-full rounded-full
+      {items.map((item, index) => {
+        const button = (
+          <button
+            className={`flex flex-col lg:flex-row h-14 w-full rounded-full
             items-center px-2 lg:px-4 lg:gap-2
             ${item.disabled ? "" : "cursor-pointer"} ${
               item.disabled
@@ -96,10 +100,10 @@ const NavigationRail = ({
                   lg:hover:brightness-95 lg:hover:dark:brightness-110`
                   : `lg:hover:bg-light-on-secondary-container/10 lg:hover:dark:bg-dark-on-secondary-container/10`
             }`}
-          onClick={item.onClick}
-        >
-          <div
-            className={`flex flex-row justify-center items-center
+            onClick={item.onClick}
+          >
+            <div
+              className={`flex flex-row justify-center items-center
               w-14 lg:w-fit h-8 lg:h-fit rounded-full ${
                 item.disabled
                   ? `text-light-on-surface/40 dark:text-dark-on-surface/40`
@@ -114,22 +118,35 @@ const NavigationRail = ({
               }
               lg:bg-transparent lg:dark:bg-transparent
               lg:hover:bg-transparent lg:dark:hover:bg-transparent`}
+            >
+              <div className={`size-6`}>{item.icon}</div>
+            </div>
+            <div
+              className={`text-xs lg:text-base py-1 ${
+                item.disabled
+                  ? `text-light-on-surface/40 dark:text-dark-on-surface/40`
+                  : item.active
+                    ? `text-light-secondary dark:text-dark-secondary`
+                    : `text-light-on-surface-variant dark:text-dark-on-surface-variant`
+              }`}
+            >
+              {item.label}
+            </div>
+          </button>
+        );
+        return item.tooltip ? (
+          <Tooltip
+            key={index}
+            text={item.tooltip}
+            side="top"
+            optionalClass="w-full"
           >
-            <div className={`size-6`}>{item.icon}</div>
-          </div>
-          <div
-            className={`text-xs lg:text-base py-1 ${
-              item.disabled
-                ? `text-light-on-surface/40 dark:text-dark-on-surface/40`
-                : item.active
-                  ? `text-light-secondary dark:text-dark-secondary`
-                  : `text-light-on-surface-variant dark:text-dark-on-surface-variant`
-            }`}
-          >
-            {item.label}
-          </div>
-        </button>
-      ))}
+            {button}
+          </Tooltip>
+        ) : (
+          <Fragment key={index}>{button}</Fragment>
+        );
+      })}
     </div>
   );
 };
@@ -142,6 +159,7 @@ NavigationRail.propTypes = {
       active: PropTypes.bool,
       disabled: PropTypes.bool,
       onClick: PropTypes.func,
+      tooltip: PropTypes.string,
     }),
   ),
   optionalClass: PropTypes.string,
@@ -0,0 +1,538 @@
+/**
+ * @file Select field component built on TextField.
+ * Opens a themed listbox with keyboard navigation, typeahead, search, multi-select
+ * and windowed rendering of long option lists.
+ * @since 1.1.0
+ */
+
+import { useEffect, useId, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import PropTypes from "prop-types";
+import TextField from "./TextField.jsx";
+import ChipSet from "./ChipSet.jsx";
+import { placeMenu } from "./menu-position.js";
+import {
+  createTypeahead,
+  filterOptions,
+  typeaheadIndex,
+  visibleRange,
+} from "./listbox.js";
+
+/**
+ * Height of an option in pixels, the h-12 of its class.
+ * @private
+ */
+const itemHeight = 48;
+
+/**
+ * Options visible in the listbox without scrolling.
+ * @private
+ */
+const maxVisibleItems = 6;
+
+/**
+ * Height of the box of the field in pixels. The box of both the filled and the
+ * outlined TextField ends 56px below its top; the message line follows.
+ * @private
+ */
+const fieldHeight = 56;
+
+/**
+ * Material icons 'Arrow drop down', the default suffix.
+ * @private
+ * @returns {JSX.Element} SVG icon
+ */
+const ArrowIcon = () => (
+  /* Material icons 'Arrow drop down' https://fonts.google.com/icons */
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 -960 960 960"
+    fill="currentColor"
+  >
+    <path d="M480-360 280-560h400L480-360Z" />
+  </svg>
+);
+
+/**
+ * Material icons 'Check' for the selected options.
+ * @private
+ * @returns {JSX.Element} SVG icon
+ */
+const CheckIcon = () => (
+  /* Material icons 'Check' https://fonts.google.com/icons */
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 -960 960 960"
+    fill="currentColor"
+  >
+    <path d="M382-240 154-468l57-57 171 171 367-367 57 57-424 424Z" />
+  </svg>
+);
+
+/**
+ * A select field implementing the Material Design 3 exposed dropdown menu, with
+ * the filled and outlined chrome, floating label, message line and prefix and
+ * suffix slots of TextField.
+ *
+ * Key features:
+ * - **Listbox**: Opens a themed listbox below the field, or above it near the
+ *   bottom of the viewport
+ * - **Keyboard**: ArrowDown and ArrowUp open the listbox and move through the
+ *   options, Home and End jump to the ends, Enter and Space choose, Escape
+ *   closes, and typing the first letters of a label jumps to it
+ * - **Search**: With searchable, the user types into the field to filter the
+ *   options by label
+ * - **Multi-select**: With multiple, the value is an array, the listbox stays
+ *   open while choosing, and the chosen options are shown as removable chips
+ *   below the field
+ * - **Long Lists**: Only the options scrolled into view are rendered, so lists
+ *   of thousands of options open at once
+ * - **Accessibility**: `combobox`, `listbox` and `option` roles with
+ *   `aria-activedescendant`, so that the focus stays in the field
+ * @component
+ * @param {object} props - Component props
+ * @param {string} [props.id] - Identifier of the input element
+ * @param {string|number|Array} [props.value] - Value of the chosen option, or an
+ *   array of the values with multiple
+ * @param {Array<object>} [props.options] - Options with value, label and
+ *   disabled (defaults to [])
+ * @param {string} [props.label] - Floating label of the field and accessible
+ *   label of the listbox
+ * @param {string} [props.message] - Helper text below the field
+ * @param {string} [props.error] - Error message that replaces the helper text
+ * @param {React.ReactNode} [props.prefix] - Element at the start of the field
+ * @param {React.ReactNode} [props.suffix] - Element at the end of the field
+ *   (defaults to a drop-down arrow)
+ * @param {string} [props.style] - "filled", or the outlined style by default
+ * @param {string} [props.width] - Tailwind CSS width class (defaults to "w-48")
+ * @param {string} [props.fontFamily] - Tailwind CSS font family class
+ *   (defaults to "font-sans")
+ * @param {Function} [props.onChange] - Called with the new value, or the new
+ *   array of values with multiple (defaults to empty function)
+ * @param {boolean} [props.multiple] - Whether several options can be chosen
+ *   (defaults to false)
+ * @param {boolean} [props.searchable] - Whether typing filters the options
+ *   (defaults to false)
+ * @param {boolean} [props.disabled] - Whether the field is disabled
+ *   (defaults to false)
+ * @param {string} [props.noOptionsLabel] - Shown when no option matches the
+ *   search (defaults to "No options")
+ * @param {string} [props.removeLabel] - Accessible label of the remove buttons
+ *   of the chips, followed by the option label (defaults to "Remove")
+ * @returns {JSX.Element} Rendered select field
+ * @since 1.1.0
+ * @example
+ * // Single choice in the outlined style
+ * <Select
+ *   label="Size"
+ *   value={size}
+ *   options={[
+ *     { value: "s", label: "Small" },
+ *     { value: "m", label: "Medium" },
+ *     { value: "l", label: "Large", disabled: true },
+ *   ]}
+ *   onChange={setSize}
+ * />
+ * @example
+ * // Searchable multi-select over a long list
+ * <Select
+ *   label="Countries"
+ *   style="filled"
+ *   width="w-80"
+ *   value={countries}
+ *   options={allCountries.map((c) => ({ value: c.code, label: c.name }))}
+ *   onChange={setCountries}
+ *   multiple
+ *   searchable
+ * />
+ */
+const Select = ({
+  id,
+  value,
+  options = [],
+  label,
+  message,
+  error,
+  prefix,
+  suffix,
+  style,
+  width = "w-48",
+  fontFamily = "font-sans",
+  onChange = () => {},
+  multiple = false,
+  searchable = false,
+  disabled = false,
+  noOptionsLabel = "No options",
+  removeLabel = "Remove",
+}) => {
+  const generatedId = useId();
+  const inputId = id ?? generatedId;
+  const listboxId = `${inputId}-listbox`;
+  const ref = useRef(null);
+  const listRef = useRef(null);
+  const [anchor, setAnchor] = useState(null);
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(-1);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [typeahead] = useState(createTypeahead);
+
+  const open = anchor !== null;
+  const selected = multiple ? (value ?? []) : value == null ? [] : [value];
+  const isSelected = (option) => selected.includes(option.value);
+  const selectedOptions = options.filter(isSelected);
+  const shown = searchable ? filterOptions(options, query) : options;
+  const enabled = shown
+    .map((option, index) => index)
+    .filter((index) => !shown[index].disabled);
+  const listHeight =
+    Math.min(Math.max(shown.length, 1), maxVisibleItems) * itemHeight;
+
+  const openList = (index) => {
+    const { top, left, right } = ref.current.getBoundingClientRect();
+    setAnchor({ top, left, right, bottom: top + fieldHeight });
+    setActive(
+      index ??
+        enabled.find((index) => isSelected(shown[index])) ??
+        enabled[0] ??
+        -1,
+    );
+  };
+
+  const closeList = () => {
+    setAnchor(null);
+    setQuery("");
+    setActive(-1);
+    setScrollTop(0);
+  };
+
+  const choose = (option) => {
+    if (option.disabled) {
+      return;
+    }
+    if (multiple) {
+      onChange(
+        isSelected(option)
+          ? selected.filter((item) => item !== option.value)
+          : [...selected, option.value],
+      );
+    } else {
+      onChange(option.value);
+      closeList();
+    }
+  };
+
+  const moveActive = (step) => {
+    if (enabled.length === 0) {
+      return;
+    }
+    const current = enabled.indexOf(active);
+    const next =
+      current < 0
+        ? step > 0
+          ? 0
+          : enabled.length - 1
+        : (current + step + enabled.length) % enabled.length;
+    setActive(enabled[next]);
+  };
+
+  // Scroll the active option into view; it may not be rendered yet
+  useEffect(() => {
+    const list = listRef.current;
+    if (!list || active < 0) {
+      return;
+    }
+    const top = active * itemHeight;
+    if (top < list.scrollTop) {
+      list.scrollTop = top;
+    } else if (top + itemHeight > list.scrollTop + listHeight) {
+      list.scrollTop = top + itemHeight - listHeight;
+    }
+    setScrollTop(list.scrollTop);
+  }, [active, listHeight]);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    const onViewportChange = (event) => {
+      // Scrolling the listbox keeps it open
+      if (!listRef.current?.contains(event.target)) {
+        closeList();
+      }
+    };
+    window.addEventListener("scroll", onViewportChange, true);
+    window.addEventListener("resize", onViewportChange);
+    return () => {
+      window.removeEventListener("scroll", onViewportChange, true);
+      window.removeEventListener("resize", onViewportChange);
+    };
+  }, [open]);
+
+  const onKeyDown = (event) => {
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        event.preventDefault();
+        return open
+          ? moveActive(event.key === "ArrowDown" ? 1 : -1)
+          : openList();
+      case "Home":
+      case "End":
+        // Searchable fields move the caret instead
+        if (open && !searchable) {
+          event.preventDefault();
+          setActive((event.key === "Home" ? enabled[0] : enabled.at(-1)) ?? -1);
+        }
+        return;
+      case "Enter":
+        event.preventDefault();
+        if (!open) {
+          openList();
+        } else if (active >= 0) {
+          choose(shown[active]);
+        }
+        return;
+      case " ":
+        if (!searchable) {
+          event.preventDefault();
+          if (!open) {
+            openList();
+          } else if (active >= 0) {
+            choose(shown[active]);
+          }
+        }
+        return;
+      case "Escape":
+        if (open) {
+          event.preventDefault();
+          closeList();
+        }
+        return;
+      case "Backspace":
+        if (multiple && searchable && query === "" && selected.length > 0) {
+          onChange(selected.slice(0, -1));
+        }
+        return;
+    }
+
+    if (
+      !searchable &&
+      event.key.length === 1 &&
+      !event.ctrlKey &&
+      !event.metaKey &&
+      !event.altKey
+    ) {
+      const match = typeaheadIndex(
+        enabled.map((index) => shown[index].label),
+        typeahead(event.key),
+        enabled.indexOf(active),
+      );
+      if (match >= 0) {
+        if (open) {
+          setActive(enabled[match]);
+        } else {
+          openList(enabled[match]);
+        }
+      }
+    }
+  };
+
+  const { start, end } = visibleRange({
+    scrollTop,
+    height: listHeight,
+    itemHeight,
+    count: shown.length,
+  });
+
+  const position =
+    open &&
+    placeMenu(
+      anchor,
+      { width: anchor.right - anchor.left, height: listHeight },
+      { viewport: { width: window.innerWidth, height: window.innerHeight } },
+    );
+
+  return (
+    <div ref={ref} className={`flex flex-col ${width}`}>
+      <TextField
+        id={inputId}
+        value={
+          searchable && open
+            ? query
+            : selectedOptions.map((option) => option.label).join(", ")
+        }
+        label={label}
+        message={message}
+        error={error}
+        prefix={prefix}
+        suffix={suffix ?? <ArrowIcon />}
+        style={style}
+        width="w-full"
+        fontFamily={fontFamily}
+        onChange={(text) => {
+          setQuery(text);
+          const matches = filterOptions(options, text);
+          const first = matches.findIndex((option) => !option.disabled);
+          if (open) {
+            setActive(first);
+            setScrollTop(0);
+          } else {
+            openList(first);
+          }
+        }}
+        disabled={disabled}
+        inputProps={{
+          role: "combobox",
+          readOnly: !searchable,
+          autoComplete: "off",
+          "aria-expanded": open,
+          "aria-controls": listboxId,
+          "aria-haspopup": "listbox",
+          "aria-autocomplete": searchable ? "list" : "none",
+          "aria-activedescendant":
+            open && active >= 0 ? `${listboxId}-${active}` : undefined,
+          onClick: () => {
+            if (!open) {
+              openList();
+            } else if (!searchable) {
+              closeList();
+            }
+          },
+          onKeyDown,
+          onBlur: closeList,
+        }}
+      />
+      {multiple && selectedOptions.length > 0 && (
+        <ChipSet
+          type="input"
+          label={label}
+          items={selectedOptions.map((option) => ({
+            value: option.value,
+            label: option.label,
+          }))}
+          onRemove={(removed) =>
+            onChange(selected.filter((item) => item !== removed))
+          }
+          disabled={disabled}
+          removeLabel={removeLabel}
+          optionalClass="pt-2"
+        />
+      )}
+      {open &&
+        createPortal(
+          <div
+            ref={listRef}
+            id={listboxId}
+            role="listbox"
+            aria-label={label}
+            aria-multiselectable={multiple || undefined}
+            className={`fixed z-50 overflow-y-auto rounded-sm
+              bg-light-surface-container dark:bg-dark-surface-container
+              shadow-md shadow-light-shadow/30 dark:shadow-dark-shadow/30`}
+            style={{
+              ...position,
+              width: anchor.right - anchor.left,
+              height: listHeight,
+            }}
+            // Keep the focus in the field
+            onMouseDown={(event) => event.preventDefault()}
+            onScroll={(event) => setScrollTop(event.currentTarget.scrollTop)}
+          >
+            {shown.length === 0 ? (
+              <div
+                className={`flex items-center h-12 px-3
+                  text-light-on-surface-variant dark:text-dark-on-surface-variant`}
+              >
+                {noOptionsLabel}
+              </div>
+            ) : (
+              <div
+                className="relative"
+                style={{ height: shown.length * itemHeight }}
+              >
+                {shown.slice(start, end).map((option, offset) => {
+                  const index = start + offset;
+                  return (
+                    <div
+                      key={option.value}
+                      id={`${listboxId}-${index}`}
+                      role="option"
+                      aria-selected={isSelected(option)}
+                      aria-disabled={option.disabled || undefined}
+                      className={`flex flex-row items-center absolute inset-x-0
+                        h-12 px-3 gap-3
+                        ${
+                          option.disabled
+                            ? "text-light-on-surface/40 dark:text-dark-on-surface/40"
+                            : isSelected(option)
+                              ? `cursor-pointer
+                                bg-light-secondary-container dark:bg-dark-secondary-container
+                                text-light-on-secondary-container dark:text-dark-on-secondary-container`
+                              : `cursor-pointer
+                                text-light-on-surface dark:text-dark-on-surface`
+                        }
+                        ${
+                          index === active
+                            ? "brightness-95 dark:brightness-125"
+                            : ""
+                        }`}
+                      style={{ top: index * itemHeight }}
+                      onClick={() => choose(option)}
+                      onMouseMove={() => {
+                        if (!option.disabled && index !== active) {
+                          setActive(index);
+                        }
+                      }}
+                    >
+                      <span className="grow truncate">{option.label}</span>
+                      {isSelected(option) && (
+                        <div className="size-6">
+                          <CheckIcon />
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>,
+          document.body,
+        )}
+    </div>
+  );
+};
+
+Select.propTypes = {
+  id: PropTypes.string,
+  value: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.number,
+    PropTypes.arrayOf(
+      PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    ),
+  ]),
+  options: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+        .isRequired,
+      label: PropTypes.string.isRequired,
+      disabled: PropTypes.bool,
+    }),
+  ),
+  label: PropTypes.string,
+  message: PropTypes.string,
+  error: PropTypes.string,
+  prefix: PropTypes.node,
+  suffix: PropTypes.node,
+  style: PropTypes.string,
+  width: PropTypes.string,
+  fontFamily: PropTypes.string,
+  onChange: PropTypes.func,
+  multiple: PropTypes.bool,
+  searchable: PropTypes.bool,
+  disabled: PropTypes.bool,
+  noOptionsLabel: PropTypes.string,
+  removeLabel: PropTypes.string,
+};
+
+export default Select;
@@ -0,0 +1,83 @@
+/**
+ * @file Snackbar component implementing the Material Design 3 snackbar.
+ * Shows a short message with an optional action and close button.
+ * @since 1.1.0
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * A snackbar showing a short message at the bottom of the screen, in the
+ * inverse surface colors of Material Design 3.
+ *
+ * This component only renders a message. For a queue with automatic dismissal,
+ * wrap the application in SnackbarProvider and call useSnackbar().enqueue().
+ * @component
+ * @param {object} props - Component props
+ * @param {string} props.message - Text of the snackbar
+ * @param {object} [props.action] - Button at the end of the snackbar, with
+ *   label and onClick
+ * @param {Function} [props.onClose] - Called by the close button; without it
+ *   the close button is not shown
+ * @param {string} [props.closeLabel] - Accessible label of the close button
+ *   (defaults to "Close")
+ * @returns {JSX.Element} Rendered snackbar
+ * @since 1.1.0
+ * @example
+ * <Snackbar
+ *   message="Connection lost"
+ *   action={{ label: "Retry", onClick: reconnect }}
+ *   onClose={() => setOffline(false)}
+ * />
+ */
+const Snackbar = ({ message, action, onClose, closeLabel = "Close" }) => (
+  <div
+    className={`flex flex-row items-center w-fit min-w-72 max-w-140 min-h-12
+      pl-4 pr-2 py-1 gap-1 rounded-sm text-sm
+      bg-light-inverse-surface dark:bg-dark-inverse-surface
+      text-light-inverse-on-surface dark:text-dark-inverse-on-surface
+      shadow-md shadow-light-shadow/30 dark:shadow-dark-shadow/30`}
+  >
+    <div className="flex grow py-2.5">{message}</div>
+    {action && (
+      <button
+        className={`h-10 px-3 rounded-full cursor-pointer
+          text-light-inverse-primary dark:text-dark-inverse-primary
+          hover:bg-light-inverse-primary/8 dark:hover:bg-dark-inverse-primary/8`}
+        onClick={action.onClick}
+      >
+        {action.label}
+      </button>
+    )}
+    {onClose && (
+      <button
+        className={`flex justify-center items-center size-10 p-2
+          rounded-full cursor-pointer
+          hover:bg-light-inverse-on-surface/8 dark:hover:bg-dark-inverse-on-surface/8`}
+        aria-label={closeLabel}
+        onClick={onClose}
+      >
+        {/* Material icons 'Close' https://fonts.google.com/icons */}
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          viewBox="0 -960 960 960"
+          fill="currentColor"
+        >
+          <path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z" />
+        </svg>
+      </button>
+    )}
+  </div>
+);
+
+Snackbar.propTypes = {
+  message: PropTypes.string.isRequired,
+  action: PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    onClick: PropTypes.func.isRequired,
+  }),
+  onClose: PropTypes.func,
+  closeLabel: PropTypes.string,
+};
+
+export default Snackbar;
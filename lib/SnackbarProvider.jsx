@@ -0,0 +1,144 @@
+/**
+ * @file Provider of the snackbar queue shown above the bottom navigation.
+ * Queues messages added with useSnackbar() and shows them one at a time.
+ * @since 1.1.0
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import Snackbar from "./Snackbar.jsx";
+import { SnackbarContext } from "./snackbar.js";
+
+/**
+ * Provider of the snackbar queue for the components inside it.
+ *
+ * Key features:
+ * - **Queue**: Messages added with useSnackbar().enqueue() are shown one at a
+ *   time in the order they were added
+ * - **Auto-dismiss**: Each message closes after its duration; the timer pauses
+ *   while the pointer is over the snackbar or the focus is in it
+ * - **Actions**: An optional action button, which closes the snackbar after its
+ *   onClick, and an optional close button
+ * - **Screen Readers**: The messages are announced through a polite ARIA live
+ *   region that is rendered even while the queue is empty
+ * - **Safe Area**: The default position keeps the snackbar above the
+ *   NavigationBar and the bottom safe area inset
+ * @component
+ * @param {object} props - Component props
+ * @param {React.ReactNode} [props.children] - Application that uses useSnackbar()
+ * @param {number} [props.duration] - Default milliseconds until a message closes
+ *   (defaults to 4000)
+ * @param {string} [props.position] - Tailwind CSS classes for positioning the
+ *   snackbar (defaults to "fixed inset-x-0 bottom-safe-offset-20 z-40").
+ *   Use "fixed inset-x-0 bottom-safe-offset-4 z-40" without a bottom bar.
+ * @param {string} [props.closeLabel] - Accessible label of the close buttons
+ *   (defaults to "Close")
+ * @returns {JSX.Element} The children and the snackbar region
+ * @since 1.1.0
+ * @example
+ * // In the application root
+ * <SnackbarProvider duration={5000}>
+ *   <App />
+ * </SnackbarProvider>
+ *
+ * // In any component inside it
+ * const { enqueue } = useSnackbar();
+ * enqueue({ message: "Offline", duration: Infinity, closable: true });
+ */
+const SnackbarProvider = ({
+  children,
+  duration = 4000,
+  position = "fixed inset-x-0 bottom-safe-offset-20 z-40",
+  closeLabel = "Close",
+}) => {
+  const [queue, setQueue] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const nextId = useRef(0);
+  const timeLeft = useRef({});
+  const current = queue[0];
+
+  const enqueue = useCallback(
+    (message) => {
+      const id = ++nextId.current;
+      setQueue((queue) => [...queue, { duration, ...message, id }]);
+      return id;
+    },
+    [duration],
+  );
+
+  const dismiss = useCallback((id) => {
+    setQueue((queue) => queue.filter((message) => message.id !== id));
+    // The snackbar under the pointer or focus is removed without leave events
+    setPaused(false);
+  }, []);
+
+  // Count down the time of the current message only while it is not paused
+  useEffect(() => {
+    if (!current || paused || !Number.isFinite(current.duration)) {
+      return;
+    }
+    const left =
+      timeLeft.current.id === current.id
+        ? timeLeft.current.left
+        : current.duration;
+    const started = Date.now();
+    const timer = setTimeout(() => dismiss(current.id), left);
+    return () => {
+      clearTimeout(timer);
+      timeLeft.current = {
+        id: current.id,
+        left: left - (Date.now() - started),
+      };
+    };
+  }, [current, paused, dismiss]);
+
+  const value = useMemo(() => ({ enqueue, dismiss }), [enqueue, dismiss]);
+
+  return (
+    <SnackbarContext.Provider value={value}>
+      {children}
+      <div
+        role="status"
+        aria-live="polite"
+        className={`flex justify-center px-4 pointer-events-none ${position}`}
+      >
+        {current && (
+          <div
+            key={current.id}
+            className="pointer-events-auto"
+            onMouseEnter={() => setPaused(true)}
+            onMouseLeave={() => setPaused(false)}
+            onFocus={() => setPaused(true)}
+            onBlur={(event) =>
+              setPaused(event.currentTarget.contains(event.relatedTarget))
+            }
+          >
+            <Snackbar
+              message={current.message}
+              action={
+                current.action && {
+                  label: current.action.label,
+                  onClick: () => {
+                    current.action.onClick();
+                    dismiss(current.id);
+                  },
+                }
+              }
+              onClose={current.closable ? () => dismiss(current.id) : undefined}
+              closeLabel={closeLabel}
+            />
+          </div>
+        )}
+      </div>
+    </SnackbarContext.Provider>
+  );
+};
+
+SnackbarProvider.propTypes = {
+  children: PropTypes.node,
+  duration: PropTypes.number,
+  position: PropTypes.string,
+  closeLabel: PropTypes.string,
+};
+
+export default SnackbarProvider;
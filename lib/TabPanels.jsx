@@ -0,0 +1,159 @@
+/**
+ * @file Container of the panels selected by Tabs.
+ * Shows one panel at a time and slides between them, following the finger on
+ * touch screens.
+ * @since 1.1.0
+ */
+
+import { Children, useId, useRef, useState } from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Share of the width a swipe has to cover to change the panel.
+ * @private
+ */
+const swipeThreshold = 0.25;
+
+/**
+ * Pixels a touch moves before it counts as a horizontal or vertical gesture.
+ * @private
+ */
+const gestureSlop = 8;
+
+/**
+ * Container of tab panels, one for each child, linked to the Tabs with the
+ * same id.
+ *
+ * Key features:
+ * - **Sliding**: Panels are laid out in a row and slide to the selected one
+ * - **Swipe**: With onChange, a horizontal swipe of a quarter of the width
+ *   selects the neighbouring panel; vertical swipes scroll the page as usual,
+ *   and swipes beyond the first or last panel are resisted
+ * - **Accessibility**: Each panel has the `tabpanel` role, is labelled by its
+ *   tab and is focusable; the other panels are inert and collapsed
+ * @component
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - One child for each panel
+ * @param {number} [props.index] - Index of the selected panel (defaults to 0)
+ * @param {Function} [props.onChange] - Called with the index of the panel
+ *   swiped to. The tabs should be updated in it; swipes are ignored without it.
+ *   Skip the indexes of disabled tabs here.
+ * @param {boolean} [props.swipeable] - Whether touch swipes change the panel
+ *   (defaults to true)
+ * @param {string} [props.id] - Identifier shared with Tabs
+ * @param {string} [props.optionalClass] - Additional CSS classes for sizing and
+ *   styling (defaults to "")
+ * @returns {JSX.Element} Rendered panels
+ * @since 1.1.0
+ * @example
+ * <Tabs id="settings" items={tabs} />
+ * <TabPanels id="settings" index={tab} onChange={setTab}>
+ *   <GeneralSettings />
+ *   <AccountSettings />
+ * </TabPanels>
+ */
+const TabPanels = ({
+  children,
+  index = 0,
+  onChange,
+  swipeable = true,
+  id,
+  optionalClass = "",
+}) => {
+  const generatedId = useId();
+  const baseId = id ?? generatedId;
+  const ref = useRef(null);
+  const touch = useRef(null);
+  const [offset, setOffset] = useState(0);
+  const panels = Children.toArray(children);
+
+  const onTouchStart = (event) => {
+    if (!swipeable || !onChange || event.touches.length !== 1) {
+      touch.current = null;
+      return;
+    }
+    const { clientX, clientY } = event.touches[0];
+    touch.current = { x: clientX, y: clientY, horizontal: null };
+  };
+
+  const onTouchMove = (event) => {
+    if (!touch.current) {
+      return;
+    }
+    const dx = event.touches[0].clientX - touch.current.x;
+    const dy = event.touches[0].clientY - touch.current.y;
+    if (
+      touch.current.horizontal === null &&
+      Math.max(Math.abs(dx), Math.abs(dy)) > gestureSlop
+    ) {
+      touch.current.horizontal = Math.abs(dx) > Math.abs(dy);
+    }
+    if (touch.current.horizontal) {
+      const beyond =
+        (index === 0 && dx > 0) || (index === panels.length - 1 && dx < 0);
+      setOffset(beyond ? dx / 3 : dx);
+    }
+  };
+
+  const onTouchEnd = () => {
+    if (touch.current?.horizontal) {
+      const next = index + (offset < 0 ? 1 : -1);
+      if (
+        Math.abs(offset) > ref.current.offsetWidth * swipeThreshold &&
+        next >= 0 &&
+        next < panels.length
+      ) {
+        onChange(next);
+      }
+    }
+    touch.current = null;
+    setOffset(0);
+  };
+
+  return (
+    <div
+      ref={ref}
+      className={`overflow-hidden touch-pan-y ${optionalClass}`}
+      onTouchStart={onTouchStart}
+      onTouchMove={onTouchMove}
+      onTouchEnd={onTouchEnd}
+      onTouchCancel={onTouchEnd}
+    >
+      <div
+        className={`flex flex-row items-start ${
+          offset === 0 ? "transition-transform duration-300" : ""
+        }`}
+        style={{
+          transform: `translateX(calc(${-index * 100}% + ${offset}px))`,
+        }}
+      >
+        {panels.map((panel, panelIndex) => (
+          <div
+            key={panelIndex}
+            id={`${baseId}-panel-${panelIndex}`}
+            role="tabpanel"
+            aria-labelledby={`${baseId}-tab-${panelIndex}`}
+            tabIndex={panelIndex === index ? 0 : -1}
+            inert={panelIndex !== index}
+            className={`flex-none w-full min-w-0 ${
+              panelIndex === index || offset !== 0 ? "" : "h-0 overflow-hidden"
+            }`}
+          >
+            {panel}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+TabPanels.propTypes = {
+  children: PropTypes.node.isRequired,
+  index: PropTypes.number,
+  onChange: PropTypes.func,
+  swipeable: PropTypes.bool,
+  id: PropTypes.string,
+  optionalClass: PropTypes.string,
+};
+
+export default TabPanels;
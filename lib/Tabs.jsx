@@ -0,0 +1,293 @@
+/**
+ * @file Tabs component implementing Material Design 3 primary and secondary tabs.
+ * Switches between views at the same level of hierarchy, with an animated
+ * active indicator and keyboard navigation following the ARIA tabs pattern.
+ * @since 1.1.0
+ */
+
+import { useEffect, useId, useLayoutEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+
+/**
+ * @typedef {object} TabItem
+ * @property {React.ReactNode} [icon] - Icon element shown with the label
+ * @property {string} label - Text label of the tab
+ * @property {boolean} [active=false] - Whether the tab is currently selected
+ * @property {boolean} [disabled=false] - Whether the tab is disabled and non-interactive
+ * @property {boolean|number|string} [badge] - true for a small dot, or a count or
+ *   short text shown in a large badge
+ * @property {Function} onClick - Callback function triggered when the tab is selected
+ */
+
+/**
+ * Badge on the icon, or after the label of a tab without an icon.
+ * @private
+ * @param {object} props - Component props
+ * @param {boolean|number|string} props.badge - true for a small dot, or the content
+ * @returns {JSX.Element} Rendered badge
+ */
+const Badge = ({ badge }) =>
+  badge === true ? (
+    <span className="size-1.5 rounded-full bg-light-error dark:bg-dark-error" />
+  ) : (
+    <span
+      className={`flex justify-center items-center h-4 min-w-4 px-1
+        rounded-full text-[11px] leading-none
+        bg-light-error dark:bg-dark-error text-light-on-error dark:text-dark-on-error`}
+    >
+      {badge}
+    </span>
+  );
+
+Badge.propTypes = {
+  badge: PropTypes.oneOfType([
+    PropTypes.bool,
+    PropTypes.number,
+    PropTypes.string,
+  ]).isRequired,
+};
+
+/**
+ * A row of Material Design 3 tabs with the same item API as NavigationBar.
+ *
+ * Key features:
+ * - **Styles**: "primary" tabs stack the icon above the label and place a short
+ *   indicator under the content; "secondary" tabs place the icon beside the
+ *   label and an indicator across the whole tab
+ * - **Indicator**: The active indicator slides to the newly selected tab
+ * - **Badges**: A small dot or a count on the icon, or after the label
+ * - **Scrollable**: With scrollable, the tabs keep their natural width and the
+ *   row scrolls horizontally, keeping the active tab in view; otherwise the tabs
+ *   share the width equally
+ * - **Keyboard**: Only the active tab is in the tab sequence (roving tabindex);
+ *   ArrowLeft and ArrowRight select the previous and next enabled tab, and Home
+ *   and End the first and last
+ * - **Panels**: Tabs and TabPanels with the same id are linked through
+ *   `aria-controls` and `aria-labelledby`
+ * @component
+ * @param {object} props - Component props
+ * @param {Array<TabItem>} props.items - Tabs to display
+ * @param {string} [props.style] - "primary" or "secondary" (defaults to "primary")
+ * @param {boolean} [props.scrollable] - Whether the row scrolls instead of fitting
+ *   the tabs into its width (defaults to false)
+ * @param {string} [props.id] - Identifier shared with TabPanels
+ * @param {string} [props.label] - Accessible label of the tab list
+ * @param {string} [props.optionalClass] - Additional CSS classes for positioning
+ *   and styling (defaults to "")
+ * @returns {JSX.Element} Rendered tab list
+ * @since 1.1.0
+ * @example
+ * // Primary tabs controlling panels
+ * const [tab, setTab] = useState(0);
+ *
+ * <Tabs
+ *   id="library"
+ *   label="Library"
+ *   items={[
+ *     { icon: <SvgImage />, label: "Photos", badge: 3 },
+ *     { icon: <SvgMusic />, label: "Music", badge: true },
+ *     { icon: <SvgVideo />, label: "Videos", disabled: true },
+ *   ].map((item, index) => ({
+ *     ...item,
+ *     active: tab === index,
+ *     onClick: () => setTab(index),
+ *   }))}
+ * />
+ * <TabPanels id="library" index={tab} onChange={setTab}>
+ *   <Photos />
+ *   <Music />
+ *   <Videos />
+ * </TabPanels>
+ * @example
+ * // Scrollable secondary tabs
+ * <Tabs style="secondary" scrollable items={categoryTabs} />
+ */
+const Tabs = ({
+  items = [],
+  style = "primary",
+  scrollable = false,
+  id,
+  label,
+  optionalClass = "",
+}) => {
+  const generatedId = useId();
+  const baseId = id ?? generatedId;
+  const tabRefs = useRef([]);
+  const [indicator, setIndicator] = useState(null);
+
+  const isPrimary = style === "primary";
+  const hasIcons = items.some((item) => item.icon);
+  const activeIndex = items.findIndex((item) => item.active);
+  const enabled = items
+    .map((item, index) => index)
+    .filter((index) => !items[index].disabled);
+  const focusIndex = activeIndex >= 0 ? activeIndex : enabled[0];
+
+  // Measure the active tab, or its content for primary tabs, for the indicator
+  useLayoutEffect(() => {
+    const measure = () => {
+      const tab = tabRefs.current[activeIndex];
+      if (!tab) {
+        setIndicator(null);
+        return;
+      }
+      const target = isPrimary ? tab.querySelector("[data-tab-content]") : tab;
+      // Both are measured from the tab list, their offset parent
+      setIndicator({ left: target.offsetLeft, width: target.offsetWidth });
+    };
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [activeIndex, isPrimary, items.length]);
+
+  useEffect(() => {
+    if (scrollable) {
+      tabRefs.current[activeIndex]?.scrollIntoView?.({
+        block: "nearest",
+        inline: "nearest",
+      });
+    }
+  }, [activeIndex, scrollable]);
+
+  const select = (index) => {
+    tabRefs.current[index].focus();
+    items[index].onClick?.();
+  };
+
+  const onKeyDown = (event) => {
+    const current = enabled.indexOf(
+      tabRefs.current.indexOf(document.activeElement),
+    );
+    let next;
+    switch (event.key) {
+      case "ArrowRight":
+        next = enabled[(current + 1) % enabled.length];
+        break;
+      case "ArrowLeft":
+        next = enabled[current <= 0 ? enabled.length - 1 : current - 1];
+        break;
+      case "Home":
+        next = enabled[0];
+        break;
+      case "End":
+        next = enabled.at(-1);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    if (next !== undefined) {
+      select(next);
+    }
+  };
+
+  return (
+    <div
+      role="tablist"
+      aria-label={label}
+      className={`relative flex flex-row w-full
+        ${scrollable ? "overflow-x-auto" : ""}
+        bg-light-surface dark:bg-dark-surface
+        border-b-1 border-light-surface-variant dark:border-dark-surface-variant
+        ${optionalClass}`}
+      onKeyDown={onKeyDown}
+    >
+      {items.map((item, index) => (
+        <button
+          key={index}
+          ref={(element) => {
+            tabRefs.current[index] = element;
+          }}
+          id={`${baseId}-tab-${index}`}
+          type="button"
+          role="tab"
+          aria-selected={!!item.active}
+          aria-controls={`${baseId}-panel-${index}`}
+          disabled={item.disabled}
+          tabIndex={index === focusIndex ? 0 : -1}
+          className={`flex justify-center items-center px-4
+            ${scrollable ? "flex-none min-w-[90px]" : "flex-1 min-w-0"}
+            ${isPrimary && hasIcons ? "h-16" : "h-12"}
+            ${
+              item.disabled
+                ? "text-light-on-surface/40 dark:text-dark-on-surface/40"
+                : `cursor-pointer
+                  hover:bg-light-on-surface/8 dark:hover:bg-dark-on-surface/8
+                  active:bg-light-on-surface/10 dark:active:bg-dark-on-surface/10
+                  ${
+                    item.active
+                      ? isPrimary
+                        ? "text-light-primary dark:text-dark-primary"
+                        : "text-light-on-surface dark:text-dark-on-surface"
+                      : "text-light-on-surface-variant dark:text-dark-on-surface-variant"
+                  }`
+            }`}
+          onClick={item.onClick}
+        >
+          <span
+            data-tab-content
+            className={`flex items-center gap-x-2 gap-y-0.5 min-w-0
+              ${isPrimary ? "flex-col" : "flex-row"}`}
+          >
+            {item.icon && (
+              <span className="relative size-6">
+                {item.icon}
+                {item.badge !== undefined && item.badge !== false && (
+                  <span
+                    className={`absolute ${
+                      item.badge === true ? "top-0 right-0" : "-top-1 left-3"
+                    }`}
+                  >
+                    <Badge badge={item.badge} />
+                  </span>
+                )}
+              </span>
+            )}
+            <span className="flex flex-row items-center gap-1 min-w-0">
+              <span className="text-sm font-medium truncate">{item.label}</span>
+              {!item.icon &&
+                item.badge !== undefined &&
+                item.badge !== false && <Badge badge={item.badge} />}
+            </span>
+          </span>
+        </button>
+      ))}
+      {indicator && (
+        <div
+          aria-hidden="true"
+          className={`absolute bottom-0 transition-[left,width] duration-200
+            ${
+              isPrimary
+                ? "h-[3px] rounded-t-[3px] bg-light-primary dark:bg-dark-primary"
+                : "h-0.5 bg-light-primary dark:bg-dark-primary"
+            }`}
+          style={indicator}
+        />
+      )}
+    </div>
+  );
+};
+
+Tabs.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      icon: PropTypes.node,
+      label: PropTypes.string.isRequired,
+      active: PropTypes.bool,
+      disabled: PropTypes.bool,
+      badge: PropTypes.oneOfType([
+        PropTypes.bool,
+        PropTypes.number,
+        PropTypes.string,
+      ]),
+      onClick: PropTypes.func,
+    }),
+  ).isRequired,
+  style: PropTypes.oneOf(["primary", "secondary"]),
+  scrollable: PropTypes.bool,
+  id: PropTypes.string,
+  label: PropTypes.string,
+  optionalClass: PropTypes.string,
+};
+
+export default Tabs;
@@ -63,6 +63,8 @@ import PropTypes from "prop-types";
  * @param {boolean} [props.disabled] - When true, completely disables the input field.
  *   Defaults to false. Prevents all user interaction and applies disabled styling with reduced opacity.
  *   Use for fields that are temporarily unavailable or not applicable.
+ * @param {object} [props.inputProps] - Additional attributes and event handlers of the input element.
+ *   Lets components built on TextField, such as Select, add ARIA roles and keyboard handling.
  * @returns {JSX.Element} Rendered text field component with all configured features and styling
  * @since 1.0.0
  * @example
@@ -150,6 +152,7 @@ const TextField = ({
   onChange,
   readonly = false,
   disabled = false,
+  inputProps,
 }) => {
   const isValue = () => value || value === 0;
   const isFilled = () => style === "filled";
@@ -227,6 +230,7 @@ ${
             }}
             readOnly={readonly}
             disabled={disabled}
+            {...inputProps}
           />
           <div
             className={`${isValue() ? "hidden" : "peer-focus:hidden"} select-none px-2`}
@@ -309,6 +313,7 @@ TextField.propTypes = {
   onChange: PropTypes.func,
   readonly: PropTypes.bool,
   disabled: PropTypes.bool,
+  inputProps: PropTypes.object,
 };
 
 export default TextField;
@@ -0,0 +1,119 @@
+/**
+ * @file A container component that scopes a Material Design 3 color scheme to its subtree.
+ * Enables several brand schemes on one page, such as tenant cards and embedded widgets.
+ * @since 1.1.0
+ */
+
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { generateScheme, applyColorScheme } from "./material-theme.js";
+
+/**
+ * A container component that applies a color scheme to its own element instead of
+ * the document root, so that all components inside it use the scheme.
+ *
+ * This component offers scoped theming featuring:
+ * - **Subtree Scope**: The `--color-{brightness}-{token}` variables are set on the
+ *   container element and inherited by its children only
+ * - **Scheme or Seed**: Takes a scheme from generateScheme(), or generates one from
+ *   a seed color
+ * - **Cleanup**: Removes the variables when the scheme changes or the component
+ *   unmounts
+ * - **Dark Mode**: Follows the `dark` class of the page like every other component
+ *
+ * A generated scheme becomes available after the first render; until then the
+ * subtree shows the scheme of the parent. It keeps the scheme of the parent
+ * when the scheme cannot be generated, such as for an unknown variant.
+ * @component
+ * @param {object} props - Component props
+ * @param {Array<object>} [props.scheme] - Color scheme from generateScheme().
+ *   Takes precedence over seedColor.
+ * @param {string} [props.seedColor] - Hex color to generate the scheme from
+ *   when no scheme is given
+ * @param {number} [props.contrast] - Contrast level for the generated scheme
+ *   (defaults to 0)
+ * @param {string} [props.variant] - Scheme variant for the generated scheme
+ *   (defaults to "default")
+ * @param {string} [props.as] - HTML tag of the container element (defaults to "div")
+ * @param {string} [props.className] - Classes of the container element
+ * @param {React.ReactNode} [props.children] - Content that uses the scheme
+ * @returns {JSX.Element} Rendered container element with the scoped scheme
+ * @since 1.1.0
+ * @example
+ * // Card in the brand colors of its tenant
+ * <ThemeProvider seedColor={tenant.brandColor} className="rounded-xl p-4">
+ *   <Button label="Open" style="filled" onClick={openTenant} />
+ * </ThemeProvider>
+ * @example
+ * // Embedded widget with a scheme generated in advance
+ * const widgetScheme = await generateScheme("#E91E63", 0, { variant: "vibrant" });
+ *
+ * <ThemeProvider scheme={widgetScheme} as="section">
+ *   <Widget />
+ * </ThemeProvider>
+ */
+const ThemeProvider = ({
+  scheme,
+  seedColor,
+  contrast = 0,
+  variant = "default",
+  as: Tag = "div",
+  className,
+  children,
+}) => {
+  const ref = useRef(null);
+  const [generated, setGenerated] = useState(null);
+
+  useEffect(() => {
+    if (scheme || !seedColor) {
+      setGenerated(null);
+      return;
+    }
+    let active = true;
+    generateScheme(seedColor, contrast, { variant })
+      .then((result) => {
+        if (active) {
+          setGenerated(result);
+        }
+      })
+      .catch(() => {
+        if (active) {
+          setGenerated(null);
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, [scheme, seedColor, contrast, variant]);
+
+  const applied = scheme || generated;
+
+  // Apply before paint, and remove the variables on change and unmount
+  useLayoutEffect(
+    () => (applied ? applyColorScheme(applied, ref.current) : undefined),
+    [applied],
+  );
+
+  return (
+    <Tag ref={ref} className={className}>
+      {children}
+    </Tag>
+  );
+};
+
+ThemeProvider.propTypes = {
+  scheme: PropTypes.arrayOf(
+    PropTypes.shape({
+      brightness: PropTypes.string.isRequired,
+      colors: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+    }),
+  ),
+  seedColor: PropTypes.string,
+  contrast: PropTypes.number,
+  variant: PropTypes.string,
+  as: PropTypes.string,
+  className: PropTypes.string,
+  children: PropTypes.node,
+};
+
+export default ThemeProvider;
@@ -8,47 +8,33 @@ import { useState, useEffect } from "react";
 import PropTypes from "prop-types";
 
 import Button from "./Button.jsx";
-
-const STORAGE_KEY = "xuan-paper-language";
-
-/**
- * Initializes the language from localStorage if a valid language is stored.
- * @param {object} langs - Languages object mapping language codes to language configurations.
- * @param {Function} setLanguage - Function to set the current language
- */
-const initLanguage = (langs, setLanguage) => {
-  const lang = localStorage.getItem(STORAGE_KEY);
-  if (lang && Object.keys(langs).includes(lang)) {
-    setLanguage(lang);
-  }
-};
+import { themePreferences, usePreferences } from "./preferences.js";
 
 /**
- * Cycles to the next available language in the languages object.
+ * Stores the next available language in the languages object.
  * @param {object} langs - Languages object mapping language codes to language configurations.
  * @param {string} currentLanguage - The currently active language code
- * @param {Function} setLanguage - Function to set the new language
+ * @param {Function} setPreferences - The set() method of the preferences store
  */
-const nextLanguage = (langs, currentLanguage, setLanguage) => {
+const nextLanguage = (langs, currentLanguage, setPreferences) => {
   const languages = Object.keys(langs);
   let index = languages.indexOf(currentLanguage) + 1;
-  const nextLang = languages[index < languages.length ? index : 0];
-  localStorage.setItem(STORAGE_KEY, nextLang);
-  setLanguage(nextLang);
+  setPreferences({ language: languages[index < languages.length ? index : 0] });
 };
 
 /**
  * A button component that toggles the application's language between available translations.
- * Cycles through languages defined in the languages object and persists the selection in localStorage.
+ * Cycles through languages defined in the languages object and persists the selection in a preferences store.
  *
  * The component automatically displays either:
  * - The current language's label (if defined in langs[lang].label)
  * - A universal language icon (Material Design language icon) as fallback
  *
  * Key features:
- * - Automatically loads the previously selected language from localStorage on mount
+ * - Automatically loads the previously selected language from the preferences store on mount
  * - Cycles through available languages in the order they appear in the languages object
- * - Persists language preference across browser sessions using localStorage
+ * - Persists language preference in the language field of a preferences store,
+ *   following changes made in other tabs
  * - Framework-agnostic design works with any internationalization library or custom setup
  * - Provides visual feedback with either text labels or language icon
  * - Supports all Button component styling options
@@ -64,6 +50,8 @@ const nextLanguage = (langs, currentLanguage, setLanguage) => {
  * @param {Function} props.setLang - Callback to update the current language code.
  * @param {string} [props.style] - Visual style variant for the button (e.g., "embedded", "outlined"). Defaults to "embedded".
  * @param {string} [props.size] - Size variant for the button (e.g., "sm", "md"). Defaults to "sm".
+ * @param {object} [props.store] - Preferences store from createPreferencesStore(). Defaults to themePreferences.
+ * @param {string} [props.tooltip] - Tooltip and accessible name of the button. Defaults to "Change language".
  * @returns {JSX.Element} A button displaying the current language label or a language icon.
  * @example
  * // Basic usage in a header component
@@ -132,18 +120,23 @@ const ToggleLanguageButton = ({
   setLang,
   style = "embedded",
   size = "sm",
+  store = themePreferences,
+  tooltip = "Change language",
 }) => {
   const [label, setLabel] = useState(langs[lang]?.label);
+  const [{ language }, setPreferences] = usePreferences(store);
 
   const setLanguage = (lang) => {
     setLang(lang);
     setLabel(langs[lang]?.label);
   };
 
-  // On component mount
+  // Follow the stored language, on mount and when changed in any tab
   useEffect(() => {
-    initLanguage(langs, setLanguage);
-  }, []);
+    if (language && Object.keys(langs).includes(language)) {
+      setLanguage(language);
+    }
+  }, [language]);
 
   return (
     <Button
@@ -167,9 +160,10 @@ const ToggleLanguageButton = ({
           </svg>
         )
       }
-      onClick={() => nextLanguage(langs, lang, setLanguage)}
+      onClick={() => nextLanguage(langs, lang, setPreferences)}
       style={style}
       size={size}
+      tooltip={tooltip}
     />
   );
 };
@@ -184,6 +178,12 @@ ToggleLanguageButton.propTypes = {
   setLang: PropTypes.func.isRequired,
   style: PropTypes.string,
   size: PropTypes.string,
+  store: PropTypes.shape({
+    get: PropTypes.func.isRequired,
+    set: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired,
+  }),
+  tooltip: PropTypes.string,
 };
 
 export default ToggleLanguageButton;
@@ -0,0 +1,346 @@
+/**
+ * @file Tooltip component implementing Material Design 3 plain and rich
+ * tooltips.
+ * Shows a short label or a richer description of an element on hover, keyboard
+ * focus and long press.
+ * @since 1.1.0
+ */
+
+import { useEffect, useId, useLayoutEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import PropTypes from "prop-types";
+import { placeMenu } from "./menu-position.js";
+
+/**
+ * Time in milliseconds a touch must be held to show the tooltip.
+ * @private
+ */
+const longPressDelay = 500;
+
+/**
+ * Time in milliseconds a plain tooltip stays after a long press ends.
+ * @private
+ */
+const touchDisplayTime = 1500;
+
+/**
+ * Time in milliseconds a rich tooltip stays after the pointer leaves, so that
+ * the pointer can move onto it.
+ * @private
+ */
+const hideDelay = 200;
+
+/**
+ * Distance in pixels between the tooltip and its trigger.
+ * @private
+ */
+const offset = 4;
+
+/**
+ * A Material Design 3 tooltip.
+ *
+ * Key features:
+ * - **Plain**: A short label on the inverse surface, such as the name of an
+ *   icon button
+ * - **Rich**: With title or actions, a larger tooltip with a title, supporting
+ *   text and text buttons, which stays open while the pointer is over it
+ * - **Triggers**: Shows after a delay when the pointer rests on the children,
+ *   at once when they get keyboard focus, and on a long press on touch screens.
+ *   Escape, a click on the trigger, scrolling and resizing hide it
+ * - **Viewport**: Centered on the trigger on the preferred side, flipping to
+ *   the other side when there is no room and shifting to stay inside the
+ *   viewport
+ * - **Accessibility**: `tooltip` role and `aria-describedby` on the trigger.
+ *   With asLabel, the trigger carries the text as its own `aria-label`, and
+ *   the tooltip only shows it on screen
+ *
+ * Like Menu, the tooltip attaches to the first button, link or focusable
+ * element in its children, such as Button.forAppBar(). Actions of a rich
+ * tooltip can only be reached with the pointer, so they should repeat actions
+ * that are available elsewhere.
+ * @component
+ * @param {object} props - Component props
+ * @param {React.ReactNode} props.children - Trigger element
+ * @param {string} props.text - Text of the tooltip, or the supporting text of a
+ *   rich tooltip
+ * @param {string} [props.title] - Title of a rich tooltip
+ * @param {Array<object>} [props.actions] - Text buttons of a rich tooltip with
+ *   label, onClick and disabled (defaults to [])
+ * @param {string} [props.side] - "top" or "bottom" (defaults to "bottom")
+ * @param {number} [props.delay] - Time in milliseconds the pointer rests on the
+ *   trigger before the tooltip shows (defaults to 500)
+ * @param {boolean} [props.asLabel] - Whether the text is also the aria-label of
+ *   the trigger, as for icon-only buttons, so that it is not announced twice
+ *   (defaults to false)
+ * @param {string} [props.optionalClass] - Additional CSS classes of the element
+ *   around the trigger (defaults to "")
+ * @returns {JSX.Element} The trigger and the tooltip
+ * @since 1.1.0
+ * @example
+ * // Plain tooltip on an icon button named by the same text
+ * <Tooltip text="Search" asLabel>
+ *   <a href="/search" aria-label="Search"><SvgSearch /></a>
+ * </Tooltip>
+ * @example
+ * // Rich tooltip with an action
+ * <Tooltip
+ *   title="Offline sync"
+ *   text="Notes are saved on this device and uploaded when you are back online."
+ *   actions={[{ label: "Learn more", onClick: openHelp }]}
+ * >
+ *   <Switch value={offline} onChange={setOffline} />
+ * </Tooltip>
+ */
+const Tooltip = ({
+  children,
+  text,
+  title,
+  actions = [],
+  side = "bottom",
+  delay = 500,
+  asLabel = false,
+  optionalClass = "",
+}) => {
+  const tooltipId = useId();
+  const anchorRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const timer = useRef(null);
+  const pointerDown = useRef(false);
+  const [mounted, setMounted] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [position, setPosition] = useState(null);
+
+  const rich = Boolean(title) || actions.length > 0;
+
+  const triggerElement = () =>
+    anchorRef.current.querySelector("button, a[href], [tabindex]") ??
+    anchorRef.current;
+
+  const schedule = (callback, time) => {
+    clearTimeout(timer.current);
+    timer.current = setTimeout(callback, time);
+  };
+
+  const show = () => {
+    clearTimeout(timer.current);
+    setOpen(true);
+  };
+
+  const hide = () => {
+    clearTimeout(timer.current);
+    setOpen(false);
+  };
+
+  // The tooltip is rendered into the body, which only exists on the client
+  useEffect(() => {
+    setMounted(true);
+    return () => clearTimeout(timer.current);
+  }, []);
+
+  // Refer to the tooltip from the trigger, which can be any element
+  useEffect(() => {
+    if (asLabel) {
+      return;
+    }
+    const trigger = triggerElement();
+    trigger.setAttribute("aria-describedby", tooltipId);
+    return () => trigger.removeAttribute("aria-describedby");
+  }, [tooltipId, asLabel]);
+
+  useLayoutEffect(() => {
+    if (!open) {
+      setPosition(null);
+      return;
+    }
+    const { top, right, bottom, left } =
+      anchorRef.current.getBoundingClientRect();
+    const { width, height } = tooltipRef.current.getBoundingClientRect();
+    setPosition(
+      placeMenu(
+        {
+          top: top - offset,
+          right,
+          bottom: bottom + offset,
+          left,
+        },
+        { width, height },
+        {
+          side,
+          align: "center",
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+        },
+      ),
+    );
+  }, [open, side, text, title]);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") {
+        hide();
+      }
+    };
+    const onPointerDown = (event) => {
+      if (
+        !tooltipRef.current.contains(event.target) &&
+        !anchorRef.current.contains(event.target)
+      ) {
+        hide();
+      }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    document.addEventListener("pointerdown", onPointerDown);
+    window.addEventListener("scroll", hide, true);
+    window.addEventListener("resize", hide);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("pointerdown", onPointerDown);
+      window.removeEventListener("scroll", hide, true);
+      window.removeEventListener("resize", hide);
+    };
+  }, [open]);
+
+  const onPointerLeave = (event) => {
+    if (event.pointerType !== "mouse") {
+      return;
+    }
+    if (rich) {
+      schedule(() => setOpen(false), hideDelay);
+    } else {
+      hide();
+    }
+  };
+
+  return (
+    <>
+      <span
+        ref={anchorRef}
+        className={`inline-flex ${optionalClass}`}
+        onPointerEnter={(event) => {
+          if (event.pointerType === "mouse") {
+            schedule(() => setOpen(true), open ? 0 : delay);
+          }
+        }}
+        onPointerLeave={onPointerLeave}
+        onPointerDown={(event) => {
+          pointerDown.current = true;
+          if (event.pointerType === "mouse") {
+            if (!rich) {
+              hide();
+            }
+          } else {
+            schedule(() => setOpen(true), longPressDelay);
+          }
+        }}
+        onPointerUp={(event) => {
+          pointerDown.current = false;
+          if (event.pointerType === "mouse") {
+            return;
+          }
+          if (open && !rich) {
+            schedule(() => setOpen(false), touchDisplayTime);
+          } else if (!open) {
+            clearTimeout(timer.current);
+          }
+        }}
+        onPointerCancel={() => {
+          pointerDown.current = false;
+          if (!open) {
+            clearTimeout(timer.current);
+          }
+        }}
+        onFocus={() => {
+          // Focus from a click or tap is not keyboard focus
+          if (!pointerDown.current) {
+            show();
+          }
+        }}
+        onBlur={(event) => {
+          if (!tooltipRef.current?.contains(event.relatedTarget)) {
+            hide();
+          }
+        }}
+      >
+        {children}
+      </span>
+      {mounted &&
+        createPortal(
+          <div
+            ref={tooltipRef}
+            id={tooltipId}
+            role="tooltip"
+            aria-hidden={asLabel || undefined}
+            hidden={!open}
+            className={`fixed z-50 rounded-sm ${
+              rich
+                ? `flex flex-col max-w-80 pt-3 pb-2 px-4 gap-1 rounded-xl
+                  bg-light-surface-container dark:bg-dark-surface-container
+                  text-light-on-surface-variant dark:text-dark-on-surface-variant
+                  shadow-md shadow-light-shadow/30 dark:shadow-dark-shadow/30`
+                : `max-w-50 px-2 py-1 text-xs pointer-events-none
+                  bg-light-inverse-surface dark:bg-dark-inverse-surface
+                  text-light-inverse-on-surface dark:text-dark-inverse-on-surface`
+            }`}
+            style={position ?? { top: 0, left: 0, visibility: "hidden" }}
+            onPointerEnter={
+              rich ? () => clearTimeout(timer.current) : undefined
+            }
+            onPointerLeave={rich ? onPointerLeave : undefined}
+          >
+            {title && (
+              <div className="text-sm font-medium text-light-on-surface dark:text-dark-on-surface">
+                {title}
+              </div>
+            )}
+            <div className={rich ? "text-sm" : undefined}>{text}</div>
+            {actions.length > 0 && (
+              <div className="flex flex-row flex-wrap gap-2 -ml-3 pt-2">
+                {actions.map((action, index) => (
+                  <button
+                    key={action.label ?? index}
+                    type="button"
+                    disabled={action.disabled}
+                    className={`h-10 px-3 rounded-full text-sm font-medium ${
+                      action.disabled
+                        ? "text-light-on-surface/40 dark:text-dark-on-surface/40"
+                        : `cursor-pointer text-light-primary dark:text-dark-primary
+                          hover:bg-light-primary/8 dark:hover:bg-dark-primary/8
+                          active:bg-light-primary/10 dark:active:bg-dark-primary/10`
+                    }`}
+                    onClick={() => {
+                      hide();
+                      action.onClick?.();
+                    }}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>,
+          document.body,
+        )}
+    </>
+  );
+};
+
+Tooltip.propTypes = {
+  children: PropTypes.node.isRequired,
+  text: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  actions: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      onClick: PropTypes.func,
+      disabled: PropTypes.bool,
+    }),
+  ),
+  side: PropTypes.oneOf(["top", "bottom"]),
+  delay: PropTypes.number,
+  asLabel: PropTypes.bool,
+  optionalClass: PropTypes.string,
+};
+
+export default Tooltip;
@@ -0,0 +1,170 @@
+/**
+ * @file Three-state color mode: follow the system, or force light or dark.
+ * This module resolves the mode chosen by the user against the
+ * `prefers-color-scheme` media query, keeps the choice in a preferences store,
+ * and adds or removes the dark mode class on the page without touching any
+ * other class.
+ * @module color-mode
+ * @since 1.1.0
+ * @example
+ * import { useColorMode } from './color-mode.js';
+ *
+ * const { mode, resolvedMode, setMode } = useColorMode();
+ * setMode(resolvedMode === 'dark' ? 'light' : 'dark');
+ */
+
+import { useCallback, useEffect, useSyncExternalStore } from "react";
+import { themePreferences, usePreferences } from "./preferences.js";
+import { transitionDarkMode } from "./theme-transition.js";
+
+/**
+ * Color modes in the order of the selector: follow the system, light and dark.
+ * @type {Array<string>}
+ * @since 1.1.0
+ */
+export const colorModes = ["system", "light", "dark"];
+
+/**
+ * Media query of the system color scheme.
+ * @private
+ */
+const darkQuery = "(prefers-color-scheme: dark)";
+
+/**
+ * Subscribes to changes of the system color scheme.
+ * @private
+ * @param {Function} onChange - Called when the system color scheme changes
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeSystemMode = (onChange) => {
+  const mediaQuery = globalThis.window?.matchMedia?.(darkQuery);
+  mediaQuery?.addEventListener("change", onChange);
+  return () => mediaQuery?.removeEventListener("change", onChange);
+};
+
+/**
+ * Reads the system color scheme, "light" where it is unknown.
+ * @private
+ * @returns {string} "light" or "dark"
+ */
+const systemModeSnapshot = () =>
+  globalThis.window?.matchMedia?.(darkQuery).matches ? "dark" : "light";
+
+/**
+ * Resolves a color mode to the brightness to show.
+ * @param {string} mode - "system", "light" or "dark"
+ * @param {string} systemMode - System color scheme, "light" or "dark"
+ * @returns {string} "light" or "dark". Unknown modes follow the system.
+ * @since 1.1.0
+ * @example
+ * resolveColorMode("system", "dark"); // "dark"
+ * resolveColorMode("light", "dark"); // "light"
+ */
+export function resolveColorMode(mode, systemMode) {
+  return mode === "light" || mode === "dark" ? mode : systemMode;
+}
+
+/**
+ * Determines the next mode of a cycling button, the order of
+ * ToggleDarkModeButton: from the system mode to the opposite brightness first,
+ * then to the brightness of the system, then back to the system mode.
+ * @param {string} mode - Current mode, "system", "light" or "dark"
+ * @param {string} systemMode - System color scheme, "light" or "dark"
+ * @returns {string} Next mode
+ * @since 1.1.0
+ * @example
+ * // With a light system: system -> dark -> light -> system
+ * nextColorMode("system", "light"); // "dark"
+ */
+export function nextColorMode(mode, systemMode) {
+  const opposite = systemMode === "dark" ? "light" : "dark";
+  return mode === opposite
+    ? systemMode
+    : mode === systemMode
+      ? "system"
+      : opposite;
+}
+
+/**
+ * React hook for the three-state color mode.
+ *
+ * The mode is kept in the darkMode field of a preferences store, so that it
+ * survives reloads and is shared by every control and tab. The resolved mode is
+ * applied by adding or removing one class on the target element; the other
+ * classes of the element are kept.
+ * @param {object} [options] - Hook options
+ * @param {HTMLElement} [options.target] - Element of the dark mode class
+ *   (defaults to document.documentElement)
+ * @param {string} [options.className] - Dark mode class (defaults to "dark")
+ * @param {object} [options.store] - Preferences store from createPreferencesStore()
+ *   (defaults to themePreferences)
+ * @param {boolean|object} [options.transition] - Whether setMode() animates the
+ *   switch, or TransitionOptions for transitionDarkMode() (defaults to false)
+ * @returns {object} Color mode with:
+ *   - mode: "system", "light" or "dark" as chosen by the user
+ *   - resolvedMode: "light" or "dark" as shown
+ *   - systemMode: "light" or "dark" as preferred by the system
+ *   - setMode(mode): Chooses a mode
+ * @since 1.1.0
+ * @example
+ * // Mode switch in a settings page that also scopes the class to the app root
+ * const { mode, setMode } = useColorMode({
+ *   target: document.getElementById("root"),
+ *   className: "theme-dark",
+ * });
+ *
+ * <RadioGroup
+ *   name="color-mode"
+ *   value={mode}
+ *   options={colorModes.map((value) => ({ value, label: t(value) }))}
+ *   onChange={setMode}
+ * />
+ */
+export function useColorMode({
+  target,
+  className = "dark",
+  store = themePreferences,
+  transition = false,
+} = {}) {
+  const [{ darkMode: mode }, setPreferences] = usePreferences(store);
+  const systemMode = useSyncExternalStore(
+    subscribeSystemMode,
+    systemModeSnapshot,
+    () => "light",
+  );
+  const resolvedMode = resolveColorMode(mode, systemMode);
+
+  useEffect(() => {
+    (target ?? document.documentElement).classList.toggle(
+      className,
+      resolvedMode === "dark",
+    );
+  }, [resolvedMode, target, className]);
+
+  const setMode = useCallback(
+    (next) => {
+      if (!colorModes.includes(next)) {
+        throw new Error(`Unknown color mode: ${next}`);
+      }
+      // Flip the class here, so that other users of the store find it done
+      if (transition) {
+        const element = target ?? document.documentElement;
+        const dark = resolveColorMode(next, systemMode) === "dark";
+        transitionDarkMode(dark, {
+          ...(transition === true ? {} : transition),
+          element,
+          className,
+        }).catch(() => element.classList.toggle(className, dark));
+      }
+      setPreferences({ darkMode: next });
+    },
+    [systemMode, target, className, transition, setPreferences],
+  );
+
+  return {
+    mode: colorModes.includes(mode) ? mode : "system",
+    resolvedMode,
+    systemMode,
+    setMode,
+  };
+}
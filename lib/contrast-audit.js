@@ -0,0 +1,266 @@
+/**
+ * @file Contrast audit for color schemes generated by generateScheme().
+ * This module checks the foreground and background role pairs of a scheme
+ * against the WCAG 2.x contrast requirements and reports the APCA lightness
+ * contrast (Lc) of each pair alongside, so that a brand seed can be verified
+ * in unit tests and CI before it ships.
+ * @module contrast-audit
+ * @since 1.1.0
+ * @example
+ * import { generateScheme } from './material-theme.js';
+ * import { auditScheme } from './contrast-audit.js';
+ *
+ * const report = auditScheme(await generateScheme('#1976D2', 0));
+ * if (!report.aa.passed) {
+ *   console.table(report.aa.failures);
+ * }
+ */
+
+/**
+ * A foreground and background role pair to audit.
+ * @typedef {Array<string>} ContrastPair
+ * @property {string} 0 - Foreground token (e.g., "onPrimary")
+ * @property {string} 1 - Background token (e.g., "primary")
+ * @property {string} 2 - Usage of the foreground, one of the keys of wcagThresholds
+ * @since 1.1.0
+ * @example ["onPrimary", "primary", "text"]
+ */
+
+/**
+ * Audit result of one role pair in one brightness.
+ * @typedef {object} ContrastResult
+ * @property {string} brightness - "light" or "dark"
+ * @property {string} foreground - Foreground token
+ * @property {string} background - Background token
+ * @property {string} usage - Usage of the foreground
+ * @property {string} foregroundColor - Hex color of the foreground
+ * @property {string} backgroundColor - Hex color of the background
+ * @property {number} ratio - WCAG 2.x contrast ratio from 1 to 21
+ * @property {number} apca - APCA Lc value, positive for dark text on light
+ *   backgrounds and negative for light text on dark backgrounds
+ * @property {boolean} aa - Whether the pair meets WCAG level AA
+ * @property {boolean} aaa - Whether the pair meets WCAG level AAA
+ * @since 1.1.0
+ */
+
+/**
+ * Minimum WCAG 2.x contrast ratios by usage of the foreground.
+ * - text: Normal text (1.4.3 and 1.4.6)
+ * - largeText: Text of at least 18pt, or 14pt bold (1.4.3 and 1.4.6)
+ * - ui: Component boundaries and graphics (1.4.11, which has no AAA level)
+ * @type {object}
+ * @since 1.1.0
+ * @example
+ * wcagThresholds.text.aa; // 4.5
+ */
+export const wcagThresholds = {
+  text: { aa: 4.5, aaa: 7 },
+  largeText: { aa: 3, aaa: 4.5 },
+  ui: { aa: 3, aaa: 3 },
+};
+
+/**
+ * Role pairs audited by default. The form colors are the ones that
+ * generateThemeCss() adds to the theme.
+ * @type {Array<ContrastPair>}
+ * @since 1.1.0
+ * @example
+ * // Audit a custom color as well
+ * auditScheme(scheme, {
+ *   pairs: [...contrastPairs, ["onSuccess", "success", "text"]],
+ * });
+ */
+export const contrastPairs = [
+  ["onPrimary", "primary", "text"],
+  ["onPrimaryContainer", "primaryContainer", "text"],
+  ["onSecondary", "secondary", "text"],
+  ["onSecondaryContainer", "secondaryContainer", "text"],
+  ["onTertiary", "tertiary", "text"],
+  ["onTertiaryContainer", "tertiaryContainer", "text"],
+  ["onError", "error", "text"],
+  ["onErrorContainer", "errorContainer", "text"],
+  ["onPrimaryFixed", "primaryFixed", "text"],
+  ["onPrimaryFixedVariant", "primaryFixed", "text"],
+  ["onSecondaryFixed", "secondaryFixed", "text"],
+  ["onSecondaryFixedVariant", "secondaryFixed", "text"],
+  ["onTertiaryFixed", "tertiaryFixed", "text"],
+  ["onTertiaryFixedVariant", "tertiaryFixed", "text"],
+  ["onBackground", "background", "text"],
+  ["onSurface", "surface", "text"],
+  ["onSurface", "surfaceDim", "text"],
+  ["onSurface", "surfaceBright", "text"],
+  ["onSurface", "surfaceContainerLowest", "text"],
+  ["onSurface", "surfaceContainerLow", "text"],
+  ["onSurface", "surfaceContainer", "text"],
+  ["onSurface", "surfaceContainerHigh", "text"],
+  ["onSurface", "surfaceContainerHighest", "text"],
+  ["onSurfaceVariant", "surface", "text"],
+  ["onSurfaceVariant", "surfaceVariant", "text"],
+  ["onSurfaceVariant", "surfaceContainerHighest", "text"],
+  ["inverseOnSurface", "inverseSurface", "text"],
+  ["inversePrimary", "inverseSurface", "text"],
+  ["primary", "surface", "text"],
+  ["secondary", "surface", "text"],
+  ["tertiary", "surface", "text"],
+  ["error", "surface", "text"],
+  ["onForm", "form", "text"],
+  ["outline", "surface", "ui"],
+  ["outline", "surfaceContainerHighest", "ui"],
+  ["primary", "surfaceContainerHighest", "ui"],
+];
+
+/**
+ * Sources of the form colors that generateThemeCss() defines with var(),
+ * as [brightness, token] by the brightness of the form color.
+ * @private
+ */
+const formColors = {
+  form: {
+    light: ["light", "surfaceContainerLowest"],
+    dark: ["light", "onSurface"],
+  },
+  onForm: {
+    light: ["dark", "surfaceContainerLowest"],
+    dark: ["dark", "onSurface"],
+  },
+};
+
+/**
+ * Converts a hex color to sRGB channel values from 0 to 1.
+ * @private
+ * @param {string} hex - Hex color code in format #RRGGBB
+ * @returns {Array<number>} Red, green and blue
+ */
+const channels = (hex) =>
+  [1, 3, 5].map((i) => Number(`0x${hex.slice(i, i + 2)}`) / 255);
+
+/**
+ * Calculates the WCAG 2.x contrast ratio of two colors.
+ * @param {string} foreground - Hex color code in format #RRGGBB
+ * @param {string} background - Hex color code in format #RRGGBB
+ * @returns {number} Contrast ratio from 1 to 21, independent of the order
+ * @since 1.1.0
+ * @example
+ * contrastRatio("#000000", "#FFFFFF"); // 21
+ */
+export function contrastRatio(foreground, background) {
+  const luminance = (hex) => {
+    const [r, g, b] = channels(hex).map((c) =>
+      c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4,
+    );
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+  const [darker, lighter] = [luminance(foreground), luminance(background)].sort(
+    (a, b) => a - b,
+  );
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Calculates the APCA lightness contrast (Lc) of text on a background,
+ * following APCA-W3 0.0.98G-4g.
+ * @param {string} text - Hex color code of the text in format #RRGGBB
+ * @param {string} background - Hex color code of the background in format #RRGGBB
+ * @returns {number} Lc value from about -108 to 106. Positive for dark text on a
+ *   light background, negative for light text on a dark background, 0 for
+ *   contrast too low to measure
+ * @since 1.1.0
+ * @example
+ * apcaContrast("#000000", "#FFFFFF"); // 106.04...
+ * apcaContrast("#FFFFFF", "#000000"); // -107.88...
+ */
+export function apcaContrast(text, background) {
+  const screenLuminance = (hex) => {
+    const [r, g, b] = channels(hex).map((c) => c ** 2.4);
+    const y = 0.2126729 * r + 0.7151522 * g + 0.072175 * b;
+    // Soft clamp near black
+    return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+  };
+  const yText = screenLuminance(text);
+  const yBackground = screenLuminance(background);
+
+  if (Math.abs(yBackground - yText) < 0.0005) {
+    return 0;
+  }
+  if (yBackground > yText) {
+    const sapc = (yBackground ** 0.56 - yText ** 0.57) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (yBackground ** 0.65 - yText ** 0.62) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * Audits the role pairs of a scheme against the WCAG 2.x AA and AAA levels.
+ *
+ * Every pair is checked in every brightness of the scheme. Pairs with a token
+ * the scheme does not have are left out of the report, so that partial
+ * schemes can be audited as well.
+ * @param {Array<object>} scheme - Color scheme data from generateScheme()
+ * @param {object} [options] - Audit options
+ * @param {Array<ContrastPair>} [options.pairs] - Role pairs to audit
+ *   (defaults to contrastPairs)
+ * @returns {object} Report with:
+ *   - results: Array of ContrastResult for every audited pair
+ *   - aa: { passed, failures } for WCAG level AA
+ *   - aaa: { passed, failures } for WCAG level AAA
+ * @throws {Error} Throws error if a pair has an unknown usage
+ * @since 1.1.0
+ * @example
+ * // Fail the unit tests when the brand seed breaks AA
+ * const report = auditScheme(await generateScheme(brandSeed, 0));
+ * expect(report.aa.failures).toEqual([]);
+ */
+export function auditScheme(scheme, { pairs = contrastPairs } = {}) {
+  const colors = Object.fromEntries(
+    scheme.map(({ brightness, colors }) => [
+      brightness,
+      Object.fromEntries(colors),
+    ]),
+  );
+  const color = (brightness, token) => {
+    if (formColors[token]?.[brightness]) {
+      const [source, sourceToken] = formColors[token][brightness];
+      return colors[source]?.[sourceToken];
+    }
+    return colors[brightness][token];
+  };
+
+  const results = scheme.flatMap(({ brightness }) =>
+    pairs.flatMap(([foreground, background, usage]) => {
+      const thresholds = wcagThresholds[usage];
+      if (!thresholds) {
+        throw new Error(`Unknown contrast usage: ${usage}`);
+      }
+
+      const foregroundColor = color(brightness, foreground);
+      const backgroundColor = color(brightness, background);
+      if (!foregroundColor || !backgroundColor) {
+        return [];
+      }
+
+      const ratio = contrastRatio(foregroundColor, backgroundColor);
+      return [
+        {
+          brightness,
+          foreground,
+          background,
+          usage,
+          foregroundColor,
+          backgroundColor,
+          ratio,
+          apca: apcaContrast(foregroundColor, backgroundColor),
+          aa: ratio >= thresholds.aa,
+          aaa: ratio >= thresholds.aaa,
+        },
+      ];
+    }),
+  );
+
+  const level = (key) => {
+    const failures = results.filter((result) => !result[key]);
+    return { passed: failures.length === 0, failures };
+  };
+
+  return { results, aa: level("aa"), aaa: level("aaa") };
+}
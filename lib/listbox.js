@@ -0,0 +1,117 @@
+/**
+ * @file Option filtering, typeahead and windowing of listboxes and menus.
+ * Select renders only the options scrolled into view, so that lists of
+ * thousands of options open at once. Select and Menu share the logic here,
+ * which does not depend on React.
+ * @module listbox
+ * @since 1.1.0
+ * @example
+ * import { filterOptions, visibleRange } from './listbox.js';
+ *
+ * const shown = filterOptions(countries, query);
+ * const { start, end } = visibleRange({
+ *   scrollTop: list.scrollTop,
+ *   height: 288,
+ *   itemHeight: 48,
+ *   count: shown.length,
+ * });
+ */
+
+/**
+ * Keeps the options whose label contains the query, ignoring case.
+ * @param {Array<object>} options - Options with a label
+ * @param {string} query - Text typed by the user
+ * @returns {Array<object>} Matching options in their order, or all options for
+ *   an empty query
+ * @since 1.1.0
+ * @example
+ * filterOptions([{ label: "Japan" }, { label: "Jamaica" }], "pan");
+ * // [{ label: "Japan" }]
+ */
+export function filterOptions(options, query) {
+  const text = query.trim().toLowerCase();
+  return text
+    ? options.filter((option) => option.label.toLowerCase().includes(text))
+    : options;
+}
+
+/**
+ * Creates a typeahead buffer. Characters typed within the timeout of each other
+ * form one search text; a longer pause starts a new one.
+ * @param {number} [timeout] - Milliseconds after which a new search starts
+ *   (defaults to 500)
+ * @returns {Function} Takes a typed character and returns the search text in
+ *   lower case
+ * @since 1.1.0
+ * @example
+ * const typeahead = createTypeahead();
+ * typeahead("B"); // "b"
+ * typeahead("l"); // "bl", if typed within 500 ms
+ */
+export function createTypeahead(timeout = 500) {
+  let text = "";
+  let time = 0;
+  return (key) => {
+    const now = Date.now();
+    text = (now - time < timeout ? text : "") + key.toLowerCase();
+    time = now;
+    return text;
+  };
+}
+
+/**
+ * Finds the item that typeahead moves to. A single character moves to the next
+ * label starting with it after the current item, so that repeating it cycles
+ * through the matches; a longer text may keep the current item. The search
+ * wraps around the end.
+ * @param {Array<string>} labels - Labels of the items that can be focused
+ * @param {string} text - Search text from createTypeahead()
+ * @param {number} current - Index of the current item, or -1 if there is none
+ * @returns {number} Index of the matching label, or -1 if none matches
+ * @since 1.1.0
+ * @example
+ * const fruits = ["Apple", "Banana", "Blueberry"];
+ * typeaheadIndex(fruits, "b", 1); // 2
+ * typeaheadIndex(fruits, "b", 2); // 1
+ * typeaheadIndex(fruits, "bl", 2); // 2
+ */
+export function typeaheadIndex(labels, text, current) {
+  const start = text.length === 1 ? current + 1 : Math.max(current, 0);
+  for (let offset = 0; offset < labels.length; offset++) {
+    const index = (start + offset) % labels.length;
+    if (labels[index].toLowerCase().startsWith(text)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Computes the items of a fixed item height list to render.
+ * @param {object} window - Scroll state of the list
+ * @param {number} window.scrollTop - Scroll position of the list in pixels
+ * @param {number} window.height - Visible height of the list in pixels
+ * @param {number} window.itemHeight - Height of every item in pixels
+ * @param {number} window.count - Number of items
+ * @param {number} [window.overscan] - Items rendered beyond each edge, so that
+ *   fast scrolling shows no gaps (defaults to 4)
+ * @returns {object} start (inclusive) and end (exclusive) indexes to render
+ * @since 1.1.0
+ * @example
+ * visibleRange({ scrollTop: 4800, height: 288, itemHeight: 48, count: 1000 });
+ * // { start: 96, end: 110 }
+ */
+export function visibleRange({
+  scrollTop,
+  height,
+  itemHeight,
+  count,
+  overscan = 4,
+}) {
+  const first = Math.floor(scrollTop / itemHeight);
+  const last = Math.ceil((scrollTop + height) / itemHeight);
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, last + overscan),
+  };
+}
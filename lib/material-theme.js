@@ -10,6 +10,9 @@
  * - Convert themes to CSS custom properties for web applications
  * - Support for dynamic theme switching and contrast adjustment
  * - Full Material Design 3 color token coverage including new surface variants
+ * - Standard Material Design 3 scheme variants (tonal spot, vibrant, monochrome, ...)
+ * - Medium and high contrast sets switched by media query or root class
+ * - Seed color candidates extracted from images
  * - Automatic HSL to Hex color conversion utilities
  *
  * The color system generates 33+ semantic color tokens for each theme mode, ensuring
@@ -34,13 +37,287 @@
 
 import {
   argbFromHex,
+  argbFromRgb,
+  Blend,
   DynamicScheme,
   Hct,
   hexFromArgb,
+  QuantizerCelebi,
+  Score,
   TonalPalette,
   sanitizeDegreesDouble,
+  SchemeContent,
+  SchemeExpressive,
+  SchemeFidelity,
+  SchemeMonochrome,
+  SchemeNeutral,
+  SchemeTonalSpot,
+  SchemeVibrant,
 } from "@material/material-color-utilities";
 
+/**
+ * Value of Variant.TONAL_SPOT in Material Color Utilities.
+ * The Variant enum is not exported from the package entry point.
+ * @private
+ */
+const VARIANT_TONAL_SPOT = 2;
+
+/**
+ * Scheme classes of Material Color Utilities for the standard Material Design 3
+ * scheme variants, keyed by the variant name accepted by generateScheme().
+ * @private
+ */
+const variantSchemes = {
+  tonalSpot: SchemeTonalSpot,
+  vibrant: SchemeVibrant,
+  expressive: SchemeExpressive,
+  fidelity: SchemeFidelity,
+  content: SchemeContent,
+  monochrome: SchemeMonochrome,
+  neutral: SchemeNeutral,
+};
+
+/**
+ * Names of the scheme variants accepted by the `variant` option of generateScheme().
+ * - default: The original hand-tuned Xuan Paper palettes (chroma 36/16/24/6/8, tertiary hue +60°)
+ * - tonalSpot: Material Design 3 default, calm colors with a tonal accent
+ * - vibrant: Maximum chroma for the primary palette, colorful secondary and tertiary
+ * - expressive: Playful palette with the primary hue rotated away from the seed
+ * - fidelity: Primary palette matches the seed color as closely as possible
+ * - content: Like fidelity, with tertiary derived from the seed's analogous colors
+ * - monochrome: Grayscale palettes for every role except error
+ * - neutral: Nearly grayscale palettes with a hint of the seed hue
+ * @type {Array<string>}
+ * @since 1.1.0
+ * @example
+ * schemeVariants.map((variant) => <option key={variant}>{variant}</option>);
+ */
+export const schemeVariants = ["default", ...Object.keys(variantSchemes)];
+
+/**
+ * Options for generateScheme().
+ * @typedef {object} SchemeOptions
+ * @property {string} [variant] - One of schemeVariants (defaults to "default")
+ * @property {PaletteColors} [palettes] - Explicit source colors for individual palettes
+ * @property {Array<CustomColor>} [customColors] - Extended colors added to the scheme
+ * @since 1.1.0
+ */
+
+/**
+ * A named custom color ("extended color" in Material Design 3) that gets its own
+ * `color`, `onColor`, `colorContainer` and `onColorContainer` tokens.
+ * @typedef {object} CustomColor
+ * @property {string} name - Token name in camelCase (e.g., "success", "brandAccent")
+ * @property {string} value - Hex color of the custom color
+ * @property {boolean} [blend] - Whether to harmonize the color toward the seed hue (defaults to false)
+ * @since 1.1.0
+ * @example
+ * { name: "success", value: "#2E7D32", blend: true }
+ */
+
+/**
+ * Explicit source colors for the palettes of a scheme. Each palette keeps the hue
+ * and chroma of the given color. Palettes without a color are derived from the seed.
+ * @typedef {object} PaletteColors
+ * @property {string} [secondary] - Hex color for the secondary palette
+ * @property {string} [tertiary] - Hex color for the tertiary palette
+ * @property {string} [neutral] - Hex color for the neutral palette
+ * @property {string} [neutralVariant] - Hex color for the neutral variant palette
+ * @property {string} [error] - Hex color for the error palette
+ * @since 1.1.0
+ * @example
+ * { tertiary: "#FFB300", error: "#C62828" }
+ */
+
+/**
+ * Tones of the tonal palettes included in the scheme, the same steps as the
+ * color roles of Material Design 3 use.
+ * @type {Array<number>}
+ * @since 1.1.0
+ * @example
+ * paletteTones.includes(40); // true
+ */
+export const paletteTones = [
+  0, 4, 6, 10, 12, 17, 20, 22, 24, 30, 40, 50, 60, 70, 80, 87, 90, 92, 94, 95,
+  96, 98, 99, 100,
+];
+
+/**
+ * Tonal palettes of a scheme, keyed by palette name and then by tone.
+ * @typedef {object} TonalPalettes
+ * @property {object} primary - Hex colors of the primary palette by tone
+ * @property {object} secondary - Hex colors of the secondary palette by tone
+ * @property {object} tertiary - Hex colors of the tertiary palette by tone
+ * @property {object} neutral - Hex colors of the neutral palette by tone
+ * @property {object} neutralVariant - Hex colors of the neutral variant palette by tone
+ * @property {object} error - Hex colors of the error palette by tone
+ * @since 1.1.0
+ * @example
+ * palettes.primary[40]; // "#415F91"
+ */
+
+/**
+ * Names of the palettes of a dynamic scheme.
+ * @private
+ */
+const tonalPaletteNames = [
+  "primary",
+  "secondary",
+  "tertiary",
+  "neutral",
+  "neutralVariant",
+  "error",
+];
+
+/**
+ * Collects the tones of paletteTones from the palettes of a dynamic scheme.
+ * @private
+ * @param {DynamicScheme} ds - Dynamic scheme of the brightness
+ * @returns {TonalPalettes} Hex colors by palette name and tone
+ */
+const tonalPalettes = (ds) =>
+  Object.fromEntries(
+    tonalPaletteNames.map((name) => [
+      name,
+      Object.fromEntries(
+        paletteTones.map((tone) => [
+          tone,
+          hexFromArgb(ds[`${name}Palette`].tone(tone)),
+        ]),
+      ),
+    ]),
+  );
+
+/**
+ * Names of the palettes that can be overridden with PaletteColors.
+ * @private
+ */
+const overridablePalettes = [
+  "secondary",
+  "tertiary",
+  "neutral",
+  "neutralVariant",
+  "error",
+];
+
+/**
+ * Replaces palettes of a dynamic scheme with palettes from explicit source colors.
+ * @private
+ * @param {DynamicScheme} ds - Dynamic scheme created for the variant
+ * @param {PaletteColors} palettes - Explicit source colors
+ * @returns {DynamicScheme} The given scheme if nothing is overridden, or a new scheme
+ * @throws {Error} Throws error if a palette name is unknown
+ */
+const overridePalettes = (ds, palettes) => {
+  const names = Object.keys(palettes).filter((name) => palettes[name]);
+  if (names.length === 0) {
+    return ds;
+  }
+
+  const unknown = names.find((name) => !overridablePalettes.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown palette: ${unknown}`);
+  }
+
+  const palette = (name) =>
+    palettes[name]
+      ? TonalPalette.fromInt(argbFromHex(palettes[name]))
+      : ds[`${name}Palette`];
+
+  const scheme = new DynamicScheme({
+    sourceColorArgb: ds.sourceColorArgb,
+    variant: ds.variant,
+    contrastLevel: ds.contrastLevel,
+    isDark: ds.isDark,
+    primaryPalette: ds.primaryPalette,
+    secondaryPalette: palette("secondary"),
+    tertiaryPalette: palette("tertiary"),
+    neutralPalette: palette("neutral"),
+    neutralVariantPalette: palette("neutralVariant"),
+  });
+  scheme.errorPalette = palette("error");
+  return scheme;
+};
+
+/**
+ * Creates the four color tokens of a custom color for one brightness.
+ * The tokens follow the contrast level of the scheme, in the same way as the
+ * primary tokens do.
+ * @private
+ * @param {DynamicScheme} ds - Dynamic scheme of the brightness
+ * @param {CustomColor} customColor - The custom color
+ * @returns {Array<ColorPair>} Token pairs, e.g. success, onSuccess,
+ *   successContainer and onSuccessContainer
+ * @throws {Error} Throws error if the name is not a camelCase identifier
+ */
+const customColorTokens = (ds, { name, value, blend = false }) => {
+  if (!/^[a-z][a-zA-Z0-9]*$/.test(name || "")) {
+    throw new Error(`Invalid custom color name: ${name}`);
+  }
+
+  const argb = blend
+    ? Blend.harmonize(argbFromHex(value), ds.sourceColorArgb)
+    : argbFromHex(value);
+  const palette = TonalPalette.fromInt(argb);
+  const cs = new DynamicScheme({
+    sourceColorArgb: argb,
+    variant: VARIANT_TONAL_SPOT,
+    contrastLevel: ds.contrastLevel,
+    isDark: ds.isDark,
+    primaryPalette: palette,
+    secondaryPalette: palette,
+    tertiaryPalette: palette,
+    neutralPalette: ds.neutralPalette,
+    neutralVariantPalette: ds.neutralVariantPalette,
+  });
+  const capitalized = name.charAt(0).toUpperCase() + name.slice(1);
+
+  return [
+    [name, hexFromArgb(cs.primary)],
+    [`on${capitalized}`, hexFromArgb(cs.onPrimary)],
+    [`${name}Container`, hexFromArgb(cs.primaryContainer)],
+    [`on${capitalized}Container`, hexFromArgb(cs.onPrimaryContainer)],
+  ];
+};
+
+/**
+ * Creates the DynamicScheme for one brightness of the requested variant.
+ * @private
+ * @param {Hct} sourceColorHct - Seed color in HCT color space
+ * @param {string} variant - One of schemeVariants
+ * @param {boolean} isDark - Whether to create the dark scheme
+ * @param {number} contrast - Contrast level from -1.0 to 1.0
+ * @returns {DynamicScheme} The dynamic scheme
+ * @throws {Error} Throws error if the variant is unknown
+ */
+const createDynamicScheme = (sourceColorHct, variant, isDark, contrast) => {
+  if (variant === "default") {
+    return new DynamicScheme({
+      sourceColorArgb: sourceColorHct.toInt(),
+      variant: VARIANT_TONAL_SPOT,
+      contrastLevel: contrast,
+      isDark,
+      primaryPalette: TonalPalette.fromHueAndChroma(sourceColorHct.hue, 36.0),
+      secondaryPalette: TonalPalette.fromHueAndChroma(sourceColorHct.hue, 16.0),
+      tertiaryPalette: TonalPalette.fromHueAndChroma(
+        sanitizeDegreesDouble(sourceColorHct.hue + 60.0),
+        24.0,
+      ),
+      neutralPalette: TonalPalette.fromHueAndChroma(sourceColorHct.hue, 6.0),
+      neutralVariantPalette: TonalPalette.fromHueAndChroma(
+        sourceColorHct.hue,
+        8.0,
+      ),
+    });
+  }
+
+  const VariantScheme = variantSchemes[variant];
+  if (!VariantScheme) {
+    throw new Error(`Unknown scheme variant: ${variant}`);
+  }
+  return new VariantScheme(sourceColorHct, isDark, contrast);
+};
+
 /**
  * A color token pair representing a semantic color name and its hexadecimal value.
  * Used throughout the Material Design color system to associate meaningful names
@@ -60,6 +337,8 @@ import {
  * @typedef {object} ThemeObject
  * @property {string} brightness - Theme brightness mode, either "light" or "dark"
  * @property {Array<ColorPair>} colors - Array of semantic color token pairs
+ * @property {TonalPalettes} [palettes] - Tonal palettes the tokens are taken from.
+ *   Set by generateScheme(); optional in schemes built by hand.
  * @example
  * // Light theme example
  * {
@@ -87,6 +366,66 @@ import {
  * @since 1.0.0
  */
 
+/**
+ * Names of the standard Material Design 3 color tokens in the order generateScheme()
+ * emits them for each brightness. Custom colors are appended after these tokens.
+ * @type {Array<string>}
+ * @since 1.1.0
+ * @example
+ * colorTokens.includes("surfaceContainerHighest"); // true
+ */
+export const colorTokens = [
+  "primary",
+  "surfaceTint",
+  "onPrimary",
+  "primaryContainer",
+  "onPrimaryContainer",
+  "secondary",
+  "onSecondary",
+  "secondaryContainer",
+  "onSecondaryContainer",
+  "tertiary",
+  "onTertiary",
+  "tertiaryContainer",
+  "onTertiaryContainer",
+  "error",
+  "onError",
+  "errorContainer",
+  "onErrorContainer",
+  "background",
+  "onBackground",
+  "surface",
+  "onSurface",
+  "surfaceVariant",
+  "onSurfaceVariant",
+  "outline",
+  "outlineVariant",
+  "shadow",
+  "scrim",
+  "inverseSurface",
+  "inverseOnSurface",
+  "inversePrimary",
+  "primaryFixed",
+  "onPrimaryFixed",
+  "primaryFixedDim",
+  "onPrimaryFixedVariant",
+  "secondaryFixed",
+  "onSecondaryFixed",
+  "secondaryFixedDim",
+  "onSecondaryFixedVariant",
+  "tertiaryFixed",
+  "onTertiaryFixed",
+  "tertiaryFixedDim",
+  "onTertiaryFixedVariant",
+  "surfaceDim",
+  "surfaceBright",
+  "surfaceContainerLowest",
+  "surfaceContainerLow",
+  "surfaceContainer",
+  "surfaceContainerHigh",
+  "surfaceContainerHighest",
+];
+
 /**
  * Generates a comprehensive Material Design color scheme from a seed color.
  * Creates both light and dark theme variants with all standard Material Design
@@ -107,11 +446,23 @@ import {
  *   - Positive values: Higher contrast for improved accessibility
  *   - Negative values: Lower contrast for softer appearance
  *   - Values outside -1.0 to 1.0 are automatically clamped
+ * @param {SchemeOptions} [options] - Additional options for the scheme.
+ *   - variant: Scheme variant name from schemeVariants (defaults to "default").
+ *     Every variant produces the same set of color tokens.
+ *   - palettes: Source colors for the secondary, tertiary, neutral, neutralVariant
+ *     and error palettes. Palettes not given are derived from the seed color.
+ *   - customColors: Named extended colors. Each adds `name`, `onName`, `nameContainer`
+ *     and `onNameContainer` tokens after the standard tokens of both themes.
  * @returns {Promise<Array<ThemeObject>>} Promise resolving to an array of theme objects:
- * - Each theme contains: {brightness, colors}
+ * - Each theme contains: {brightness, colors, palettes}
  * - brightness: "light" or "dark"
  * - colors: Array of [tokenName, hexColor] pairs (33+ tokens per theme)
+ * - palettes: Hex colors of the primary, secondary, tertiary, neutral,
+ *   neutralVariant and error palettes at each tone of paletteTones
  * @throws {Error} Throws error if seedColor is not a valid hex color format
+ * @throws {Error} Throws error if options.variant is not one of schemeVariants
+ * @throws {Error} Throws error if options.palettes contains an unknown palette name
+ * @throws {Error} Throws error if a custom color name is not a camelCase identifier
  * @since 1.0.0
  * @example
  * // Generate a blue-based theme with standard contrast
@@ -128,85 +479,56 @@ import {
  * const brandColor = "#E91E63"; // Brand pink
  * const themeData = await generateScheme(brandColor, 0.2);
  * const [lightTheme, darkTheme] = themeData;
+ * @example
+ * // Generate a vibrant brand theme and a monochrome admin theme
+ * const brandScheme = await generateScheme("#E91E63", 0, { variant: "vibrant" });
+ * const adminScheme = await generateScheme("#E91E63", 0, { variant: "monochrome" });
+ * @example
+ * // Keep the brand accent and the corporate error red
+ * const scheme = await generateScheme("#1976D2", 0, {
+ *   palettes: { tertiary: "#FFB300", error: "#C62828" },
+ * });
+ * @example
+ * // Add success and warning tokens harmonized toward the seed
+ * const scheme = await generateScheme("#1976D2", 0, {
+ *   customColors: [
+ *     { name: "success", value: "#2E7D32", blend: true },
+ *     { name: "warning", value: "#F9A825", blend: true },
+ *   ],
+ * });
+ * // scheme[0].colors ends with ["success", ...], ["onSuccess", ...],
+ * // ["successContainer", ...], ["onSuccessContainer", ...], ["warning", ...], ...
+ * @example
+ * // Use the raw tonal steps for a chart
+ * const [light] = await generateScheme("#1976D2", 0);
+ * const series = [20, 40, 60, 80].map((tone) => light.palettes.primary[tone]);
  */
-export async function generateScheme(seedColor, contrast) {
+export async function generateScheme(
+  seedColor,
+  contrast,
+  { variant = "default", palettes = {}, customColors = [] } = {},
+) {
   const sourceColorHct = Hct.fromInt(argbFromHex(seedColor));
 
   return [
     { key: "light", value: false },
     { key: "dark", value: true },
   ].map((brightness) => {
-    const ds = new DynamicScheme({
-      sourceColorHct,
-      variant: "variant",
-      contrastLevel: contrast,
-      isDark: brightness.value,
-      primaryPalette: TonalPalette.fromHueAndChroma(sourceColorHct.hue, 36.0),
-      secondaryPalette: TonalPalette.fromHueAndChroma(sourceColorHct.hue, 16.0),
-      tertiaryPalette: TonalPalette.fromHueAndChroma(
-        sanitizeDegreesDouble(sourceColorHct.hue + 60.0),
-        24.0,
-      ),
-      neutralPalette: TonalPalette.fromHueAndChroma(sourceColorHct.hue, 6.0),
-      neutralVariantPalette: TonalPalette.fromHueAndChroma(
-        sourceColorHct.hue,
-        8.0,
-      ),
-    });
+    const ds = overridePalettes(
+      createDynamicScheme(sourceColorHct, variant, brightness.value, contrast),
+      palettes,
+    );
 
     return {
       brightness: brightness.key,
-      colors: [
-        "primary",
-        "surfaceTint",
-        "onPrimary",
-        "primaryContainer",
-        "onPrimaryContainer",
-        "secondary",
-        "onSecondary",
-        "secondaryContainer",
-        "onSecondaryContainer",
-        "tertiary",
-        "onTertiary",
-        "tertiaryContainer",
-        "onTertiaryContainer",
-        "error",
-        "onError",
-        "errorContainer",
-        "onErrorContainer",
-        "background",
-        "onBackground",
-        "surface",
-        "onSurface",
-        "surfaceVariant",
-        "onSurfaceVariant",
-        "outline",
-        "outlineVariant",
-        "shadow",
-        "scrim",
-        "inverseSurface",
-        "inverseOnSurface",
-        "inversePrimary",
-        "primaryFixed",
-        "onPrimaryFixed",
-        "primaryFixedDim",
-        "onPrimaryFixedVariant",
-        "secondaryFixed",
-        "onSecondaryFixed",
-        "secondaryFixedDim",
-        "onSecondaryFixedVariant",
-        "tertiaryFixed",
-        "onTertiaryFixed",
-        "tertiaryFixedDim",
-        "onTertiaryFixedVariant",
-        "surfaceDim",
-        "surfaceBright",
-        "surfaceContainerLowest",
-        "surfaceContainerLow",
-        "surfaceContainer",
-        "surfaceContainerHigh",
-        "surfaceContainerHighest",
-      ].map((key) => [key, hexFromArgb(ds[key])]),
+      colors: colorTokens
+        .map((key) => [key, hexFromArgb(ds[key])])
+        .concat(
+          customColors.flatMap((customColor) =>
+            customColorTokens(ds, customColor),
+          ),
+        ),
+      palettes: tonalPalettes(ds),
     };
   });
 }
@@ -276,6 +598,21 @@ export function convertToVariables(scheme) {
     .flat();
 }
 
+/**
+ * Variables for links and forms that generateThemeCss() adds to the scheme tokens.
+ * They refer to the scheme tokens with var(), so an element with a scoped scheme
+ * has to declare them again to resolve them against its own tokens.
+ * @private
+ */
+const supplementaryVariables = [
+  ["--color-light-link", "var(--color-blue-700)"],
+  ["--color-dark-link", "var(--color-blue-300)"],
+  ["--color-light-form", "var(--color-light-surface-container-lowest)"],
+  ["--color-light-on-form", "var(--color-dark-surface-container-lowest)"],
+  ["--color-dark-form", "var(--color-light-on-surface)"],
+  ["--color-dark-on-form", "var(--color-dark-on-surface)"],
+];
+
 /**
  * Applies a Material Design color scheme directly to the document by setting
  * CSS variables. This function takes a color scheme generated by generateScheme()
@@ -289,13 +626,21 @@ export function convertToVariables(scheme) {
  *
  * The function performs immediate DOM manipulation, so themes become active
  * instantly without requiring page reloads or additional CSS loading.
+ *
+ * Given an element, the variables are set on that element instead, and the scheme
+ * applies to its subtree only. The link and form variables of generateThemeCss()
+ * are declared on the element as well, so that they follow the scoped scheme.
  * @param {Array<ThemeObject>} scheme - Color scheme data from generateScheme().
  *   Expected format: Array of {brightness, colors} objects where:
  *   - brightness: "light" or "dark" string identifier
  *   - colors: Array of [tokenName, hexColor] string pair arrays
  *   - Must contain valid color data for proper theme application
- * @returns {void} This function does not return a value, it modifies the document directly.
- *   All CSS custom properties are set on document.documentElement for global access.
+ * @param {HTMLElement} [element] - Element to scope the scheme to
+ *   (defaults to document.documentElement)
+ * @returns {Function} Cleanup function that restores the values the variables had
+ *   on the element before, removing the ones that were not set. Call it before
+ *   applying another scheme to the same element, or when the element leaves
+ *   the page.
  * @throws {Error} May throw if scheme data is malformed or DOM manipulation fails
  * @since 1.0.0
  * @example
@@ -317,13 +662,53 @@ export function convertToVariables(scheme) {
  * } catch (error) {
  *   console.error("Failed to apply theme:", error);
  * }
+ * @example
+ * // Give each tenant card its own brand scheme
+ * const cleanup = applyColorScheme(tenantScheme, cardElement);
+ * // ... when the card is removed or the tenant changes
+ * cleanup();
  */
-export function applyColorScheme(scheme) {
-  convertToVariables(scheme).forEach(([varName, hex]) => {
-    document.documentElement.style.setProperty(varName, hex);
+export function applyColorScheme(scheme, element = document.documentElement) {
+  const { style } = element;
+  const variables = convertToVariables(scheme);
+  if (element !== document.documentElement && variables.length > 0) {
+    variables.push(...supplementaryVariables);
+  }
+
+  const previous = variables.map(([varName, value]) => {
+    const prev = style.getPropertyValue(varName);
+    style.setProperty(varName, value);
+    return [varName, prev];
   });
+
+  return () => {
+    previous.forEach(([varName, prev]) => {
+      if (prev) {
+        style.setProperty(varName, prev);
+      } else {
+        style.removeProperty(varName);
+      }
+    });
+  };
 }
 
+/**
+ * Standard contrast levels of Material Design 3, for use with generateScheme().
+ * @type {{standard: number, medium: number, high: number}}
+ * @since 1.1.0
+ * @example
+ * const highContrastScheme = await generateScheme("#1976D2", contrastLevels.high);
+ */
+export const contrastLevels = { standard: 0.0, medium: 0.5, high: 1.0 };
+
+/**
+ * Schemes generated at the medium and high contrast levels.
+ * @typedef {object} ContrastSchemes
+ * @property {Array<ThemeObject>} [medium] - Scheme generated with contrastLevels.medium
+ * @property {Array<ThemeObject>} [high] - Scheme generated with contrastLevels.high
+ * @since 1.1.0
+ */
+
 /**
  * Converts a Material Design color scheme into CSS custom properties (CSS variables).
  * Transforms the color scheme data into a CSS @theme block with properly named
@@ -352,10 +737,24 @@ export function applyColorScheme(scheme) {
  * @param {number} contrast - The contrast level used when generating the scheme.
  *   Typically ranges from -1.0 to 1.0, included in CSS metadata for reference.
  *   Used to document the accessibility settings applied to the theme.
+ * @param {object} [options] - Additional output options.
+ * @param {ContrastSchemes} [options.contrastSchemes] - Schemes generated at the medium
+ *   and high contrast levels. When given, the stylesheet also carries these sets:
+ *   - High contrast overrides the variables under `@media (prefers-contrast: more)`
+ *   - A `contrast-medium` or `contrast-high` class on the root element selects a set
+ *     explicitly and takes precedence over the media query
+ * @param {boolean} [options.tonalPalettes] - Whether to add the tonal palettes of the
+ *   scheme to the `@theme` block as `--color-palette-{palette}-{tone}` (e.g.,
+ *   `--color-palette-primary-40`, `--color-palette-neutral-variant-90`), which
+ *   Tailwind turns into classes like `bg-palette-primary-40`. The prefix keeps
+ *   tones such as neutral-50 apart from the Tailwind default colors. The palettes
+ *   do not depend on the brightness. Defaults to false.
  * @returns {string} CSS string containing complete @theme block with:
  *   - Header comment with generation metadata (timestamp, seed color, contrast)
  *   - All Material Design color custom properties for light and dark modes
  *   - Additional semantic color variables for links and forms
+ *   - Tonal palette tones if options.tonalPalettes is set
+ *   - Medium and high contrast overrides if options.contrastSchemes is given
  *   - Proper CSS formatting ready for file output or style injection
  * @since 1.0.0
  * @example
@@ -375,8 +774,44 @@ export function applyColorScheme(scheme) {
  * const styleEl = document.createElement('style');
  * styleEl.textContent = themeCss;
  * document.head.appendChild(styleEl);
+ * @example
+ * // Carry standard, medium and high contrast sets in one stylesheet
+ * const [standard, medium, high] = await Promise.all(
+ *   Object.values(contrastLevels).map((level) => generateScheme("#1976D2", level)),
+ * );
+ * const themeCss = generateThemeCss(standard, "#1976D2", contrastLevels.standard, {
+ *   contrastSchemes: { medium, high },
+ * });
+ * // <html class="contrast-high"> forces the high contrast set
+ * @example
+ * // Tonal palettes for charts: bg-palette-primary-40, fill-palette-tertiary-80
+ * const themeCss = generateThemeCss(scheme, "#1976D2", 0, { tonalPalettes: true });
  */
-export function generateThemeCss(scheme, seedColor, contrast) {
+export function generateThemeCss(
+  scheme,
+  seedColor,
+  contrast,
+  { contrastSchemes = {}, tonalPalettes = false } = {},
+) {
+  const declarations = (scheme, indent) =>
+    convertToVariables(scheme)
+      .map(([varName, hex]) => `${indent}${varName}: ${hex};`)
+      .join("\n");
+
+  // Tonal palettes are the same for both brightnesses
+  const { palettes } =
+    (tonalPalettes && scheme.find((theme) => theme.palettes)) || {};
+  const paletteDeclarations = palettes
+    ? Object.entries(palettes)
+        .flatMap(([name, tones]) => {
+          const kebab = name.replace(/[A-Z]/g, ($) => `-${$.toLowerCase()}`);
+          return Object.entries(tones).map(
+            ([tone, hex]) => `  --color-palette-${kebab}-${tone}: ${hex};`,
+          );
+        })
+        .join("\n")
+    : "";
+
   let css = `/**
  * Theme colors for Tailwind CSS / Material Design 3
  *
@@ -387,22 +822,102 @@ export function generateThemeCss(scheme, seedColor, contrast) {
  */
 
 @theme {
-${convertToVariables(scheme)
-  .map(([varName, hex]) => `  ${varName}: ${hex};`)
-  .join("\n")}
-
-  --color-light-link: var(--color-blue-700);
-  --color-dark-link: var(--color-blue-300);
-  --color-light-form: var(--color-light-surface-container-lowest);
-  --color-light-on-form: var(--color-dark-surface-container-lowest);
-  --color-dark-form: var(--color-light-on-surface);
-  --color-dark-on-form: var(--color-dark-on-surface);
+${declarations(scheme, "  ")}${paletteDeclarations && `\n\n${paletteDeclarations}`}
+
+${supplementaryVariables.map(([varName, value]) => `  ${varName}: ${value};`).join("\n")}
+}
+`;
+
+  const { medium, high } = contrastSchemes;
+
+  if (high) {
+    css += `
+/* High contrast (${contrastLevels.high.toFixed(2)}) preferred by the system */
+@media (prefers-contrast: more) {
+  :root {
+${declarations(high, "    ")}
+  }
 }
 `;
+  }
+
+  if (medium) {
+    css += `
+/* Medium contrast (${contrastLevels.medium.toFixed(2)}) */
+:root.contrast-medium {
+${declarations(medium, "  ")}
+}
+`;
+  }
+
+  if (high) {
+    css += `
+/* High contrast (${contrastLevels.high.toFixed(2)}) */
+:root.contrast-high {
+${declarations(high, "  ")}
+}
+`;
+  }
 
   return css;
 }
 
+/**
+ * Extracts ranked seed color candidates from image pixels, in the same way as
+ * Material You picks the seed from a wallpaper.
+ *
+ * The pixels are quantized to at most 128 colors with QuantizerCelebi and ranked
+ * by Score, which prefers colors that are common in the image and chromatic
+ * enough for a UI theme. Pixels that are not fully opaque are ignored. If no
+ * color is suitable, the result is the fallback color of Score (Google Blue,
+ * #4285F4), so the first candidate can always be passed to generateScheme().
+ * @param {ImageData|Uint8ClampedArray|Uint8Array|ArrayBuffer|object} image - RGBA
+ *   pixel data, 4 bytes per pixel: ImageData from getImageData(), its data array,
+ *   a decoded buffer, or an object with the bytes in `data` as returned by image
+ *   decoders. Downscale large images first; the quantization time grows with the
+ *   number of pixels.
+ * @param {object} [options] - Ranking options
+ * @param {number} [options.count] - Maximum number of candidates (defaults to 4)
+ * @param {boolean} [options.filter] - Whether to drop colors that are nearly gray
+ *   or rare in the image (defaults to true)
+ * @returns {Promise<Array<string>>} Promise resolving to hex colors ranked by
+ *   suitability as a seed color, the most suitable first
+ * @since 1.1.0
+ * @example
+ * // Theme from a brand image drawn on a canvas
+ * const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+ * const [seedColor] = await seedColorsFromImage(pixels);
+ * const scheme = await generateScheme(seedColor, 0);
+ * @example
+ * // Offer up to 6 candidates, including muted ones
+ * const candidates = await seedColorsFromImage(decoded.data, {
+ *   count: 6,
+ *   filter: false,
+ * });
+ */
+export async function seedColorsFromImage(
+  image,
+  { count = 4, filter = true } = {},
+) {
+  // ImageData and decoder results carry the bytes in "data"
+  const data =
+    image instanceof ArrayBuffer
+      ? new Uint8Array(image)
+      : (image.data ?? image);
+
+  const pixels = [];
+  for (let i = 0; i + 3 < data.length; i += 4) {
+    if (data[i + 3] === 255) {
+      pixels.push(argbFromRgb(data[i], data[i + 1], data[i + 2]));
+    }
+  }
+
+  return Score.score(QuantizerCelebi.quantize(pixels, 128), {
+    desired: count,
+    filter,
+  }).map((argb) => hexFromArgb(argb));
+}
+
 /**
  * Converts HSL (Hue, Saturation, Lightness) color values to hexadecimal format.
  * Uses the HSL color model to generate web-compatible hex color codes.
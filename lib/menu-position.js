@@ -0,0 +1,95 @@
+/**
+ * @file Placement of menus and tooltips next to their anchor within the viewport.
+ * A menu opens below its trigger, or to the right of the item of a submenu, and a
+ * tooltip above or below its trigger. If it does not fit there, it flips to the
+ * other side of the anchor, and it is then shifted so that it stays inside the
+ * viewport.
+ * @module menu-position
+ * @since 1.1.0
+ * @example
+ * import { placeMenu } from './menu-position.js';
+ *
+ * const { top, left } = placeMenu(
+ *   trigger.getBoundingClientRect(),
+ *   menu.getBoundingClientRect(),
+ *   { viewport: { width: innerWidth, height: innerHeight } },
+ * );
+ */
+
+/**
+ * Computes the fixed position of a menu.
+ * @param {object} anchor - Rectangle to open the menu from, with top, right,
+ *   bottom and left in viewport pixels. A point has the same top and bottom,
+ *   and the same left and right
+ * @param {object} size - Width and height of the menu
+ * @param {object} options - Placement options
+ * @param {object} options.viewport - Width and height of the viewport
+ * @param {string} [options.side] - "bottom" to open below the anchor, "top" to
+ *   open above it, or "right" to open beside it (defaults to "bottom")
+ * @param {string} [options.align] - "start" to align the left (or top) edges,
+ *   "end" to align the right edges, or "center" to center the menu on the
+ *   anchor when opened above or below (defaults to "start")
+ * @param {number} [options.margin] - Minimum distance from the edges of the
+ *   viewport (defaults to 8)
+ * @returns {object} top and left of the menu in viewport pixels
+ * @since 1.1.0
+ * @example
+ * // Trigger at the right end of an app bar
+ * placeMenu(
+ *   { top: 8, right: 392, bottom: 48, left: 352 },
+ *   { width: 200, height: 144 },
+ *   { viewport: { width: 400, height: 800 }, align: "end" },
+ * ); // { top: 48, left: 192 }
+ */
+export function placeMenu(
+  anchor,
+  size,
+  { viewport, side = "bottom", align = "start", margin = 8 },
+) {
+  let top;
+  let left;
+
+  if (side === "right") {
+    left = anchor.right;
+    if (
+      left + size.width > viewport.width - margin &&
+      anchor.left - size.width >= margin
+    ) {
+      left = anchor.left - size.width;
+    }
+    top = anchor.top;
+  } else {
+    if (side === "top") {
+      top = anchor.top - size.height;
+      if (
+        top < margin &&
+        anchor.bottom + size.height <= viewport.height - margin
+      ) {
+        top = anchor.bottom;
+      }
+    } else {
+      top = anchor.bottom;
+      if (
+        top + size.height > viewport.height - margin &&
+        anchor.top - size.height >= margin
+      ) {
+        top = anchor.top - size.height;
+      }
+    }
+    left =
+      align === "end"
+        ? anchor.right - size.width
+        : align === "center"
+          ? (anchor.left + anchor.right - size.width) / 2
+          : anchor.left;
+  }
+
+  // Shift into the viewport, keeping the top left corner visible
+  const shift = (value, length, limit) =>
+    Math.max(margin, Math.min(value, limit - margin - length));
+
+  return {
+    top: shift(top, size.height, viewport.height),
+    left: shift(left, size.width, viewport.width),
+  };
+}
@@ -0,0 +1,403 @@
+/**
+ * @file Persisted theme preferences shared by the theme controls.
+ * This module keeps the seed color, contrast, scheme variant, dark mode and
+ * language of the user in one store, persists them in localStorage,
+ * sessionStorage, a cookie or a custom (possibly async) adapter, and keeps
+ * the tabs of a browser in sync through the `storage` event.
+ *
+ * The stored record carries a schema version. Records of older versions are
+ * upgraded by migrations when they are loaded, so that the stored settings
+ * survive changes of the preferences.
+ * @module preferences
+ * @since 1.1.0
+ * @example
+ * import { themePreferences } from './preferences.js';
+ *
+ * themePreferences.subscribe(({ seedColor, contrast }) =>
+ *   generateScheme(seedColor, contrast).then(applyColorScheme),
+ * );
+ * themePreferences.set({ seedColor: '#E91E63' });
+ */
+
+import { useSyncExternalStore } from "react";
+
+/**
+ * Storage backend of a preferences store. The methods may return promises.
+ * @typedef {object} PreferencesAdapter
+ * @property {Function} getItem - `(key) => string | null`
+ * @property {Function} setItem - `(key, value) => void`
+ * @property {Function} removeItem - `(key) => void`
+ * @property {Function} [watch] - `(key, onChange) => unsubscribe`, calls onChange
+ *   with the new stored string (or null) when another tab changes the record
+ * @since 1.1.0
+ */
+
+/**
+ * Key of the stored record.
+ * @type {string}
+ * @since 1.1.0
+ */
+export const preferencesStorageKey = "xuan-paper-preferences";
+
+/**
+ * Current schema version of the stored record.
+ * Version 0 is the separate localStorage keys that ToggleDarkModeButton and
+ * ToggleLanguageButton used before 1.1.0.
+ * @type {number}
+ * @since 1.1.0
+ */
+export const preferencesVersion = 1;
+
+/**
+ * Preferences of a new user.
+ * - seedColor: Hex seed color, or null for the default of the app
+ * - contrast: Contrast level from -1 to 1
+ * - variant: Scheme variant, one of schemeVariants
+ * - darkMode: "system", "light" or "dark"
+ * - language: Language code, or null for the default of the app
+ * @type {object}
+ * @since 1.1.0
+ */
+export const defaultPreferences = Object.freeze({
+  seedColor: null,
+  contrast: 0,
+  variant: "default",
+  darkMode: "system",
+  language: null,
+});
+
+/**
+ * localStorage keys of version 0, by preference name.
+ * @private
+ */
+const legacyKeys = {
+  darkMode: "xuan-paper-theme-mode",
+  language: "xuan-paper-language",
+};
+
+/**
+ * Looks up a Web Storage of the browser.
+ * Servers have none, even where the runtime defines a global localStorage.
+ * @private
+ * @param {string} name - "localStorage" or "sessionStorage"
+ * @returns {Storage|undefined} The storage, or undefined outside a browser
+ */
+const webStorage = (name) =>
+  typeof window === "undefined" ? undefined : window[name];
+
+/**
+ * Creates an adapter for localStorage or sessionStorage. The storage is looked
+ * up on every call, so that the adapter can be created outside a browser.
+ * @private
+ * @param {string} name - "localStorage" or "sessionStorage"
+ * @returns {PreferencesAdapter} Adapter with storage event sync
+ */
+const webStorageAdapter = (name) => ({
+  getItem: (key) => webStorage(name)?.getItem(key) ?? null,
+  setItem: (key, value) => webStorage(name)?.setItem(key, value),
+  removeItem: (key) => webStorage(name)?.removeItem(key),
+  watch: (key, onChange) => {
+    if (typeof window === "undefined") {
+      return () => {};
+    }
+    const listener = (event) => {
+      // The key is null when the storage has been cleared
+      if (
+        event.storageArea === webStorage(name) &&
+        (event.key === key || event.key === null)
+      ) {
+        onChange(event.newValue ?? null);
+      }
+    };
+    window.addEventListener("storage", listener);
+    return () => window.removeEventListener("storage", listener);
+  },
+});
+
+/**
+ * Reads a cookie from a Cookie header or document.cookie.
+ * @private
+ * @param {string} cookies - Cookies in the format "a=1; b=2"
+ * @param {string} key - Name of the cookie
+ * @returns {string|null} Decoded value, or null if there is no such cookie or
+ *   it is not validly encoded
+ */
+const readCookie = (cookies, key) => {
+  const cookie = cookies
+    .split(";")
+    .map((entry) => entry.trim())
+    .find((entry) => entry.startsWith(`${key}=`));
+  if (!cookie) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(cookie.slice(key.length + 1));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Creates an adapter that stores the preferences in a cookie, so that a server
+ * can read them as well. Cookies do not fire storage events, so the tabs are
+ * not synchronized.
+ *
+ * On a server, pass the Cookie header of the request instead; the adapter then
+ * reads from the header and ignores writes.
+ * @param {object} [options] - Cookie attributes
+ * @param {number} [options.maxAge] - Lifetime in seconds (defaults to one year)
+ * @param {string} [options.path] - Path of the cookie (defaults to "/")
+ * @param {string} [options.sameSite] - SameSite attribute (defaults to "Lax")
+ * @param {boolean} [options.secure] - Whether to add the Secure attribute
+ *   (defaults to false)
+ * @param {string} [options.cookieHeader] - Cookie header of a request to read
+ *   from, on a server
+ * @returns {PreferencesAdapter} Cookie adapter
+ * @since 1.1.0
+ * @example
+ * const store = createPreferencesStore({
+ *   storage: createCookieAdapter({ maxAge: 60 * 60 * 24 * 30, secure: true }),
+ * });
+ * @example
+ * // Preferences of the user in a server request handler
+ * const store = createPreferencesStore({
+ *   storage: createCookieAdapter({ cookieHeader: request.headers.cookie }),
+ *   sync: false,
+ * });
+ */
+export function createCookieAdapter({
+  maxAge = 60 * 60 * 24 * 365,
+  path = "/",
+  sameSite = "Lax",
+  secure = false,
+  cookieHeader,
+} = {}) {
+  if (cookieHeader !== undefined || typeof document === "undefined") {
+    return {
+      getItem: (key) => readCookie(cookieHeader ?? "", key),
+      setItem: () => {},
+      removeItem: () => {},
+    };
+  }
+
+  const write = (key, value, age) => {
+    document.cookie = `${key}=${encodeURIComponent(value)}; Path=${path}; Max-Age=${age}; SameSite=${sameSite}${secure ? "; Secure" : ""}`;
+  };
+
+  return {
+    getItem: (key) => readCookie(document.cookie, key),
+    setItem: (key, value) => write(key, value, maxAge),
+    removeItem: (key) => write(key, "", 0),
+  };
+}
+
+/**
+ * Built-in adapters by the name accepted by createPreferencesStore().
+ * @private
+ */
+const builtInAdapters = {
+  local: () => webStorageAdapter("localStorage"),
+  session: () => webStorageAdapter("sessionStorage"),
+  cookie: () => createCookieAdapter(),
+};
+
+/**
+ * Creates a store of theme preferences.
+ *
+ * Preferences are loaded when the store is created. With a synchronous adapter
+ * they are available at once; with an async adapter get() returns the defaults
+ * until `ready` resolves. Stored records of an older version are passed through
+ * the migrations of every later version, and records of a newer version or in
+ * a broken format are ignored.
+ * @param {object} [options] - Store options
+ * @param {string|PreferencesAdapter} [options.storage] - "local", "session",
+ *   "cookie" or a custom adapter (defaults to "local")
+ * @param {string} [options.key] - Key of the stored record
+ *   (defaults to preferencesStorageKey)
+ * @param {object} [options.defaults] - Preferences of a new user. Only these keys
+ *   are stored (defaults to defaultPreferences)
+ * @param {number} [options.version] - Current schema version
+ *   (defaults to preferencesVersion)
+ * @param {object} [options.migrations] - Functions upgrading the preferences of
+ *   version n - 1 to version n, keyed by n
+ * @param {boolean} [options.sync] - Whether to follow changes made in other
+ *   tabs (defaults to true)
+ * @returns {object} Store with:
+ *   - get(): Current preferences, the same object until they change
+ *   - getServerSnapshot(): Preferences that a server renders, for hydration.
+ *     The defaults with localStorage and sessionStorage, which servers cannot
+ *     read, and the current preferences with other storages
+ *   - set(changes): Merges the changes, notifies the listeners and persists them.
+ *     Returns a promise that resolves when the adapter has stored them
+ *   - reset(): Returns to the defaults and removes the stored record
+ *   - subscribe(listener): Calls listener(preferences) on every change.
+ *     Returns an unsubscribe function
+ *   - ready: Promise resolving when the stored preferences have been loaded,
+ *     and rejecting if the adapter fails to load them. The store then keeps
+ *     the defaults, and need not be awaited
+ *   - destroy(): Stops following other tabs and removes all listeners
+ * @throws {Error} Throws error if the storage name is unknown
+ * @since 1.1.0
+ * @example
+ * // Preferences kept on a server, with a renamed field in version 2
+ * const store = createPreferencesStore({
+ *   storage: {
+ *     getItem: (key) => api.get(`/preferences/${key}`),
+ *     setItem: (key, value) => api.put(`/preferences/${key}`, value),
+ *     removeItem: (key) => api.delete(`/preferences/${key}`),
+ *   },
+ *   defaults: { ...defaultPreferences, density: 0 },
+ *   version: 2,
+ *   migrations: {
+ *     2: ({ compact, ...rest }) => ({ ...rest, density: compact ? -1 : 0 }),
+ *   },
+ * });
+ * await store.ready;
+ */
+export function createPreferencesStore({
+  storage = "local",
+  key = preferencesStorageKey,
+  defaults = defaultPreferences,
+  version = preferencesVersion,
+  migrations = {},
+  sync = true,
+} = {}) {
+  const adapter =
+    typeof storage === "string" ? builtInAdapters[storage]?.() : storage;
+  if (!adapter) {
+    throw new Error(`Unknown preferences storage: ${storage}`);
+  }
+
+  let current = { ...defaults };
+  let changed = false;
+  const serverSnapshot =
+    storage === "local" || storage === "session" ? current : null;
+  const listeners = new Set();
+
+  const update = (next) => {
+    if (Object.keys(defaults).every((name) => next[name] === current[name])) {
+      return;
+    }
+    current = next;
+    listeners.forEach((listener) => listener(current));
+  };
+
+  // Stored record to preferences, or null if there is nothing usable
+  const decode = (raw) => {
+    let record;
+    try {
+      record = typeof raw === "string" ? JSON.parse(raw) : raw;
+    } catch {
+      return null;
+    }
+    if (!record || typeof record !== "object") {
+      return null;
+    }
+    const { version: from = 0, preferences = {} } = record;
+    if (from > version) {
+      return null;
+    }
+    let data = preferences;
+    for (let v = from + 1; v <= version; v++) {
+      data = migrations[v] ? migrations[v](data) : data;
+    }
+    return Object.fromEntries(
+      Object.entries(defaults).map(([name, value]) => [
+        name,
+        data[name] ?? value,
+      ]),
+    );
+  };
+
+  // Version 0 record from the keys used before 1.1.0
+  const legacyRecord = () => {
+    const preferences = Object.fromEntries(
+      Object.entries(legacyKeys)
+        .map(([name, legacyKey]) => [
+          name,
+          webStorage("localStorage")?.getItem(legacyKey),
+        ])
+        .filter(([, value]) => value != null),
+    );
+    return Object.keys(preferences).length ? { preferences } : null;
+  };
+
+  const load = (raw) => {
+    if (!changed) {
+      const record =
+        raw === null && storage === "local" && key === preferencesStorageKey
+          ? legacyRecord()
+          : raw;
+      update(decode(record) ?? { ...defaults });
+    }
+  };
+
+  const stored = adapter.getItem(key);
+  const ready =
+    typeof stored?.then === "function"
+      ? stored.then(load)
+      : Promise.resolve(load(stored));
+  // The store keeps the defaults, whether or not the caller awaits ready
+  ready.catch(() => {});
+
+  const unwatch =
+    sync && adapter.watch
+      ? adapter.watch(key, (raw) => update(decode(raw) ?? { ...defaults }))
+      : () => {};
+
+  return {
+    get: () => current,
+    getServerSnapshot: () => serverSnapshot ?? current,
+    set: (changes) => {
+      changed = true;
+      update({ ...current, ...changes });
+      return Promise.resolve(
+        adapter.setItem(key, JSON.stringify({ version, preferences: current })),
+      );
+    },
+    reset: () => {
+      changed = true;
+      update({ ...defaults });
+      return Promise.resolve(adapter.removeItem(key));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    ready,
+    destroy: () => {
+      unwatch();
+      listeners.clear();
+    },
+  };
+}
+
+/**
+ * Preferences store in localStorage shared by ToggleDarkModeButton,
+ * ToggleLanguageButton and the application.
+ * @type {object}
+ * @since 1.1.0
+ */
+export const themePreferences = createPreferencesStore();
+
+/**
+ * React hook that reads a preferences store and re-renders on every change,
+ * including changes made in other tabs. Server rendering and hydration use
+ * the getServerSnapshot() of the store.
+ * @param {object} [store] - Store from createPreferencesStore()
+ *   (defaults to themePreferences)
+ * @returns {Array} [preferences, set] where set is the set() method of the store
+ * @since 1.1.0
+ * @example
+ * const [{ contrast }, setPreferences] = usePreferences();
+ *
+ * <Slider value={contrast} onChange={(contrast) => setPreferences({ contrast })} />
+ */
+export function usePreferences(store = themePreferences) {
+  const preferences = useSyncExternalStore(
+    store.subscribe,
+    store.get,
+    store.getServerSnapshot ?? store.get,
+  );
+  return [preferences, store.set];
+}
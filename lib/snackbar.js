@@ -0,0 +1,62 @@
+/**
+ * @file Snackbar queue shared through React context.
+ * SnackbarProvider shows the queued messages one at a time; components below it
+ * add messages with useSnackbar() instead of keeping their own notification
+ * state.
+ * @module snackbar
+ * @since 1.1.0
+ * @example
+ * import { useSnackbar } from './snackbar.js';
+ *
+ * const { enqueue } = useSnackbar();
+ * enqueue({ message: "Theme saved" });
+ */
+
+import { createContext, useContext } from "react";
+
+/**
+ * Message of the snackbar queue.
+ * @typedef {object} SnackbarMessage
+ * @property {string} message - Text of the snackbar
+ * @property {object} [action] - Button at the end of the snackbar
+ * @property {string} action.label - Label of the button
+ * @property {Function} action.onClick - Called before the snackbar closes
+ * @property {number} [duration] - Milliseconds until the snackbar closes, or
+ *   Infinity to keep it until it is closed (defaults to the provider's duration)
+ * @property {boolean} [closable] - Whether to show a close button
+ *   (defaults to false)
+ */
+
+/**
+ * Context of the queue of the nearest SnackbarProvider.
+ * @private
+ */
+export const SnackbarContext = createContext(null);
+
+/**
+ * React hook that adds messages to the snackbar queue of the nearest
+ * SnackbarProvider.
+ * @returns {object} Snackbar queue with:
+ *   - enqueue(message): Adds a SnackbarMessage to the queue and returns its id
+ *   - dismiss(id): Closes the message with the id, or removes it from the queue
+ *     if it has not been shown yet
+ * @throws {Error} Throws error if there is no SnackbarProvider above the component
+ * @since 1.1.0
+ * @example
+ * const { enqueue } = useSnackbar();
+ *
+ * const deleteItem = (item) => {
+ *   remove(item);
+ *   enqueue({
+ *     message: `${item.name} deleted`,
+ *     action: { label: "Undo", onClick: () => restore(item) },
+ *   });
+ * };
+ */
+export function useSnackbar() {
+  const queue = useContext(SnackbarContext);
+  if (!queue) {
+    throw new Error("useSnackbar must be used within a SnackbarProvider");
+  }
+  return queue;
+}
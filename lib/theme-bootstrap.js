@@ -0,0 +1,143 @@
+/**
+ * @file Inline bootstrap script that applies the persisted theme before first paint.
+ * React applies the dark mode class in an effect and the color scheme after the
+ * async generateScheme(), so a page without this script shows the default
+ * light theme for a moment on every reload. The script runs synchronously in
+ * the `<head>`, reads the persisted color mode and the CSS variables of the last
+ * applied scheme, and sets both on the document element before the body is
+ * rendered.
+ * @module theme-bootstrap
+ * @since 1.1.0
+ * @example
+ * // index.html generated on a server
+ * const html = `<head>
+ *   <script>${themeBootstrapScript()}</script>
+ * </head>`;
+ *
+ * // In the application, after applying a new scheme
+ * applyColorScheme(scheme);
+ * cacheColorScheme(scheme);
+ */
+
+import { convertToVariables } from "./material-theme.js";
+import { preferencesStorageKey } from "./preferences.js";
+
+/**
+ * localStorage key of the CSS variables of the last applied scheme.
+ * @type {string}
+ * @since 1.1.0
+ */
+export const themeCacheKey = "xuan-paper-theme-cache";
+
+/**
+ * Stores the CSS variables of a scheme for the bootstrap script of the next
+ * page load. Call it whenever the scheme of the document changes.
+ * @param {Array<object>} scheme - Color scheme data from generateScheme()
+ * @param {object} [options] - Cache options
+ * @param {string} [options.key] - localStorage key (defaults to themeCacheKey)
+ * @since 1.1.0
+ * @example
+ * generateScheme(seedColor, contrast).then((scheme) => {
+ *   applyColorScheme(scheme);
+ *   cacheColorScheme(scheme);
+ * });
+ */
+export function cacheColorScheme(scheme, { key = themeCacheKey } = {}) {
+  if (typeof window !== "undefined") {
+    window.localStorage.setItem(
+      key,
+      JSON.stringify(convertToVariables(scheme)),
+    );
+  }
+}
+
+/**
+ * Applies the persisted theme to the document. Runs in the page as the inline
+ * script, so it must not use anything outside its own body.
+ * @private
+ * @param {object} config - Keys and class name, see themeBootstrapScript()
+ * @param {string} config.storage - "local", "session" or "cookie"
+ * @param {string} config.preferencesKey - Key of the preferences record
+ * @param {string} config.legacyKey - localStorage key of the color mode saved
+ *   before the preferences record
+ * @param {string} config.cacheKey - Key of the cached variables
+ * @param {string} config.className - Dark mode class
+ */
+function bootstrapTheme({
+  storage,
+  preferencesKey,
+  legacyKey,
+  cacheKey,
+  className,
+}) {
+  try {
+    const read = (key) => {
+      if (storage === "cookie") {
+        const cookie = document.cookie
+          .split("; ")
+          .find((entry) => entry.startsWith(`${key}=`));
+        return cookie ? decodeURIComponent(cookie.slice(key.length + 1)) : null;
+      }
+      return window[`${storage}Storage`].getItem(key);
+    };
+    const root = document.documentElement;
+
+    const record = JSON.parse(read(preferencesKey) || "null");
+    const mode = record
+      ? record.preferences?.darkMode
+      : localStorage.getItem(legacyKey);
+    const dark =
+      mode === "dark" ||
+      (mode !== "light" &&
+        window.matchMedia?.("(prefers-color-scheme: dark)").matches);
+    root.classList.toggle(className, !!dark);
+
+    JSON.parse(localStorage.getItem(cacheKey) || "[]").forEach(
+      ([name, value]) => root.style.setProperty(name, value),
+    );
+  } catch {
+    // Storage blocked or broken: React applies the theme after mounting
+  }
+}
+
+/**
+ * Generates the inline bootstrap script. Place it in a classic (not module)
+ * `<script>` at the top of the `<head>`, so that it runs before the first paint.
+ *
+ * The script reads the color mode from the record of createPreferencesStore(),
+ * resolving "system" with the `prefers-color-scheme` media query, and sets the
+ * CSS variables stored by cacheColorScheme(). It never throws; if the storage is
+ * blocked, the page starts with the default theme as before.
+ * @param {object} [options] - Script options
+ * @param {string} [options.storage] - Storage of the preferences, "local",
+ *   "session" or "cookie" (defaults to "local")
+ * @param {string} [options.preferencesKey] - Key of the preferences record
+ *   (defaults to preferencesStorageKey)
+ * @param {string} [options.cacheKey] - Key of the cached variables
+ *   (defaults to themeCacheKey)
+ * @param {string} [options.className] - Dark mode class (defaults to "dark")
+ * @returns {string} JavaScript source of the script, without the script tag
+ * @throws {Error} Throws error if the storage is unknown
+ * @since 1.1.0
+ * @example
+ * // Preferences in a cookie, with the class used by useColorMode({ className })
+ * themeBootstrapScript({ storage: "cookie", className: "theme-dark" });
+ */
+export function themeBootstrapScript({
+  storage = "local",
+  preferencesKey = preferencesStorageKey,
+  cacheKey = themeCacheKey,
+  className = "dark",
+} = {}) {
+  if (!["local", "session", "cookie"].includes(storage)) {
+    throw new Error(`Unknown preferences storage: ${storage}`);
+  }
+  const config = {
+    storage,
+    preferencesKey,
+    legacyKey: "xuan-paper-theme-mode",
+    cacheKey,
+    className,
+  };
+  return `(${bootstrapTheme.toString()})(${JSON.stringify(config)});`;
+}
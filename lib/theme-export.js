@@ -0,0 +1,301 @@
+/**
+ * @file Theme exporter with pluggable output formats.
+ * This module writes a color scheme generated by generateScheme() in the formats
+ * used by design and development tools. Every format goes through exportTheme(),
+ * and new formats can be added with registerThemeFormat().
+ *
+ * Built-in formats:
+ * - tailwind: Tailwind CSS v4 `@theme` block (same output as generateThemeCss)
+ * - css: Plain `:root` CSS custom properties without Tailwind
+ * - scss: SCSS maps per brightness
+ * - js: JavaScript module
+ * - ts: TypeScript module
+ * - dtcg: W3C Design Tokens Community Group JSON
+ * - material-theme-builder: Material Theme Builder compatible JSON
+ *
+ * Formats that support comments start with the same metadata header as
+ * generateThemeCss(): generation timestamp, seed color and contrast.
+ * @module theme-export
+ * @since 1.1.0
+ * @example
+ * import { generateScheme } from './material-theme.js';
+ * import { exportTheme } from './theme-export.js';
+ *
+ * const scheme = await generateScheme('#1976D2', 0);
+ * const tokens = exportTheme(scheme, '#1976D2', 0, { format: 'dtcg' });
+ */
+
+import { convertToVariables, generateThemeCss } from "./material-theme.js";
+
+/**
+ * Metadata of an exported theme, passed to every format.
+ * @typedef {object} ThemeMeta
+ * @property {string} seedColor - Seed color used to generate the scheme
+ * @property {number} contrast - Contrast level used to generate the scheme
+ * @property {string} generatedAt - Generation timestamp in ISO 8601 format
+ * @since 1.1.0
+ */
+
+/**
+ * An output format of exportTheme().
+ * @typedef {object} ThemeFormat
+ * @property {string} extension - File extension without dot (e.g., "css", "json")
+ * @property {Function} render - Function `(scheme, meta, options) => string` that
+ *   receives the scheme, ThemeMeta and the options given to exportTheme()
+ * @since 1.1.0
+ */
+
+/**
+ * Creates the metadata header shared by the formats that support comments.
+ * @private
+ * @param {ThemeMeta} meta - Theme metadata
+ * @param {string} title - First line of the header
+ * @returns {string} Block comment with a trailing blank line
+ */
+const themeHeader = ({ seedColor, contrast, generatedAt }, title) => `/**
+ * ${title}
+ *
+ * Generated by: Xuan Paper
+ * Generated at: ${generatedAt}
+ * Seed color  : ${seedColor}
+ * Contrast    : ${Number(contrast).toFixed(2)}
+ */
+
+`;
+
+/**
+ * Collects the color tokens of each brightness into plain objects.
+ * @private
+ * @param {Array<object>} scheme - Color scheme data from generateScheme()
+ * @returns {object} Object with brightness values as keys and
+ *   { tokenName: hexColor } objects as values
+ */
+const schemeToObject = (scheme) =>
+  Object.fromEntries(
+    scheme.map(({ brightness, colors }) => [
+      brightness,
+      Object.fromEntries(colors),
+    ]),
+  );
+
+/**
+ * Converts the color tokens of one brightness to kebab-case name and value pairs.
+ * @private
+ * @param {object} theme - One theme object of the scheme
+ * @returns {Array<Array<string>>} Pairs like ["primary-container", "#BBDEFB"]
+ */
+const kebabTokens = (theme) =>
+  convertToVariables([theme]).map(([varName, hex]) => [
+    varName.replace(`--color-${theme.brightness}-`, ""),
+    hex,
+  ]);
+
+/**
+ * Registered output formats of exportTheme().
+ * @private
+ */
+const themeFormats = {
+  tailwind: {
+    extension: "css",
+    render: (scheme, { seedColor, contrast }, options) =>
+      generateThemeCss(scheme, seedColor, contrast, options),
+  },
+  css: {
+    extension: "css",
+    render: (scheme, meta) =>
+      `${themeHeader(meta, "Theme colors for CSS / Material Design 3")}:root {
+${convertToVariables(scheme)
+  .map(([varName, hex]) => `  ${varName}: ${hex};`)
+  .join("\n")}
+}
+`,
+  },
+  scss: {
+    extension: "scss",
+    render: (scheme, meta) =>
+      themeHeader(meta, "Theme colors for SCSS / Material Design 3") +
+      scheme
+        .map(
+          (theme) => `$color-${theme.brightness}: (
+${kebabTokens(theme)
+  .map(([name, hex]) => `  "${name}": ${hex},`)
+  .join("\n")}
+);
+`,
+        )
+        .join("\n"),
+  },
+  js: {
+    extension: "js",
+    render: (scheme, meta) =>
+      `${themeHeader(meta, "Theme colors for JavaScript / Material Design 3")}export const seedColor = ${JSON.stringify(meta.seedColor)};
+export const contrast = ${Number(meta.contrast)};
+export const colors = ${JSON.stringify(schemeToObject(scheme), null, 2)};
+
+export default colors;
+`,
+  },
+  ts: {
+    extension: "ts",
+    render: (scheme, meta) =>
+      `${themeHeader(meta, "Theme colors for TypeScript / Material Design 3")}export const seedColor = ${JSON.stringify(meta.seedColor)};
+export const contrast = ${Number(meta.contrast)};
+export const colors = ${JSON.stringify(schemeToObject(scheme), null, 2)} as const;
+
+export type Brightness = keyof typeof colors;
+export type ColorToken = keyof (typeof colors)[Brightness];
+
+export default colors;
+`,
+  },
+  dtcg: {
+    extension: "json",
+    render: (scheme, { seedColor, contrast, generatedAt }) =>
+      `${JSON.stringify(
+        {
+          $description: "Theme colors for Material Design 3",
+          $extensions: {
+            "xuan-paper": {
+              seedColor,
+              contrast: Number(contrast),
+              generatedAt,
+            },
+          },
+          color: Object.fromEntries(
+            scheme.map(({ brightness, colors }) => [
+              brightness,
+              Object.fromEntries(
+                colors.map(([key, hex]) => [
+                  key,
+                  { $type: "color", $value: hex },
+                ]),
+              ),
+            ]),
+          ),
+        },
+        null,
+        2,
+      )}\n`,
+  },
+  "material-theme-builder": {
+    extension: "json",
+    render: (
+      scheme,
+      { seedColor, contrast, generatedAt },
+      { contrastSchemes = {} } = {},
+    ) => {
+      const schemes = schemeToObject(scheme);
+      Object.entries(contrastSchemes).forEach(([level, contrastScheme]) => {
+        Object.entries(schemeToObject(contrastScheme)).forEach(
+          ([brightness, colors]) => {
+            schemes[`${brightness}-${level}-contrast`] = colors;
+          },
+        );
+      });
+
+      return `${JSON.stringify(
+        {
+          description: `TYPE: CUSTOM\nGenerated by Xuan Paper at ${generatedAt}\nContrast: ${Number(contrast).toFixed(2)}`,
+          seed: seedColor,
+          coreColors: { primary: seedColor },
+          extendedColors: [],
+          schemes,
+        },
+        null,
+        2,
+      )}\n`;
+    },
+  },
+};
+
+/**
+ * Names of the registered output formats.
+ * @returns {Array<string>} Format names usable with exportTheme()
+ * @since 1.1.0
+ * @example
+ * themeFormatNames(); // ["tailwind", "css", "scss", "js", "ts", "dtcg", ...]
+ */
+export function themeFormatNames() {
+  return Object.keys(themeFormats);
+}
+
+/**
+ * Returns the file extension of a registered output format.
+ * @param {string} format - Format name
+ * @returns {string} File extension without dot
+ * @throws {Error} Throws error if the format is not registered
+ * @since 1.1.0
+ * @example
+ * downloadFile(`theme.${themeFormatExtension("scss")}`, content);
+ */
+export function themeFormatExtension(format) {
+  if (!themeFormats[format]) {
+    throw new Error(`Unknown theme format: ${format}`);
+  }
+  return themeFormats[format].extension;
+}
+
+/**
+ * Registers an output format for exportTheme(), or replaces a registered one.
+ * @param {string} name - Format name used as the `format` option of exportTheme()
+ * @param {ThemeFormat} format - Format definition
+ * @returns {void}
+ * @throws {Error} Throws error if the format has no render function
+ * @since 1.1.0
+ * @example
+ * // Export as a flat list of CSS variable names and values
+ * registerThemeFormat("txt", {
+ *   extension: "txt",
+ *   render: (scheme) =>
+ *     convertToVariables(scheme)
+ *       .map(([name, hex]) => `${name} ${hex}`)
+ *       .join("\n"),
+ * });
+ */
+export function registerThemeFormat(name, format) {
+  if (typeof format?.render !== "function") {
+    throw new Error(`Theme format ${name} has no render function`);
+  }
+  themeFormats[name] = { extension: "txt", ...format };
+}
+
+/**
+ * Exports a color scheme in one of the registered output formats.
+ *
+ * All formats receive the same metadata (seed color, contrast and generation
+ * timestamp). Formats that support comments write it as a header in the same
+ * layout as generateThemeCss(); JSON formats store it in their own fields.
+ * @param {Array<object>} scheme - Color scheme data from generateScheme()
+ * @param {string} seedColor - The seed color used to generate the scheme
+ * @param {number} contrast - The contrast level used to generate the scheme
+ * @param {object} [options] - Export options, also passed to the format
+ * @param {string} [options.format] - Name of the output format (defaults to "tailwind")
+ * @param {object} [options.contrastSchemes] - Medium and high contrast schemes,
+ *   used by the "tailwind" and "material-theme-builder" formats
+ * @returns {string} The exported theme
+ * @throws {Error} Throws error if the format is not registered
+ * @since 1.1.0
+ * @example
+ * // W3C Design Tokens for the design team
+ * const json = exportTheme(scheme, "#1976D2", 0, { format: "dtcg" });
+ * @example
+ * // SCSS maps for a legacy stylesheet
+ * const scss = exportTheme(scheme, "#1976D2", 0, { format: "scss" });
+ * // $color-light: ("primary": #415f91, ...);
+ */
+export function exportTheme(
+  scheme,
+  seedColor,
+  contrast,
+  { format = "tailwind", ...options } = {},
+) {
+  if (!themeFormats[format]) {
+    throw new Error(`Unknown theme format: ${format}`);
+  }
+
+  return themeFormats[format].render(
+    scheme,
+    { seedColor, contrast, generatedAt: new Date().toISOString() },
+    options,
+  );
+}
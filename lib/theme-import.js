@@ -0,0 +1,231 @@
+/**
+ * @file Theme importer that reads exported themes back into scheme objects.
+ * This module parses the Tailwind `@theme` CSS written by generateThemeCss() and
+ * the Material Theme Builder JSON into the `[{brightness, colors}]` structure
+ * returned by generateScheme(), so that themes can be kept in version control
+ * and edited again.
+ *
+ * The parsers do not throw on incomplete themes. Instead they report missing
+ * standard tokens and malformed values, and leave the decision to the caller.
+ * @module theme-import
+ * @since 1.1.0
+ * @example
+ * import { importTheme } from './theme-import.js';
+ * import { applyColorScheme } from './material-theme.js';
+ *
+ * const { scheme, seedColor, contrast, missing, malformed } = importTheme(text);
+ * if (missing.length === 0 && malformed.length === 0) {
+ *   applyColorScheme(scheme);
+ * }
+ */
+
+import { colorTokens } from "./material-theme.js";
+
+/**
+ * A problem found while importing a theme.
+ * @typedef {object} ThemeImportIssue
+ * @property {string} brightness - Brightness of the token ("light" or "dark")
+ * @property {string} token - Token name in camelCase (e.g., "primaryContainer")
+ * @property {string} [value] - The malformed value, omitted for missing tokens
+ * @since 1.1.0
+ */
+
+/**
+ * Result of importing a theme.
+ * @typedef {object} ThemeImportResult
+ * @property {Array<object>} scheme - Scheme in the format of generateScheme()
+ * @property {string|null} seedColor - Seed color, or null if the source has none
+ * @property {number|null} contrast - Contrast level, or null if the source has none
+ * @property {object} contrastSchemes - Schemes of other contrast levels found in the
+ *   source, keyed by "medium" and "high"
+ * @property {Array<ThemeImportIssue>} missing - Standard tokens not found in the source
+ * @property {Array<ThemeImportIssue>} malformed - Tokens with a value that is not a hex color
+ * @since 1.1.0
+ */
+
+/**
+ * Brightness values of a scheme, in the order of generateScheme().
+ * @private
+ */
+const brightnesses = ["light", "dark"];
+
+/**
+ * Variables that generateThemeCss() adds in addition to the scheme tokens.
+ * @private
+ */
+const supplementaryTokens = ["link", "form", "onForm"];
+
+/**
+ * Tests whether a value is a 6-digit hex color.
+ * @private
+ * @param {string} value - The value to test
+ * @returns {boolean} true if the value is like "#1976D2"
+ */
+const isHexColor = (value) =>
+  typeof value === "string" && /^#[0-9a-fA-F]{6}$/.test(value);
+
+/**
+ * Converts a kebab-case token name to camelCase.
+ * @private
+ * @param {string} name - Name like "primary-container"
+ * @returns {string} Name like "primaryContainer"
+ */
+const camelCase = (name) =>
+  name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+/**
+ * Builds a scheme from token values and collects missing and malformed tokens.
+ * @private
+ * @param {object} tokens - Object with brightness values as keys and
+ *   { tokenName: value } objects as values
+ * @returns {object} { scheme, missing, malformed }
+ */
+const buildScheme = (tokens) => {
+  const missing = [];
+  const malformed = [];
+
+  const scheme = brightnesses.map((brightness) => {
+    const values = tokens[brightness] || {};
+
+    colorTokens
+      .filter((token) => !(token in values))
+      .forEach((token) => missing.push({ brightness, token }));
+
+    return {
+      brightness,
+      colors: Object.entries(values).filter(([token, value]) => {
+        if (isHexColor(value)) {
+          return true;
+        }
+        malformed.push({ brightness, token, value: String(value) });
+        return false;
+      }),
+    };
+  });
+
+  return { scheme, missing, malformed };
+};
+
+/**
+ * Reads the color variables of a block of CSS declarations.
+ * @private
+ * @param {string} declarations - Content of a CSS block
+ * @returns {object} { light: { tokenName: value }, dark: { tokenName: value } }
+ */
+const parseVariables = (declarations) => {
+  const tokens = { light: {}, dark: {} };
+  for (const [, brightness, name, value] of declarations.matchAll(
+    /--color-(light|dark)-([a-z0-9-]+)\s*:\s*([^;]*);/g,
+  )) {
+    const token = camelCase(name);
+    if (!supplementaryTokens.includes(token)) {
+      tokens[brightness][token] = value.trim();
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parses the Tailwind `@theme` CSS produced by generateThemeCss().
+ *
+ * The token values are read from the `@theme` block, and the medium and high
+ * contrast sets from the `:root.contrast-medium` and `:root.contrast-high`
+ * blocks, if present, into contrastSchemes. The seed color and contrast are
+ * read from the metadata header. Supplementary variables for links and forms
+ * are skipped.
+ * @param {string} css - CSS text, e.g. the content of a downloaded theme.css
+ * @returns {ThemeImportResult} The imported scheme and the problems found
+ * @throws {Error} Throws error if the CSS has no `@theme` block
+ * @since 1.1.0
+ * @example
+ * const css = await fs.readFile("src/theme.css", "utf8");
+ * const { scheme, seedColor, contrast } = parseThemeCss(css);
+ */
+export function parseThemeCss(css) {
+  const block = /@theme\s*\{([^}]*)\}/.exec(css);
+  if (!block) {
+    throw new Error("No @theme block found");
+  }
+
+  const contrastSchemes = {};
+  for (const [, level, declarations] of css.matchAll(
+    /:root\.contrast-(medium|high)\s*\{([^}]*)\}/g,
+  )) {
+    contrastSchemes[level] = buildScheme(parseVariables(declarations)).scheme;
+  }
+
+  const seed = /Seed color\s*:\s*(#[0-9a-fA-F]{6})/.exec(css);
+  const contrast = /Contrast\s*:\s*(-?\d+(?:\.\d+)?)/.exec(css);
+
+  return {
+    ...buildScheme(parseVariables(block[1])),
+    seedColor: seed ? seed[1] : null,
+    contrast: contrast ? Number(contrast[1]) : null,
+    contrastSchemes,
+  };
+}
+
+/**
+ * Parses a Material Theme Builder JSON export.
+ *
+ * The "light" and "dark" schemes become the imported scheme; the
+ * "-medium-contrast" and "-high-contrast" schemes, if present, are returned
+ * in contrastSchemes. The contrast is read from the description written by
+ * exportTheme(), and is null for files exported by Material Theme Builder.
+ * @param {string|object} json - JSON text or the parsed object
+ * @returns {ThemeImportResult} The imported scheme and the problems found
+ * @throws {Error} Throws error if the JSON is invalid or has no schemes
+ * @since 1.1.0
+ * @example
+ * const { scheme, seedColor } = parseThemeBuilderJson(await file.text());
+ */
+export function parseThemeBuilderJson(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (!data || typeof data.schemes !== "object" || data.schemes === null) {
+    throw new Error("No schemes found in Theme Builder JSON");
+  }
+
+  const contrastSchemes = {};
+  ["medium", "high"].forEach((level) => {
+    const tokens = Object.fromEntries(
+      brightnesses
+        .filter((brightness) => data.schemes[`${brightness}-${level}-contrast`])
+        .map((brightness) => [
+          brightness,
+          data.schemes[`${brightness}-${level}-contrast`],
+        ]),
+    );
+    if (Object.keys(tokens).length > 0) {
+      contrastSchemes[level] = buildScheme(tokens).scheme;
+    }
+  });
+
+  const contrast = /Contrast:\s*(-?\d+(?:\.\d+)?)/.exec(data.description || "");
+
+  return {
+    ...buildScheme(data.schemes),
+    seedColor: isHexColor(data.seed) ? data.seed : null,
+    contrast: contrast ? Number(contrast[1]) : null,
+    contrastSchemes,
+  };
+}
+
+/**
+ * Imports a theme from CSS or Material Theme Builder JSON, detecting the format
+ * from the content.
+ * @param {string} source - Content of a theme.css or Theme Builder JSON file
+ * @returns {ThemeImportResult} The imported scheme and the problems found
+ * @throws {Error} Throws error if the source is in neither format
+ * @since 1.1.0
+ * @example
+ * // Load a file chosen by the user
+ * const result = importTheme(await input.files[0].text());
+ * result.missing.forEach(({ brightness, token }) =>
+ *   console.warn(`Missing ${brightness} ${token}`),
+ * );
+ */
+export function importTheme(source) {
+  return source.trim().startsWith("{")
+    ? parseThemeBuilderJson(source)
+    : parseThemeCss(source);
+}
@@ -0,0 +1,164 @@
+/**
+ * @file Theme of a server-rendered page, derived from the request cookies.
+ * A server cannot read localStorage, so applications rendering on the server
+ * keep the preferences in a cookie (see createCookieAdapter()). This module
+ * reads that cookie from the Cookie header of a request and returns the CSS
+ * variables of the user's scheme and the dark mode class of the document, so
+ * that the first HTML response already shows the right theme.
+ * @module theme-server
+ * @since 1.1.0
+ * @example
+ * import { serverTheme } from './theme-server.js';
+ *
+ * const { className, css } = await serverTheme(request.headers.cookie, {
+ *   seedColor: "#1976D2",
+ * });
+ * const html = `<html class="${className}">
+ *   <head><style>${css}</style></head>
+ *   <body><div id="root">${renderToString(<App />)}</div></body>
+ * </html>`;
+ */
+
+import {
+  convertToVariables,
+  generateScheme,
+  schemeVariants,
+} from "./material-theme.js";
+import {
+  createCookieAdapter,
+  createPreferencesStore,
+  defaultPreferences,
+} from "./preferences.js";
+import { resolveColorMode } from "./color-mode.js";
+
+/**
+ * Replaces the seed color and variant of a cookie, which the user can edit,
+ * with the defaults when generateScheme() would not accept them.
+ * @private
+ * @param {object} preferences - Preferences read from the cookie
+ * @param {object} defaults - Default preferences
+ * @returns {object} The preferences, or a copy with the invalid values replaced
+ */
+const validPreferences = (preferences, defaults) => {
+  const invalid = {};
+  if (
+    preferences.seedColor != null &&
+    !/^#[0-9a-fA-F]{6}$/.test(preferences.seedColor)
+  ) {
+    invalid.seedColor = defaults.seedColor ?? null;
+  }
+  if (
+    preferences.variant != null &&
+    !schemeVariants.includes(preferences.variant)
+  ) {
+    invalid.variant = defaults.variant;
+  }
+  return Object.keys(invalid).length
+    ? { ...preferences, ...invalid }
+    : preferences;
+};
+
+/**
+ * Writes the CSS variables of a scheme as a plain style sheet rule.
+ * @param {Array<object>} scheme - Color scheme data from generateScheme()
+ * @param {object} [options] - Style sheet options
+ * @param {string} [options.selector] - Selector of the rule (defaults to ":root")
+ * @returns {string} CSS rule setting every `--color-{brightness}-{token}` variable
+ * @since 1.1.0
+ * @example
+ * schemeStyleSheet(scheme, { selector: ".tenant-card" });
+ * // ".tenant-card {\n  --color-light-primary: #1976D2;\n  ..."
+ */
+export function schemeStyleSheet(scheme, { selector = ":root" } = {}) {
+  const declarations = convertToVariables(scheme)
+    .map(([name, value]) => `  ${name}: ${value};`)
+    .join("\n");
+  return `${selector} {\n${declarations}\n}\n`;
+}
+
+/**
+ * Derives the theme of a page from the Cookie header of a request.
+ *
+ * The preferences are read with the same record format, versions and
+ * migrations as createPreferencesStore(). A seed color or variant that is not
+ * valid is replaced with the default. The seed color of the user takes
+ * precedence over the seedColor option; without either, css is empty and the
+ * page keeps the colors of its style sheets. Servers do not know the system
+ * color scheme, so the "system" mode resolves to the systemMode option, which
+ * can be taken from the `Sec-CH-Prefers-Color-Scheme` client hint.
+ * @param {string} [cookieHeader] - Cookie header of the request
+ * @param {object} [options] - Theme options
+ * @param {string} [options.seedColor] - Seed color of the application
+ * @param {string} [options.className] - Dark mode class (defaults to "dark")
+ * @param {string} [options.systemMode] - Color scheme assumed for the "system"
+ *   mode, "light" or "dark" (defaults to "light")
+ * @param {string} [options.selector] - Selector of the CSS rule
+ *   (defaults to ":root")
+ * @param {string} [options.key] - Cookie name (defaults to preferencesStorageKey)
+ * @param {object} [options.defaults] - Default preferences
+ *   (defaults to defaultPreferences)
+ * @param {number} [options.version] - Current schema version
+ *   (defaults to preferencesVersion)
+ * @param {object} [options.migrations] - Migrations keyed by version
+ * @returns {Promise<object>} Promise resolving to:
+ *   - preferences: Preferences of the user
+ *   - resolvedMode: "light" or "dark"
+ *   - className: The dark mode class in the dark mode, "" otherwise
+ *   - css: Style sheet of the scheme, "" without a seed color
+ * @throws {Error} Throws error if the seed color is not a valid hex color
+ * @since 1.1.0
+ * @example
+ * // Dark mode of the "system" mode from the client hint
+ * const theme = await serverTheme(request.headers.cookie, {
+ *   seedColor: "#1976D2",
+ *   systemMode: request.headers["sec-ch-prefers-color-scheme"],
+ * });
+ */
+export async function serverTheme(
+  cookieHeader,
+  {
+    seedColor,
+    className = "dark",
+    systemMode = "light",
+    selector,
+    key,
+    defaults,
+    version,
+    migrations,
+  } = {},
+) {
+  const store = createPreferencesStore({
+    storage: createCookieAdapter({ cookieHeader: cookieHeader ?? "" }),
+    key,
+    defaults,
+    version,
+    migrations,
+    sync: false,
+  });
+  await store.ready;
+  const preferences = validPreferences(
+    store.get(),
+    defaults ?? defaultPreferences,
+  );
+
+  const resolvedMode = resolveColorMode(
+    preferences.darkMode,
+    systemMode === "dark" ? "dark" : "light",
+  );
+  const seed = preferences.seedColor ?? seedColor;
+  const css = seed
+    ? schemeStyleSheet(
+        await generateScheme(seed, preferences.contrast ?? 0, {
+          variant: preferences.variant,
+        }),
+        { selector },
+      )
+    : "";
+
+  return {
+    preferences,
+    resolvedMode,
+    className: resolvedMode === "dark" ? className : "",
+    css,
+  };
+}
@@ -0,0 +1,384 @@
+/**
+ * @file Animated transitions between color schemes.
+ * This module replaces the instant swap of applyColorScheme() with an animation
+ * that interpolates every color variable from its current value to the new
+ * scheme in HCT or OKLCH space, so that the UI does not jump when the seed, the
+ * contrast or the dark mode changes.
+ *
+ * All variables of a frame are written in one requestAnimationFrame callback, so
+ * the browser recalculates the styles once per frame. Users who prefer reduced
+ * motion get the new colors at once.
+ * @module theme-transition
+ * @since 1.1.0
+ * @example
+ * import { generateScheme } from './material-theme.js';
+ * import { transitionColorScheme } from './theme-transition.js';
+ *
+ * const scheme = await generateScheme('#E91E63', 0);
+ * await transitionColorScheme(scheme, { duration: 400, space: 'oklch' });
+ */
+
+import {
+  argbFromHex,
+  Hct,
+  hexFromArgb,
+} from "@material/material-color-utilities";
+import {
+  applyColorScheme,
+  colorTokens,
+  convertToVariables,
+} from "./material-theme.js";
+
+/**
+ * Options of the transition functions.
+ * @typedef {object} TransitionOptions
+ * @property {HTMLElement} [element] - Element that holds the variables
+ *   (defaults to document.documentElement)
+ * @property {number} [duration] - Duration in milliseconds (defaults to 300)
+ * @property {string} [space] - Interpolation space, "hct" or "oklch" (defaults to "hct")
+ * @property {Function} [easing] - Function mapping the progress from 0 to 1 to the
+ *   interpolation amount (defaults to ease-in-out)
+ * @since 1.1.0
+ */
+
+/**
+ * Running transitions by element, to cancel one when the next one starts.
+ * @private
+ */
+const running = new WeakMap();
+
+/**
+ * Cubic ease-in-out.
+ * @private
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Eased progress from 0 to 1
+ */
+const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2);
+
+/**
+ * Interpolates a hue in degrees along the shorter arc.
+ * @private
+ * @param {number} from - Start hue
+ * @param {number} to - End hue
+ * @param {number} amount - Interpolation amount from 0 to 1
+ * @returns {number} Hue from 0 to 360
+ */
+const mixHue = (from, to, amount) => {
+  const delta = ((to - from + 540) % 360) - 180;
+  return (from + delta * amount + 360) % 360;
+};
+
+/**
+ * Converts a hex color to OKLCH.
+ * @private
+ * @param {string} hex - Hex color code in format #RRGGBB
+ * @returns {Array<number>} Lightness, chroma and hue in degrees
+ */
+const oklchFromHex = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => {
+    const c = Number(`0x${hex.slice(i, i + 2)}`) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  const A = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    Math.hypot(A, B),
+    ((Math.atan2(B, A) * 180) / Math.PI + 360) % 360,
+  ];
+};
+
+/**
+ * Converts OKLCH to a hex color, clipping to the sRGB gamut.
+ * @private
+ * @param {Array<number>} lch - Lightness, chroma and hue in degrees
+ * @returns {string} Hex color code in format #RRGGBB
+ */
+const hexFromOklch = ([L, C, H]) => {
+  const A = C * Math.cos((H * Math.PI) / 180);
+  const B = C * Math.sin((H * Math.PI) / 180);
+  const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+  const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+  const s = (L - 0.0894841775 * A - 1.291485548 * B) ** 3;
+  return `#${[
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ]
+    .map((c) => {
+      const v = c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055;
+      return Math.round(Math.min(1, Math.max(0, v)) * 255)
+        .toString(16)
+        .padStart(2, "0");
+    })
+    .join("")}`;
+};
+
+/**
+ * Creates an interpolator between two colors. The hue of a gray color is taken
+ * from the other color, so that fading from or to gray does not rotate the hue.
+ * @private
+ * @param {string} from - Start hex color
+ * @param {string} to - End hex color
+ * @param {string} space - "hct" or "oklch"
+ * @returns {Function} Function `(amount) => hexColor`
+ * @throws {Error} Throws error if the space is unknown
+ */
+const colorInterpolator = (from, to, space) => {
+  const [decode, encode, grayChroma] =
+    space === "hct"
+      ? [
+          (hex) => {
+            const hct = Hct.fromInt(argbFromHex(hex));
+            return [hct.tone, hct.chroma, hct.hue];
+          },
+          ([tone, chroma, hue]) =>
+            hexFromArgb(Hct.from(hue, chroma, tone).toInt()),
+          1,
+        ]
+      : space === "oklch"
+        ? [oklchFromHex, hexFromOklch, 0.002]
+        : [];
+  if (!decode) {
+    throw new Error(`Unknown color space: ${space}`);
+  }
+
+  const [l1, c1, h1] = decode(from);
+  const [l2, c2, h2] = decode(to);
+  const hue1 = c1 < grayChroma ? h2 : h1;
+  const hue2 = c2 < grayChroma ? h1 : h2;
+
+  return (amount) =>
+    amount <= 0
+      ? from
+      : amount >= 1
+        ? to
+        : encode([
+            l1 + (l2 - l1) * amount,
+            c1 + (c2 - c1) * amount,
+            mixHue(hue1, hue2, amount),
+          ]);
+};
+
+/**
+ * Interpolates between two colors in HCT or OKLCH space.
+ * Lightness (tone) and chroma change linearly, and the hue takes the shorter arc.
+ * @param {string} from - Start hex color (e.g., "#1976D2")
+ * @param {string} to - End hex color
+ * @param {number} amount - Interpolation amount from 0 (from) to 1 (to)
+ * @param {string} [space] - "hct" or "oklch" (defaults to "hct")
+ * @returns {string} Interpolated hex color
+ * @throws {Error} Throws error if the space is unknown
+ * @since 1.1.0
+ * @example
+ * interpolateColor("#1976D2", "#E91E63", 0.5, "oklch"); // A purple between both
+ */
+export function interpolateColor(from, to, amount, space = "hct") {
+  return colorInterpolator(from, to, space)(amount);
+}
+
+/**
+ * Checks the interpolation space before a transition changes anything, since
+ * the interpolators are only created for the colors that are animated.
+ * @private
+ * @param {string} [space] - "hct" or "oklch" (defaults to "hct")
+ * @throws {Error} Throws error if the space is unknown
+ */
+const checkSpace = (space = "hct") => {
+  if (space !== "hct" && space !== "oklch") {
+    throw new Error(`Unknown color space: ${space}`);
+  }
+};
+
+/**
+ * Tests whether the user asked the system to minimize animations.
+ * @private
+ * @returns {boolean} true if prefers-reduced-motion is "reduce"
+ */
+const prefersReducedMotion = () =>
+  typeof window.matchMedia === "function" &&
+  window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+/**
+ * Animates variables of an element from their current values to target values.
+ * A running animation of the same element is stopped first. The stop function
+ * kept in `running` leaves the variables where they are, or sets them to their
+ * targets when called with true.
+ * @private
+ * @param {HTMLElement} element - Element that holds the variables
+ * @param {Array<Array<string>>} targets - Pairs of variable name and hex color
+ * @param {TransitionOptions} options - Transition options
+ * @returns {Promise<void>} Resolves when the animation ends or is stopped
+ */
+const animateVariables = (
+  element,
+  targets,
+  { duration = 300, space = "hct", easing = easeInOut },
+) => {
+  running.get(element)?.();
+
+  const computed = getComputedStyle(element);
+  const interpolators = targets.map(([varName, hex]) => {
+    const current = computed.getPropertyValue(varName).trim();
+    return [
+      varName,
+      /^#[0-9a-fA-F]{6}$/.test(current)
+        ? colorInterpolator(current, hex, space)
+        : () => hex,
+    ];
+  });
+
+  return new Promise((resolve) => {
+    let start;
+    let frameId;
+
+    const stop = (finish = false) => {
+      cancelAnimationFrame(frameId);
+      if (finish) {
+        interpolators.forEach(([varName, interpolate]) => {
+          element.style.setProperty(varName, interpolate(1));
+        });
+      }
+      running.delete(element);
+      resolve();
+    };
+
+    const frame = (now) => {
+      start ??= now;
+      const progress = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+      const amount = easing(progress);
+      // All writes of a frame in one callback: one style recalculation
+      interpolators.forEach(([varName, interpolate]) => {
+        element.style.setProperty(varName, interpolate(amount));
+      });
+      if (progress < 1) {
+        frameId = requestAnimationFrame(frame);
+      } else {
+        stop();
+      }
+    };
+
+    running.set(element, stop);
+    frameId = requestAnimationFrame(frame);
+  });
+};
+
+/**
+ * Applies a color scheme like applyColorScheme(), animating every color from
+ * its current value to the new scheme.
+ *
+ * Variables without a current hex value, such as the first scheme of a page,
+ * take the new color in the first frame. Starting another transition on the
+ * same element stops the running one where it is and continues from there.
+ * With `prefers-reduced-motion: reduce`, the scheme is applied at once.
+ * @param {Array<object>} scheme - Color scheme data from generateScheme()
+ * @param {TransitionOptions} [options] - Transition options
+ * @returns {Promise<Function>} Promise resolving when the transition ends, to the
+ *   cleanup function of applyColorScheme()
+ * @throws {Error} Throws error if options.space is unknown
+ * @since 1.1.0
+ * @example
+ * // Smooth hue slider
+ * useEffect(() => {
+ *   generateScheme(seedColor, contrast).then((scheme) =>
+ *     transitionColorScheme(scheme, { duration: 200 }),
+ *   );
+ * }, [seedColor, contrast]);
+ */
+export async function transitionColorScheme(scheme, options = {}) {
+  const { element = document.documentElement } = options;
+  checkSpace(options.space);
+
+  if (prefersReducedMotion()) {
+    running.get(element)?.();
+    return applyColorScheme(scheme, element);
+  }
+
+  // Read the current colors before applyColorScheme() overwrites them
+  const animation = animateVariables(
+    element,
+    convertToVariables(scheme),
+    options,
+  );
+  const cleanup = applyColorScheme(scheme, element);
+  await animation;
+  return cleanup;
+}
+
+/**
+ * Switches the dark mode class of an element, fading the colors from the old
+ * brightness to the new one.
+ *
+ * Components use different variables in light and dark mode, so the variables
+ * of the new brightness first take the colors currently shown, then move to
+ * their own values. Afterwards they are set back to what they were, so the
+ * scheme of the page is unchanged. Only the standard color tokens are animated.
+ * A running transition of the same element, such as one of
+ * transitionColorScheme(), first jumps to its end, so that no intermediate
+ * colors are kept. With `prefers-reduced-motion: reduce`, the class is switched
+ * at once.
+ * @param {boolean} dark - Whether to switch to dark mode
+ * @param {TransitionOptions} [options] - Transition options, and:
+ * @param {string} [options.className] - Dark mode class (defaults to "dark")
+ * @returns {Promise<void>} Promise resolving when the transition ends
+ * @throws {Error} Throws error if options.space is unknown
+ * @since 1.1.0
+ * @example
+ * toggleButton.addEventListener("click", () =>
+ *   transitionDarkMode(!document.documentElement.classList.contains("dark")),
+ * );
+ */
+export async function transitionDarkMode(dark, options = {}) {
+  const { element = document.documentElement, className = "dark" } = options;
+  checkSpace(options.space);
+
+  if (element.classList.contains(className) === dark) {
+    return;
+  }
+  running.get(element)?.(true);
+  if (prefersReducedMotion()) {
+    element.classList.toggle(className, dark);
+    return;
+  }
+
+  const [from, to] = dark ? ["light", "dark"] : ["dark", "light"];
+  const computed = getComputedStyle(element);
+  const tokens = colorTokens.map((key) =>
+    key.replace(/[A-Z]/g, ($) => `-${$.toLowerCase()}`),
+  );
+
+  // Inline values of the new brightness to restore after the animation
+  const previous = tokens.map((token) => [
+    `--color-${to}-${token}`,
+    element.style.getPropertyValue(`--color-${to}-${token}`),
+  ]);
+  const targets = tokens
+    .map((token) => [
+      `--color-${to}-${token}`,
+      computed.getPropertyValue(`--color-${to}-${token}`).trim(),
+      computed.getPropertyValue(`--color-${from}-${token}`).trim(),
+    ])
+    .filter(([, target, shown]) => target && shown);
+
+  // Show the same colors with the new class, then fade to the new brightness
+  targets.forEach(([varName, , shown]) =>
+    element.style.setProperty(varName, shown),
+  );
+  element.classList.toggle(className, dark);
+  await animateVariables(
+    element,
+    targets.map(([varName, target]) => [varName, target]),
+    options,
+  );
+
+  previous.forEach(([varName, value]) => {
+    if (value) {
+      element.style.setProperty(varName, value);
+    } else {
+      element.style.removeProperty(varName);
+    }
+  });
+}
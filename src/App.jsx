@@ -3,7 +3,7 @@
  * Provides layout, theme customization, navigation, and demo functionality using Material Design 3 principles.
  * @since 1.0.0
  */
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useTranslation } from "react-i18next";
 import { useAtom, useSetAtom, useAtomValue } from "jotai";
 import {
@@ -25,19 +25,25 @@ import NavigationDrawer from "../lib/NavigationDrawer.jsx";
 import NavigationRail from "../lib/NavigationRail.jsx";
 import NavigationBar from "../lib/NavigationBar.jsx";
 import Fab from "../lib/Fab.jsx";
+import Menu from "../lib/Menu.jsx";
 import ToggleLanguageButton from "../lib/ToggleLanguageButton.jsx";
 import ToggleDarkModeButton from "../lib/ToggleDarkModeButton.jsx";
 import { generateThemeCss } from "../lib/material-theme.js";
+import { importTheme } from "../lib/theme-import.js";
+import { themePreferences } from "../lib/preferences.js";
+import { useSnackbar } from "../lib/snackbar.js";
 
 import SvgArrowBackIos from "./icons/SvgArrowBackIos.jsx";
 import SvgScreenRotationUp from "./icons/SvgScreenRotationUp.jsx";
 import SvgFormatColorReset from "./icons/SvgFormatColorReset.jsx";
 import SvgDownload from "./icons/SvgDownload.jsx";
+import SvgUpload from "./icons/SvgUpload.jsx";
 import SvgUndo from "./icons/SvgUndo.jsx";
 import SvgKeep from "./icons/SvgKeep.jsx";
 import SvgKeepOff from "./icons/SvgKeepOff.jsx";
 import SvgInfo from "./icons/SvgInfo.jsx";
 import SvgEdit from "./icons/SvgEdit.jsx";
+import SvgMoreVert from "./icons/SvgMoreVert.jsx";
 
 import "./App.css";
 import PWABadge from "../lib/PWABadge.jsx";
@@ -47,7 +53,7 @@ import { version } from "../package.json";
 import ColorThemeParameters from "./ColorThemeParameters.jsx";
 import ComponentsDemo from "./ComponentsDemo.jsx";
 import ColorThemeValues from "./ColorThemeValues.jsx";
-import { downloadFile } from "./utils.js";
+import { downloadFile, hueFromHex } from "./utils.js";
 
 const appName = "Xuan Paper";
 const cssFileName = "theme.css";
@@ -61,7 +67,10 @@ const cssFileName = "theme.css";
  * - Responsive navigation (bottom bar, side rail, drawer)
  * - Auto-hiding UI elements based on scroll direction
  * - Theme CSS generation and download
+ * - Theme import from CSS or Material Theme Builder JSON for re-editing
+ * - Theme settings restored on reload and shared between tabs
  * - PWA capabilities with update notifications
+ * - Snackbar messages queued by the demo and the theme import
  * - Internationalization support
  * - Demo components showcase
  * @component
@@ -69,6 +78,7 @@ const cssFileName = "theme.css";
  */
 function App() {
   const { t, i18n } = useTranslation();
+  const { enqueue } = useSnackbar();
 
   // Set up state management with Jotai for theme customization
   const setHue = useSetAtom(hueAtom);
@@ -77,6 +87,27 @@ function App() {
   const scheme = useAtomValue(schemeAtom);
   const colorChanged = useAtomValue(colorChangedAtom);
 
+  // Keep the colors in the preferences store, and follow the other tabs
+  const seedColorRef = useRef(seedColor);
+  seedColorRef.current = seedColor;
+  useEffect(() => {
+    themePreferences.set({ seedColor, contrast });
+  }, [seedColor, contrast]);
+  useEffect(
+    () =>
+      themePreferences.subscribe((preferences) => {
+        // Skip own changes, so that the hue keeps its fraction of a degree
+        if (
+          preferences.seedColor &&
+          preferences.seedColor !== seedColorRef.current
+        ) {
+          setHue(hueFromHex(preferences.seedColor));
+        }
+        setContrast(preferences.contrast);
+      }),
+    [],
+  );
+
   // Reset theme colors to initial values
   const resetColor = () => {
     setHue(iniHue);
@@ -87,6 +118,38 @@ function App() {
   const downloadThemeCss = () =>
     downloadFile(cssFileName, generateThemeCss(scheme, seedColor, contrast));
 
+  // Import a downloaded theme.css or Theme Builder JSON to edit it again
+  const importInputRef = useRef(null);
+  const importThemeFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    let imported;
+    try {
+      imported = importTheme(await file.text());
+    } catch {
+      imported = null;
+    }
+    if (!imported?.seedColor) {
+      enqueue({ message: t("import failed"), closable: true });
+      return;
+    }
+    // Only the hue of the seed and the contrast are restored, not the colors
+    setHue(hueFromHex(imported.seedColor));
+    if (imported.contrast !== null) {
+      setContrast(imported.contrast);
+    }
+    enqueue({
+      message:
+        imported.missing.length > 0 || imported.malformed.length > 0
+          ? `${t("import seed only")} ${t("import incomplete")}`
+          : t("import seed only"),
+      closable: true,
+    });
+  };
+
   // State for resetting demo component values
   const [demoValueReset, setDemoValueReset] = useAtom(demoValueResetAtom);
 
@@ -95,15 +158,19 @@ function App() {
   const [lastScrollY, setLastScrollY] = useState(0);
 
   // Set up scroll listener for auto-hiding UI elements
-  window.addEventListener("scroll", () => {
-    // Only update if we've scrolled significantly (1/8 of viewport height)
-    if (Math.abs(window.scrollY - lastScrollY) > window.innerHeight / 8) {
-      if (lastScrollY !== 0) {
-        setScrollDirection(window.scrollY - lastScrollY);
+  useEffect(() => {
+    const onScroll = () => {
+      // Only update if we've scrolled significantly (1/8 of viewport height)
+      if (Math.abs(window.scrollY - lastScrollY) > window.innerHeight / 8) {
+        if (lastScrollY !== 0) {
+          setScrollDirection(window.scrollY - lastScrollY);
+        }
+        setLastScrollY(window.scrollY);
       }
-      setLastScrollY(window.scrollY);
-    }
-  });
+    };
+    window.addEventListener("scroll", onScroll);
+    return () => window.removeEventListener("scroll", onScroll);
+  }, [lastScrollY]);
 
   // Dynamic classes for header that hides when scrolling down
   const headerOptionalClass = `sticky top-0 transition-all duration-500
@@ -124,7 +191,10 @@ function App() {
   const STORAGE_KEY_DRAWER = "xuan-paper-drawer-state-close";
   const DRAWER_STATE = { OPENED: "open", CLOSED: "close", PINNED: "pinned" };
   const [drawerState, setDrawerState] = useState(
-    () => localStorage.getItem(STORAGE_KEY_DRAWER) || DRAWER_STATE.CLOSED,
+    () =>
+      (typeof window !== "undefined" &&
+        window.localStorage.getItem(STORAGE_KEY_DRAWER)) ||
+      DRAWER_STATE.CLOSED,
   );
   // Define navigation items for bottom bar, navigation rail, and drawer
   const navItems = [
@@ -159,6 +229,11 @@ function App() {
       label: cssFileName,
       onClick: downloadThemeCss,
     },
+    {
+      icon: <SvgUpload />,
+      label: t("import theme"),
+      onClick: () => importInputRef.current.click(),
+    },
     {
       icon: <SvgFormatColorReset />,
       label: t("reset color"),
@@ -194,6 +269,7 @@ function App() {
           <Button.forAppBar
             key="back-arrow"
             icon={<SvgArrowBackIos />}
+            tooltip={t("back")}
             disabled
             onClick={() => {}}
           />,
@@ -210,6 +286,7 @@ function App() {
                   <path d="M120-240v-80h720v80H120Zm0-200v-80h720v80H120Zm0-200v-80h720v80H120Z" />
                 </svg>
               }
+              tooltip={t("menu")}
               onClick={() => setDrawerState(DRAWER_STATE.OPENED)}
             />
           ),
@@ -220,12 +297,50 @@ function App() {
             langs={resources}
             lang={i18n.language}
             setLang={i18n.changeLanguage}
+            tooltip={t("language")}
           />,
-          <ToggleDarkModeButton key="toggle-dark-mode" />,
+          <ToggleDarkModeButton
+            key="toggle-dark-mode"
+            transition
+            tooltip={t("color mode")}
+          />,
+          <Menu
+            key="more"
+            label={t("more")}
+            align="end"
+            items={[
+              {
+                icon: <SvgDownload />,
+                label: cssFileName,
+                onClick: downloadThemeCss,
+              },
+              {
+                icon: <SvgUpload />,
+                label: t("import theme"),
+                onClick: () => importInputRef.current.click(),
+              },
+              {},
+              {
+                icon: <SvgFormatColorReset />,
+                label: t("reset color"),
+                onClick: resetColor,
+                disabled: !colorChanged,
+              },
+            ]}
+          >
+            <Button.forAppBar icon={<SvgMoreVert />} tooltip={t("more")} />
+          </Menu>,
         ]}
         optionalClass={headerOptionalClass}
         height="h-12 sm:h-14" // Default
       />
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".css,.json,text/css,application/json"
+        className="hidden"
+        onChange={importThemeFile}
+      />
 
       <main
         className={`flex flex-col pb-8 gap-2 w-full
@@ -295,6 +410,7 @@ function App() {
       />
       <Fab
         icon={<SvgEdit />}
+        tooltip={t("actions")}
         items={[
           {
             icon: <SvgInfo />,
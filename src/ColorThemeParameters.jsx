@@ -1,26 +1,75 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import PropTypes from "prop-types";
+import { useTranslation } from "react-i18next";
 import { useAtom, useSetAtom, useAtomValue } from "jotai";
 import { hueAtom, contrastAtom, seedColorAtom, schemeAtom } from "./state.js";
 
 import Slider from "../lib/Slider.jsx";
 import SvgContrast from "./icons/SvgContrast.jsx";
-import { generateScheme, applyColorScheme } from "../lib/material-theme.js";
-import { isDarkBackground } from "./utils.js";
+import SvgImage from "./icons/SvgImage.jsx";
+import { generateScheme, seedColorsFromImage } from "../lib/material-theme.js";
+import { transitionColorScheme } from "../lib/theme-transition.js";
+import { cacheColorScheme } from "../lib/theme-bootstrap.js";
+import { useSnackbar } from "../lib/snackbar.js";
+import { isDarkBackground, hueFromHex } from "./utils.js";
+
+// Longest side of the image used for color extraction, in pixels
+const IMAGE_SAMPLE_SIZE = 128;
+
+/**
+ * Decodes an image file and returns its pixels, downscaled so that the color
+ * extraction stays fast for photos.
+ * @param {File} file - Image file dropped or selected by the user
+ * @returns {Promise<ImageData>} Pixels of the downscaled image
+ */
+const imagePixels = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(
+    1,
+    IMAGE_SAMPLE_SIZE / Math.max(bitmap.width, bitmap.height),
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
 
 const ColorThemeParameters = () => {
+  const { t } = useTranslation();
   const [hue, setHue] = useAtom(hueAtom);
   const [contrast, setContrast] = useAtom(contrastAtom);
   const seedColor = useAtomValue(seedColorAtom);
   const setScheme = useSetAtom(schemeAtom);
+  const { enqueue } = useSnackbar();
 
   useEffect(() => {
     generateScheme(seedColor, contrast).then((scheme) => {
       setScheme(scheme);
-      applyColorScheme(scheme);
+      transitionColorScheme(scheme, { duration: 200 });
+      cacheColorScheme(scheme);
     });
   }, [seedColor, contrast]);
 
+  // Seed color candidates extracted from a dropped or selected image
+  const [candidates, setCandidates] = useState([]);
+  const [dragOver, setDragOver] = useState(false);
+
+  const pickColorsFromImage = async (file) => {
+    if (!file?.type.startsWith("image/")) {
+      return;
+    }
+    try {
+      const colors = await seedColorsFromImage(await imagePixels(file));
+      setCandidates(colors);
+      setHue(hueFromHex(colors[0]));
+    } catch {
+      enqueue({ message: t("image failed"), closable: true });
+    }
+  };
+
   return (
     <div
       className={`flex flex-wrap px-2 gap-1 w-full justify-center
@@ -52,6 +101,57 @@ const ColorThemeParameters = () => {
           width="w-56 md:w-64 lg:w-84"
         />
       </div>
+      <div className="flex flex-row gap-2 items-center">
+        <label
+          className={`flex h-12 w-22 sm:w-24 justify-center items-center
+            rounded-md border-2 border-dashed cursor-pointer
+            ${
+              dragOver
+                ? "border-light-primary dark:border-dark-primary"
+                : "border-light-outline-variant dark:border-dark-outline-variant"
+            }`}
+          title={t("drop image")}
+          onDragOver={(event) => {
+            event.preventDefault();
+            setDragOver(true);
+          }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={(event) => {
+            event.preventDefault();
+            setDragOver(false);
+            pickColorsFromImage(event.dataTransfer.files[0]);
+          }}
+        >
+          <span className="flex size-8">
+            <SvgImage />
+          </span>
+          <input
+            type="file"
+            accept="image/*"
+            className="hidden"
+            aria-label={t("drop image")}
+            onChange={(event) => {
+              pickColorsFromImage(event.target.files[0]);
+              event.target.value = "";
+            }}
+          />
+        </label>
+        <div className="flex flex-row w-56 md:w-64 lg:w-84 gap-2">
+          {candidates.map((color) => (
+            <button
+              key={color}
+              type="button"
+              className={`h-8 w-12 rounded-md font-mono text-xs
+                ${isDarkBackground(color) ? "text-light-form" : "text-dark-form"}`}
+              style={{ backgroundColor: color }}
+              title={color}
+              onClick={() => setHue(hueFromHex(color))}
+            >
+              {color.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
     </div>
   );
 };
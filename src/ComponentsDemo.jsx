@@ -10,13 +10,31 @@ import Switch from "../lib/Switch.jsx";
 import RadioGroup from "../lib/RadioGroup.jsx";
 import ButtonGroup from "../lib/ButtonGroup.jsx";
 import TextField from "../lib/TextField.jsx";
+import Select from "../lib/Select.jsx";
+import ChipSet from "../lib/ChipSet.jsx";
+import Card from "../lib/Card.jsx";
+import List from "../lib/List.jsx";
+import LinearProgress from "../lib/LinearProgress.jsx";
+import CircularProgress from "../lib/CircularProgress.jsx";
+import Tabs from "../lib/Tabs.jsx";
+import TabPanels from "../lib/TabPanels.jsx";
 import PasswordField from "../lib/PasswordField.jsx";
 import Slider from "../lib/Slider.jsx";
+import ThemeProvider from "../lib/ThemeProvider.jsx";
+import ColorModeSelector from "../lib/ColorModeSelector.jsx";
+import Dialog from "../lib/Dialog.jsx";
+import Menu from "../lib/Menu.jsx";
+import Tooltip from "../lib/Tooltip.jsx";
+import { useSnackbar } from "../lib/snackbar.js";
 
 import SvgInfo from "./icons/SvgInfo.jsx";
 import SvgClose from "./icons/SvgClose.jsx";
 import SvgDirectionsCar from "./icons/SvgDirectionsCar.jsx";
 import SvgDirectionsWalk from "./icons/SvgDirectionsWalk.jsx";
+import SvgImage from "./icons/SvgImage.jsx";
+import SvgUndo from "./icons/SvgUndo.jsx";
+import SvgEdit from "./icons/SvgEdit.jsx";
+import SvgDownload from "./icons/SvgDownload.jsx";
 
 const Row = ({ children }) => {
   return (
@@ -33,6 +51,39 @@ Row.propTypes = {
   children: PropTypes.node,
 };
 
+const sizes = [
+  { value: "S", label: "Small" },
+  { value: "M", label: "Medium" },
+  { value: "L", label: "Large" },
+  { value: "XL", label: "Extra large", disabled: true },
+];
+
+const fruits = [
+  "Apple",
+  "Banana",
+  "Blueberry",
+  "Cherry",
+  "Grape",
+  "Lemon",
+  "Mango",
+  "Orange",
+  "Peach",
+  "Strawberry",
+].map((fruit) => ({ value: fruit, label: fruit }));
+
+const manyRows = Array.from({ length: 10000 }, (_, i) => ({
+  value: i + 1,
+  headline: `Row ${String(i + 1).padStart(5, "0")}`,
+  supportingText: "Supporting text",
+  control: "checkbox",
+  controlPosition: "leading",
+}));
+
+const manyItems = Array.from({ length: 1000 }, (_, i) => ({
+  value: i + 1,
+  label: `Item ${String(i + 1).padStart(4, "0")}`,
+}));
+
 const ComponentsDemo = () => {
   const { t } = useTranslation();
   const [demoValueReset, setDemoValueReset] = useAtom(demoValueResetAtom);
@@ -50,16 +101,29 @@ const ComponentsDemo = () => {
   const [radio01, setRadio01] = useState("Item 01");
   const [btns01, setBtns01] = useState("Car");
   const [btns02, setBtns02] = useState(["A", "C"]);
+  const [chp01, setChp01] = useState(["A"]);
+  const [chp02, setChp02] = useState(["Item 01", "Item 02", "Item 03"]);
   const [txt01, setTxt01] = useState("");
   const [txt02, setTxt02] = useState("Input 02");
   const [txt03, setTxt03] = useState(0);
   const [txt11, setTxt11] = useState("");
   const [txt12, setTxt12] = useState("Input 12");
   const [txt13, setTxt13] = useState(0);
+  const [lst01, setLst01] = useState(true);
+  const [lst02, setLst02] = useState([]);
+  const [sel01, setSel01] = useState("M");
+  const [sel02, setSel02] = useState(["Apple"]);
+  const [sel03, setSel03] = useState(null);
   const [pwd01, setPWd01] = useState("P@ssw0rd");
   const [pwd11, setPWd11] = useState("P@ssw0rd");
   const [sld01, setSld01] = useState(0.5);
   const [sld02, setSld02] = useState(5);
+  const [loading, setLoading] = useState(false);
+  const [dialog, setDialog] = useState(null);
+  const [tab01, setTab01] = useState(0);
+  const [cards, setCards] = useState(["Card 04", "Card 05", "Card 06"]);
+  const [tab02, setTab02] = useState(0);
+  const { enqueue } = useSnackbar();
 
   useEffect(() => {
     setDemoValueReset(
@@ -77,12 +141,21 @@ const ComponentsDemo = () => {
         btns01 === "Car" &&
         btns02.length === ["A", "C"].length &&
         ["A", "C"].every((v) => btns02.includes(v)) &&
+        chp01.length === 1 &&
+        chp01[0] === "A" &&
+        chp02.length === 3 &&
         txt01 === "" &&
         txt02 === "Input 02" &&
         txt03 === 0 &&
         txt11 === "" &&
         txt12 === "Input 12" &&
         txt13 === 0 &&
+        lst01 === true &&
+        lst02.length === 0 &&
+        sel01 === "M" &&
+        sel02.length === 1 &&
+        sel02[0] === "Apple" &&
+        sel03 === null &&
         pwd01 === "P@ssw0rd" &&
         pwd11 === "P@ssw0rd" &&
         sld01 === 0.5 &&
@@ -102,12 +175,19 @@ const ComponentsDemo = () => {
     radio01,
     btns01,
     btns02,
+    chp01,
+    chp02,
     txt01,
     txt02,
     txt03,
     txt11,
     txt12,
     txt13,
+    lst01,
+    lst02,
+    sel01,
+    sel02,
+    sel03,
     pwd01,
     pwd11,
     sld01,
@@ -129,12 +209,19 @@ const ComponentsDemo = () => {
       setRadio01("Item 01");
       setBtns01("Car");
       setBtns02(["A", "C"]);
+      setChp01(["A"]);
+      setChp02(["Item 01", "Item 02", "Item 03"]);
       setTxt01("");
       setTxt02("Input 02");
       setTxt03(0);
       setTxt11("");
       setTxt12("Input 12");
       setTxt13(0);
+      setLst01(true);
+      setLst02([]);
+      setSel01("M");
+      setSel02(["Apple"]);
+      setSel03(null);
       setPWd01("P@ssw0rd");
       setPWd11("P@ssw0rd");
       setSld01(0.5);
@@ -210,6 +297,19 @@ const ComponentsDemo = () => {
           size="xs"
         />
       </Row>
+      <Row>
+        {["#E91E63", "#2E7D32"].map((seedColor) => (
+          <ThemeProvider
+            key={seedColor}
+            seedColor={seedColor}
+            className={`flex flex-row items-center gap-2 p-2 rounded-xl
+              bg-light-surface-container dark:bg-dark-surface-container`}
+          >
+            <Button label={seedColor} style="filled" />
+            <Button icon={<SvgInfo />} style="tonal" />
+          </ThemeProvider>
+        ))}
+      </Row>
       <Row>
         <ItemGroup>
           <CheckBox value={chk01a} onChange={(v) => setChk01a(v)} />
@@ -299,6 +399,183 @@ const ComponentsDemo = () => {
           multiSelect
         />
       </Row>
+      <Row>
+        <ChipSet
+          type="filter"
+          label="Filter chips"
+          value={chp01}
+          items={[
+            { value: "A", label: "A" },
+            { value: "B", label: "B", icon: <SvgDirectionsCar /> },
+            { value: "C", label: "C" },
+            { value: "D", label: "D", disabled: true },
+          ]}
+          onChange={(v) => setChp01(v)}
+          multiSelect
+        />
+        <ChipSet
+          type="input"
+          label="Input chips"
+          items={chp02.map((item) => ({
+            value: item,
+            label: item,
+            avatar: (
+              <span
+                className={`flex justify-center items-center size-6 text-xs
+                  bg-light-primary dark:bg-dark-primary
+                  text-light-on-primary dark:text-dark-on-primary`}
+              >
+                {item.at(-1)}
+              </span>
+            ),
+          }))}
+          onRemove={(v) => setChp02(chp02.filter((item) => item !== v))}
+          removeLabel={t("remove")}
+        />
+      </Row>
+      <Row>
+        <ChipSet
+          label="Assist chips"
+          items={[
+            {
+              value: "reset",
+              label: t("reset"),
+              icon: <SvgUndo />,
+              onClick: () => setDemoValueReset(true),
+            },
+            { value: "info", label: "Info", icon: <SvgInfo /> },
+          ]}
+        />
+        <ChipSet
+          type="suggestion"
+          label="Suggestion chips"
+          scrollable
+          optionalClass="max-w-xs"
+          items={["Suggestion 01", "Suggestion 02", "Suggestion 03"].map(
+            (item) => ({
+              value: item,
+              label: item,
+              onClick: () => enqueue({ message: item }),
+            }),
+          )}
+        />
+      </Row>
+      <Row>
+        <ColorModeSelector
+          labels={{
+            system: t("color mode system"),
+            light: t("color mode light"),
+            dark: t("color mode dark"),
+          }}
+          transition
+        />
+      </Row>
+      <Row>
+        <Button
+          label={t("dialog basic")}
+          style="outlined"
+          onClick={() => setDialog("basic")}
+        />
+        <Button
+          label={t("dialog full screen")}
+          style="outlined"
+          onClick={() => setDialog("full")}
+        />
+        <Button
+          label={t("dialog confirm")}
+          style="outlined"
+          onClick={async () => {
+            const confirmed = await Dialog.confirm({
+              headline: t("dialog headline"),
+              message: t("dialog message"),
+              confirmLabel: t("reset"),
+              cancelLabel: t("cancel"),
+            });
+            if (confirmed) {
+              setDemoValueReset(true);
+            }
+          }}
+        />
+        <Dialog
+          open={dialog !== null}
+          onClose={() => setDialog(null)}
+          icon={<SvgInfo />}
+          headline={t("dialog headline")}
+          fullScreen={dialog === "full"}
+          closeLabel={t("close")}
+          actions={[
+            ...(dialog === "full"
+              ? []
+              : [{ label: t("cancel"), onClick: () => setDialog(null) }]),
+            {
+              label: t("reset"),
+              onClick: () => {
+                setDemoValueReset(true);
+                setDialog(null);
+              },
+            },
+          ]}
+        >
+          {t("dialog message")}
+        </Dialog>
+      </Row>
+      <Row>
+        <Menu
+          label={t("more")}
+          items={[
+            { icon: <SvgInfo />, label: t("copy"), trailing: "Ctrl+C" },
+            {
+              label: t("share"),
+              items: [{ label: "Email" }, { label: "Link" }],
+            },
+            {},
+            { label: t("reset"), onClick: () => setDemoValueReset(true) },
+            { label: "Disabled", disabled: true },
+          ]}
+        >
+          <Button label={t("more")} style="outlined" />
+        </Menu>
+        <Menu
+          contextMenu
+          items={[
+            { label: t("copy"), trailing: "Ctrl+C" },
+            { label: t("reset"), onClick: () => setDemoValueReset(true) },
+          ]}
+        >
+          <div
+            className={`px-4 py-2 rounded-xl border-1 border-dashed
+              border-light-outline dark:border-dark-outline`}
+          >
+            {t("context menu")}
+          </div>
+        </Menu>
+      </Row>
+      <Row>
+        <Button
+          label={t("snackbar")}
+          style="outlined"
+          onClick={() =>
+            enqueue({
+              message: t("snackbar message"),
+              action: {
+                label: t("reset"),
+                onClick: () => setDemoValueReset(true),
+              },
+            })
+          }
+        />
+        <Button
+          label={t("snackbar closable")}
+          style="outlined"
+          onClick={() =>
+            enqueue({
+              message: t("snackbar message"),
+              duration: Infinity,
+              closable: true,
+            })
+          }
+        />
+      </Row>
       <Row>
         <TextField
           label="Text 01"
@@ -425,6 +702,186 @@ const ComponentsDemo = () => {
           disabled
         />
       </Row>
+      <Row>
+        <List
+          label="List 01"
+          optionalClass="max-w-sm"
+          items={[
+            {
+              value: "switch",
+              leading: <SvgInfo />,
+              headline: "Switch",
+              control: "switch",
+              checked: lst01,
+              onChange: (v) => setLst01(v),
+            },
+            {
+              value: "reset",
+              leading: <SvgUndo />,
+              headline: t("reset"),
+              supportingText: "Two-line item",
+              trailingText: "Now",
+              onClick: () => setDemoValueReset(true),
+            },
+            {
+              value: "three",
+              overline: "Overline",
+              headline: "Three-line item",
+              supportingText: "Supporting text",
+            },
+            { value: "disabled", headline: "Disabled", disabled: true },
+          ]}
+        />
+        <List
+          label="List 02"
+          optionalClass="max-w-sm"
+          selectable
+          multiSelect
+          value={lst02}
+          onChange={(v) => setLst02(v)}
+          lines={2}
+          height={288}
+          items={manyRows}
+        />
+      </Row>
+      <Row>
+        <Select
+          label="Select 01"
+          value={sel01}
+          options={sizes}
+          onChange={(v) => setSel01(v)}
+          width="w-40"
+        />
+        <Select
+          label="Select 02"
+          value={sel02}
+          options={fruits}
+          message="Search and choose"
+          onChange={(v) => setSel02(v)}
+          style="filled"
+          width="w-64"
+          multiple
+          searchable
+        />
+        <Select
+          label="Select 03"
+          value={sel03}
+          options={manyItems}
+          message="1000 items"
+          error={sel03 === null ? "Required" : null}
+          onChange={(v) => setSel03(v)}
+          width="w-40"
+          fontFamily="font-mono"
+        />
+      </Row>
+      <Row>
+        <Card
+          width="w-64"
+          media={
+            <div
+              className={`flex justify-center items-center w-full h-32
+                bg-light-primary-container dark:bg-dark-primary-container
+                text-light-on-primary-container dark:text-dark-on-primary-container`}
+            >
+              <div className="size-12">
+                <SvgImage />
+              </div>
+            </div>
+          }
+          headline="Card 01"
+          subhead="Elevated"
+          actions={[
+            {
+              label: t("share"),
+              onClick: () => enqueue({ message: "Card 01" }),
+            },
+          ]}
+          onClick={() => enqueue({ message: "Card 01" })}
+        >
+          Clickable card with media and actions
+        </Card>
+        <Card style="filled" width="w-64" headline="Card 02" subhead="Filled">
+          Supporting text
+        </Card>
+        <Card
+          style="outlined"
+          width="w-64"
+          avatar={<SvgInfo />}
+          headline="Card 03"
+          subhead="Outlined"
+          actions={[{ label: t("cancel") }, { label: "OK", style: "filled" }]}
+        >
+          Supporting text
+        </Card>
+      </Row>
+      <Row>
+        <div className="flex flex-col gap-2 w-64">
+          {cards.map((card, index) => {
+            const move = (from, to) => {
+              const next = cards.filter((item) => item !== from);
+              next.splice(to, 0, from);
+              setCards(next);
+            };
+            return (
+              <Card
+                key={card}
+                style="outlined"
+                headline={card}
+                subhead="Draggable"
+                draggable
+                dragData={card}
+                onDrop={(dropped) => dropped && move(dropped, index)}
+                onMove={(step) =>
+                  move(
+                    card,
+                    Math.max(0, Math.min(cards.length - 1, index + step)),
+                  )
+                }
+              />
+            );
+          })}
+        </div>
+      </Row>
+      <Row>
+        <div className="flex flex-col w-full max-w-xl">
+          <Tabs
+            id="demo-tabs"
+            label="Tabs 01"
+            items={[
+              { icon: <SvgImage />, label: "Tab 01", badge: 3 },
+              { icon: <SvgEdit />, label: "Tab 02", badge: true },
+              { icon: <SvgDownload />, label: "Tab 03" },
+              { icon: <SvgInfo />, label: "Tab 04", disabled: true },
+            ].map((item, index) => ({
+              ...item,
+              active: tab01 === index,
+              onClick: () => setTab01(index),
+            }))}
+          />
+          <TabPanels
+            id="demo-tabs"
+            index={tab01}
+            onChange={(v) => setTab01(Math.min(v, 2))}
+          >
+            {["Panel 01", "Panel 02", "Panel 03", "Panel 04"].map((panel) => (
+              <div key={panel} className="p-4">
+                {panel}
+              </div>
+            ))}
+          </TabPanels>
+        </div>
+        <Tabs
+          style="secondary"
+          scrollable
+          label="Tabs 02"
+          optionalClass="max-w-xl"
+          items={Array.from({ length: 12 }, (_, index) => ({
+            label: `Tab ${String(index + 1).padStart(2, "0")}`,
+            active: tab02 === index,
+            onClick: () => setTab02(index),
+          }))}
+        />
+      </Row>
       <Row>
         <PasswordField
           value={pwd01}
@@ -454,6 +911,39 @@ const ComponentsDemo = () => {
           size="sm"
         />
       </Row>
+      <Row>
+        <div className="flex flex-col gap-4 w-full max-w-sm">
+          <LinearProgress value={sld01} label="Linear 01" />
+          <LinearProgress
+            value={sld01}
+            buffer={sld01 + 0.2}
+            label="Linear 02"
+          />
+          <LinearProgress label="Linear 03" />
+        </div>
+        <CircularProgress value={sld01} label="Circular 01" />
+        <CircularProgress label="Circular 02" />
+        <Button
+          label="Loading"
+          style="tonal"
+          loading={loading}
+          onClick={() => {
+            setLoading(true);
+            setTimeout(() => setLoading(false), 2000);
+          }}
+        />
+      </Row>
+      <Row>
+        <Button icon={<SvgEdit />} style="text" tooltip="Tooltip 01" />
+        <Button icon={<SvgDownload />} style="outlined" tooltip="Tooltip 02" />
+        <Tooltip
+          title="Tooltip 03"
+          text={t("snackbar message")}
+          actions={[{ label: t("close") }]}
+        >
+          <Button icon={<SvgInfo />} label="Rich" style="tonal" />
+        </Tooltip>
+      </Row>
       <Row>
         <hr className="mx-2 my-4 w-full" />
       </Row>
@@ -14,6 +14,38 @@ export const resources = {
       "reset color": "Reset color",
       undo: "Undo",
       rotate: "Rotate",
+      "import theme": "Import theme",
+      "import failed": "The theme could not be imported.",
+      "import seed only":
+        "The hue of the seed color and the contrast were restored, and the colors were generated from them.",
+      "import incomplete": "Some colors in the file were missing or malformed.",
+      "drop image": "Drop an image to pick the color",
+      "image failed": "No colors could be picked from the image.",
+      "color mode system": "System",
+      "color mode light": "Light",
+      "color mode dark": "Dark",
+      "dialog headline": "Reset the demo values?",
+      "dialog message":
+        "The components on this page return to their initial values.",
+      "dialog basic": "Dialog",
+      "dialog full screen": "Full-screen dialog",
+      "dialog confirm": "Confirm",
+      cancel: "Cancel",
+      reset: "Reset",
+      close: "Close",
+      remove: "Remove",
+      snackbar: "Snackbar",
+      more: "More",
+      back: "Back",
+      menu: "Menu",
+      language: "Change language",
+      "color mode": "Switch color mode",
+      actions: "Actions",
+      "context menu": "Right-click here for the context menu",
+      copy: "Copy",
+      share: "Share",
+      "snackbar closable": "Snackbar with close button",
+      "snackbar message": "The demo values can be reset at any time.",
     },
   },
   ja: {
@@ -30,6 +62,37 @@ export const resources = {
       "reset color": "配色復帰",
       undo: "操作取消",
       rotate: "縦横切替",
+      "import theme": "テーマ読込",
+      "import failed": "テーマを読み込めませんでした。",
+      "import seed only":
+        "シードカラーの色相とコントラストを復元し、配色はそこから生成しました。",
+      "import incomplete": "ファイルの一部の色が欠けているか不正でした。",
+      "drop image": "画像から色を選ぶ",
+      "image failed": "画像から色を選べませんでした。",
+      "color mode system": "自動",
+      "color mode light": "明",
+      "color mode dark": "暗",
+      "dialog headline": "デモの値を戻しますか？",
+      "dialog message": "このページのコンポーネントを初期値に戻します。",
+      "dialog basic": "ダイアログ",
+      "dialog full screen": "全画面ダイアログ",
+      "dialog confirm": "確認",
+      cancel: "キャンセル",
+      reset: "戻す",
+      close: "閉じる",
+      remove: "削除",
+      snackbar: "スナックバー",
+      more: "その他",
+      back: "戻る",
+      menu: "メニュー",
+      language: "言語切替",
+      "color mode": "配色切替",
+      actions: "操作",
+      "context menu": "ここを右クリックでコンテキストメニュー",
+      copy: "コピー",
+      share: "共有",
+      "snackbar closable": "閉じるボタン付きスナックバー",
+      "snackbar message": "デモの値はいつでも初期値に戻せます。",
     },
   },
 };
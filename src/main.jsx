@@ -2,9 +2,13 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./i18n.js";
 import App from "./App.jsx";
+import SnackbarProvider from "../lib/SnackbarProvider.jsx";
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
-    <App />
+    {/* Above the Fab, which is above the navigation bar */}
+    <SnackbarProvider position="fixed inset-x-0 bottom-safe-offset-36 z-40">
+      <App />
+    </SnackbarProvider>
   </StrictMode>,
 );
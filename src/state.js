@@ -1,11 +1,18 @@
 import { atom } from "jotai";
 import { hslToHex } from "../lib/material-theme.js";
+import { themePreferences } from "../lib/preferences.js";
+import { hueFromHex } from "./utils.js";
 
 export const iniHue = 0.4;
 export const iniContrast = 0;
 
-export const hueAtom = atom(iniHue);
-export const contrastAtom = atom(iniContrast);
+// Start with the colors of the last visit
+const saved = themePreferences.get();
+
+export const hueAtom = atom(
+  saved.seedColor ? hueFromHex(saved.seedColor) : iniHue,
+);
+export const contrastAtom = atom(saved.contrast);
 export const schemeAtom = atom([]);
 export const seedColorAtom = atom((get) => {
   const hue = get(hueAtom);
@@ -39,3 +39,29 @@ export function downloadFile(filename, content) {
   link.click();
   link.parentNode.removeChild(link);
 }
+
+/**
+ * Extracts the HSL hue of a hex color as a fraction of a full turn.
+ * The result matches the hue slider of the demo app, which generates the seed
+ * color with hslToHex(Math.round(hue * 360)).
+ * @param {string} hex - Hex color code in format #RRGGBB (e.g., "#1976D2")
+ * @returns {number} Hue in the range 0 (inclusive) to 1 (exclusive),
+ *  0 for achromatic colors
+ * @example
+ * hueFromHex("#00FF00"); // Returns 0.3333333333333333
+ */
+export function hueFromHex(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => Number(`0x${hex.slice(i, i + 2)}`));
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  if (d === 0) {
+    return 0;
+  }
+  const h =
+    max === r
+      ? (g - b) / d + (g < b ? 6 : 0)
+      : max === g
+        ? (b - r) / d + 2
+        : (r - g) / d + 4;
+  return h / 6;
+}
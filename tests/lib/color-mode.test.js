@@ -0,0 +1,196 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { act, createElement } from "react";
+import { createRoot } from "react-dom/client";
+import {
+  colorModes,
+  nextColorMode,
+  resolveColorMode,
+  useColorMode,
+} from "../../lib/color-mode.js";
+import { createPreferencesStore } from "../../lib/preferences.js";
+import { transitionDarkMode } from "../../lib/theme-transition.js";
+
+vi.mock("../../lib/theme-transition.js", () => ({
+  transitionDarkMode: vi.fn(() => Promise.resolve()),
+}));
+
+// prefers-color-scheme media query that the test can switch
+let systemDark = false;
+let changeListeners = [];
+const mediaQuery = {
+  get matches() {
+    return systemDark;
+  },
+  addEventListener: (type, listener) => changeListeners.push(listener),
+  removeEventListener: (type, listener) => {
+    changeListeners = changeListeners.filter((l) => l !== listener);
+  },
+};
+const setSystemDark = (dark) => {
+  systemDark = dark;
+  changeListeners.forEach((listener) => listener());
+};
+
+/**
+ * Renders useColorMode() and returns a getter of its latest result.
+ * @param {object} options - Hook options
+ * @returns {Array} [current, root]
+ */
+const renderColorMode = (options) => {
+  let result;
+  const Probe = () => {
+    result = useColorMode(options);
+    return null;
+  };
+  const root = createRoot(document.createElement("div"));
+  act(() => root.render(createElement(Probe)));
+  return [() => result, root];
+};
+
+describe("color-mode", () => {
+  describe("resolveColorMode", () => {
+    it("should follow the system only in the system mode", () => {
+      expect(resolveColorMode("system", "dark")).toBe("dark");
+      expect(resolveColorMode("light", "dark")).toBe("light");
+      expect(resolveColorMode("dark", "light")).toBe("dark");
+      expect(resolveColorMode("unknown", "light")).toBe("light");
+    });
+  });
+
+  describe("nextColorMode", () => {
+    it("should switch to the opposite of the system first", () => {
+      const cycle = (systemMode) =>
+        colorModes.reduce(
+          (modes) => [...modes, nextColorMode(modes.at(-1), systemMode)],
+          ["system"],
+        );
+
+      expect(cycle("light")).toEqual(["system", "dark", "light", "system"]);
+      expect(cycle("dark")).toEqual(["system", "light", "dark", "system"]);
+    });
+  });
+
+  describe("useColorMode", () => {
+    let store;
+
+    beforeEach(() => {
+      globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+      systemDark = false;
+      changeListeners = [];
+      window.matchMedia = vi.fn().mockReturnValue(mediaQuery);
+      store = createPreferencesStore({ storage: "session", sync: false });
+      sessionStorage.clear();
+      document.documentElement.className = "app-root";
+      vi.mocked(transitionDarkMode).mockClear();
+    });
+
+    afterEach(() => {
+      delete window.matchMedia;
+    });
+
+    it("should toggle only the dark class of the document", () => {
+      const [result, root] = renderColorMode({ store });
+
+      expect(result()).toMatchObject({
+        mode: "system",
+        resolvedMode: "light",
+        systemMode: "light",
+      });
+      expect(document.documentElement.className).toBe("app-root");
+
+      act(() => result().setMode("dark"));
+
+      expect(result().resolvedMode).toBe("dark");
+      expect(store.get().darkMode).toBe("dark");
+      expect([...document.documentElement.classList]).toEqual([
+        "app-root",
+        "dark",
+      ]);
+      act(() => root.unmount());
+    });
+
+    it("should follow the system in the system mode", () => {
+      const [result, root] = renderColorMode({ store });
+
+      act(() => setSystemDark(true));
+
+      expect(result().systemMode).toBe("dark");
+      expect(result().resolvedMode).toBe("dark");
+      expect(document.documentElement.classList.contains("dark")).toBe(true);
+
+      act(() => result().setMode("light"));
+      act(() => setSystemDark(false));
+      act(() => setSystemDark(true));
+
+      expect(result().resolvedMode).toBe("light");
+      act(() => root.unmount());
+      expect(changeListeners).toEqual([]);
+    });
+
+    it("should use the target element and class name", () => {
+      const target = document.createElement("main");
+      const [result, root] = renderColorMode({
+        store,
+        target,
+        className: "theme-dark",
+      });
+
+      act(() => result().setMode("dark"));
+
+      expect(target.className).toBe("theme-dark");
+      expect(document.documentElement.className).toBe("app-root");
+      act(() => root.unmount());
+    });
+
+    it("should animate the switch with the transition option", () => {
+      const target = document.createElement("main");
+      const [result, root] = renderColorMode({
+        store,
+        target,
+        transition: { duration: 100 },
+      });
+
+      act(() => result().setMode("dark"));
+
+      expect(transitionDarkMode).toHaveBeenCalledWith(true, {
+        duration: 100,
+        element: target,
+        className: "dark",
+      });
+      act(() => root.unmount());
+    });
+
+    it("should switch without animation when the transition fails", async () => {
+      vi.mocked(transitionDarkMode).mockRejectedValueOnce(
+        new Error("Unknown color space: lab"),
+      );
+      const target = document.createElement("main");
+      const [result, root] = renderColorMode({
+        store,
+        target,
+        transition: { space: "lab" },
+      });
+
+      await act(async () => result().setMode("dark"));
+
+      expect(result().resolvedMode).toBe("dark");
+      expect(target.classList.contains("dark")).toBe(true);
+      act(() => root.unmount());
+    });
+
+    it("should report unknown stored modes as the system mode", () => {
+      store.set({ darkMode: "sepia" });
+      const [result, root] = renderColorMode({ store });
+
+      expect(result().mode).toBe("system");
+      expect(() => result().setMode("sepia")).toThrow(
+        "Unknown color mode: sepia",
+      );
+      act(() => root.unmount());
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  apcaContrast,
+  auditScheme,
+  contrastPairs,
+  contrastRatio,
+  wcagThresholds,
+} from "../../lib/contrast-audit.js";
+import { generateScheme } from "../../lib/material-theme.js";
+
+describe("contrast-audit", () => {
+  describe("contrastRatio", () => {
+    it("should calculate WCAG 2.x contrast ratios", () => {
+      expect(contrastRatio("#000000", "#FFFFFF")).toBe(21);
+      expect(contrastRatio("#FFFFFF", "#FFFFFF")).toBe(1);
+      expect(contrastRatio("#777777", "#FFFFFF")).toBeCloseTo(4.48, 2);
+    });
+
+    it("should not depend on the order of the colors", () => {
+      expect(contrastRatio("#1976D2", "#FFFFFF")).toBe(
+        contrastRatio("#FFFFFF", "#1976D2"),
+      );
+    });
+  });
+
+  describe("apcaContrast", () => {
+    it("should calculate APCA Lc values", () => {
+      expect(apcaContrast("#000000", "#FFFFFF")).toBeCloseTo(106.04, 2);
+      expect(apcaContrast("#FFFFFF", "#000000")).toBeCloseTo(-107.88, 2);
+      expect(apcaContrast("#888888", "#FFFFFF")).toBeCloseTo(63.06, 2);
+      expect(apcaContrast("#FFFFFF", "#888888")).toBeCloseTo(-68.54, 2);
+    });
+
+    it("should return 0 for contrast too low to measure", () => {
+      expect(apcaContrast("#777777", "#777777")).toBe(0);
+      expect(apcaContrast("#F0F0F0", "#FFFFFF")).toBe(0);
+      expect(apcaContrast("#FFFFFF", "#FAFAFA")).toBe(0);
+    });
+  });
+
+  describe("auditScheme", () => {
+    const scheme = [
+      {
+        brightness: "light",
+        colors: [
+          ["primary", "#1976D2"],
+          ["onPrimary", "#FFFFFF"],
+          ["surface", "#FFFFFF"],
+          ["outline", "#BBBBBB"],
+          ["surfaceContainerLowest", "#FFFFFF"],
+        ],
+      },
+      {
+        brightness: "dark",
+        colors: [
+          ["primary", "#90CAF9"],
+          ["onPrimary", "#003258"],
+          ["surfaceContainerLowest", "#0F0F0F"],
+          ["onSurface", "#E6E0E9"],
+        ],
+      },
+    ];
+
+    it("should report the pairs of every brightness", () => {
+      const { results } = auditScheme(scheme);
+
+      expect(results).toContainEqual({
+        brightness: "light",
+        foreground: "onPrimary",
+        background: "primary",
+        usage: "text",
+        foregroundColor: "#FFFFFF",
+        backgroundColor: "#1976D2",
+        ratio: contrastRatio("#FFFFFF", "#1976D2"),
+        apca: apcaContrast("#FFFFFF", "#1976D2"),
+        aa: true,
+        aaa: false,
+      });
+      expect(
+        results.find(
+          (r) => r.brightness === "dark" && r.foreground === "onPrimary",
+        ),
+      ).toMatchObject({ aa: true, aaa: true });
+    });
+
+    it("should leave out pairs with tokens the scheme does not have", () => {
+      const { results } = auditScheme(scheme);
+
+      expect(results.map((r) => `${r.foreground}/${r.background}`)).toEqual([
+        "onPrimary/primary",
+        "primary/surface",
+        "onForm/form",
+        "outline/surface",
+        "onPrimary/primary",
+        "onSurface/surfaceContainerLowest",
+      ]);
+    });
+
+    it("should resolve the form colors of generateThemeCss", () => {
+      const { results } = auditScheme(scheme);
+      const form = results.find((r) => r.foreground === "onForm");
+
+      // Light form: light surfaceContainerLowest with dark surfaceContainerLowest
+      expect(form).toMatchObject({
+        brightness: "light",
+        foregroundColor: "#0F0F0F",
+        backgroundColor: "#FFFFFF",
+      });
+    });
+
+    it("should collect the failures of each level", () => {
+      const report = auditScheme(scheme);
+
+      expect(report.aa.passed).toBe(false);
+      expect(report.aa.failures).toEqual([
+        expect.objectContaining({ foreground: "outline", usage: "ui" }),
+      ]);
+      expect(report.aaa.passed).toBe(false);
+      expect(report.aaa.failures.map((r) => r.foreground)).toEqual([
+        "onPrimary",
+        "primary",
+        "outline",
+      ]);
+    });
+
+    it("should audit the given pairs", () => {
+      const report = auditScheme(scheme, {
+        pairs: [["onPrimary", "primary", "largeText"]],
+      });
+
+      expect(report.results).toHaveLength(2);
+      expect(report.aa.passed).toBe(true);
+      expect(report.aaa.passed).toBe(true);
+    });
+
+    it("should throw on an unknown usage", () => {
+      expect(() =>
+        auditScheme(scheme, { pairs: [["onPrimary", "primary", "icon"]] }),
+      ).toThrow("Unknown contrast usage: icon");
+    });
+
+    it("should pass AA for generated schemes", async () => {
+      for (const seedColor of ["#1976D2", "#66FF00", "#FFEB3B"]) {
+        const report = auditScheme(await generateScheme(seedColor, 0));
+
+        expect(report.results).toHaveLength(contrastPairs.length * 2);
+        expect(report.aa.failures).toEqual([]);
+      }
+    });
+
+    it("should pass AAA for high contrast schemes", async () => {
+      const report = auditScheme(await generateScheme("#1976D2", 1));
+
+      expect(report.aaa.failures).toEqual([]);
+    });
+  });
+
+  describe("wcagThresholds", () => {
+    it("should define the WCAG 2.x minimum ratios", () => {
+      expect(wcagThresholds).toEqual({
+        text: { aa: 4.5, aaa: 7 },
+        largeText: { aa: 3, aaa: 4.5 },
+        ui: { aa: 3, aaa: 3 },
+      });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import Dialog from "../../lib/Dialog.jsx";
+
+// The dialogs render with createRoot() outside of act()
+const button = (label) =>
+  vi.waitFor(() => {
+    const found = [...document.querySelectorAll("button")].find(
+      (element) => element.textContent === label,
+    );
+    if (!found) {
+      throw new Error(`No button ${label}`);
+    }
+    return found;
+  });
+
+describe("Dialog", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  describe("confirm", () => {
+    it("should resolve to true when confirmed", async () => {
+      const answer = Dialog.confirm({ headline: "Discard changes?" });
+
+      (await button("OK")).click();
+
+      await expect(answer).resolves.toBe(true);
+      expect(document.querySelector('[role="alertdialog"]')).toBeNull();
+    });
+
+    it("should resolve to false when cancelled or dismissed", async () => {
+      const cancelled = Dialog.confirm({ cancelLabel: "Keep" });
+      (await button("Keep")).click();
+      await expect(cancelled).resolves.toBe(false);
+
+      const dismissed = Dialog.confirm();
+      (await button("OK")).dispatchEvent(
+        new KeyboardEvent("keydown", { key: "Escape", bubbles: true }),
+      );
+      await expect(dismissed).resolves.toBe(false);
+    });
+  });
+
+  describe("alert", () => {
+    it("should resolve to undefined when closed", async () => {
+      const closed = Dialog.alert();
+
+      (await button("OK")).click();
+
+      await expect(closed).resolves.toBeUndefined();
+      expect(console.error).not.toHaveBeenCalled();
+    });
+  });
+});
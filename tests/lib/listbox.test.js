@@ -0,0 +1,115 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  filterOptions,
+  createTypeahead,
+  typeaheadIndex,
+  visibleRange,
+} from "../../lib/listbox.js";
+
+describe("listbox", () => {
+  describe("filterOptions", () => {
+    const options = [
+      { value: "jp", label: "Japan" },
+      { value: "jm", label: "Jamaica" },
+      { value: "pa", label: "Panama" },
+    ];
+
+    it("should keep the options containing the query ignoring case", () => {
+      expect(filterOptions(options, "PAN")).toEqual([options[0], options[2]]);
+      expect(filterOptions(options, " jam ")).toEqual([options[1]]);
+      expect(filterOptions(options, "x")).toEqual([]);
+    });
+
+    it("should keep all options for an empty query", () => {
+      expect(filterOptions(options, "")).toBe(options);
+      expect(filterOptions(options, "  ")).toBe(options);
+    });
+  });
+
+  describe("createTypeahead", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should join characters typed within the timeout", () => {
+      vi.useFakeTimers();
+      const typeahead = createTypeahead();
+
+      expect(typeahead("B")).toBe("b");
+      vi.advanceTimersByTime(300);
+      expect(typeahead("l")).toBe("bl");
+      vi.advanceTimersByTime(500);
+      expect(typeahead("c")).toBe("c");
+    });
+
+    it("should accept a custom timeout", () => {
+      vi.useFakeTimers();
+      const typeahead = createTypeahead(1000);
+
+      typeahead("a");
+      vi.advanceTimersByTime(800);
+      expect(typeahead("b")).toBe("ab");
+    });
+  });
+
+  describe("typeaheadIndex", () => {
+    const fruits = ["Apple", "Banana", "Blueberry", "Cherry"];
+
+    it("should cycle through the matches of a single character", () => {
+      expect(typeaheadIndex(fruits, "b", -1)).toBe(1);
+      expect(typeaheadIndex(fruits, "b", 1)).toBe(2);
+      expect(typeaheadIndex(fruits, "b", 2)).toBe(1);
+    });
+
+    it("should keep the current item for a longer text", () => {
+      expect(typeaheadIndex(fruits, "bl", 2)).toBe(2);
+      expect(typeaheadIndex(fruits, "ch", 0)).toBe(3);
+      expect(typeaheadIndex(fruits, "ap", -1)).toBe(0);
+    });
+
+    it("should return -1 without a match", () => {
+      expect(typeaheadIndex(fruits, "z", 0)).toBe(-1);
+      expect(typeaheadIndex([], "a", -1)).toBe(-1);
+    });
+  });
+
+  describe("visibleRange", () => {
+    it("should include the overscan around the visible items", () => {
+      expect(
+        visibleRange({
+          scrollTop: 4800,
+          height: 288,
+          itemHeight: 48,
+          count: 1000,
+        }),
+      ).toEqual({ start: 96, end: 110 });
+      expect(
+        visibleRange({
+          scrollTop: 4800,
+          height: 288,
+          itemHeight: 48,
+          count: 1000,
+          overscan: 0,
+        }),
+      ).toEqual({ start: 100, end: 106 });
+    });
+
+    it("should stay within the items", () => {
+      expect(
+        visibleRange({ scrollTop: 0, height: 288, itemHeight: 48, count: 3 }),
+      ).toEqual({ start: 0, end: 3 });
+      expect(
+        visibleRange({
+          scrollTop: 47760,
+          height: 288,
+          itemHeight: 48,
+          count: 1000,
+        }),
+      ).toEqual({ start: 991, end: 1000 });
+    });
+  });
+});
@@ -7,15 +7,33 @@ import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 // Mock the Material Color Utilities before importing the functions
 vi.mock("@material/material-color-utilities", () => ({
   argbFromHex: vi.fn(),
+  argbFromRgb: vi.fn(),
+  Blend: {
+    harmonize: vi.fn(),
+  },
   DynamicScheme: vi.fn(),
   Hct: {
     fromInt: vi.fn(),
   },
   hexFromArgb: vi.fn(),
+  QuantizerCelebi: {
+    quantize: vi.fn(),
+  },
+  Score: {
+    score: vi.fn(),
+  },
   TonalPalette: {
     fromHueAndChroma: vi.fn(),
+    fromInt: vi.fn(),
   },
   sanitizeDegreesDouble: vi.fn(),
+  SchemeContent: vi.fn(),
+  SchemeExpressive: vi.fn(),
+  SchemeFidelity: vi.fn(),
+  SchemeMonochrome: vi.fn(),
+  SchemeNeutral: vi.fn(),
+  SchemeTonalSpot: vi.fn(),
+  SchemeVibrant: vi.fn(),
 }));
 
 import {
@@ -24,18 +42,34 @@ import {
   generateThemeCss,
   convertToVariables,
   hslToHex,
+  schemeVariants,
+  contrastLevels,
+  paletteTones,
+  seedColorsFromImage,
 } from "../../lib/material-theme.js";
 
 // Import the mocked modules for setup
 import {
   argbFromHex,
+  argbFromRgb,
+  Blend,
   DynamicScheme,
   Hct,
   hexFromArgb,
+  QuantizerCelebi,
+  Score,
   TonalPalette,
   sanitizeDegreesDouble,
+  SchemeMonochrome,
+  SchemeVibrant,
 } from "@material/material-color-utilities";
 
+// Mock TonalPalette whose tones resolve to "<name>-<tone>"
+const mockPalette = (name) => ({
+  name,
+  tone: (tone) => `${name}-${tone}`,
+});
+
 describe("material-theme utilities", () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -47,6 +81,7 @@ describe("material-theme utilities", () => {
       hue: 210,
       chroma: 48,
       tone: 45,
+      toInt: () => 0xff1976d2,
     });
 
     hexFromArgb.mockImplementation((argb) => {
@@ -67,11 +102,15 @@ describe("material-theme utilities", () => {
     TonalPalette.fromHueAndChroma.mockReturnValue({
       tone: vi.fn().mockReturnValue(0xff000000),
     });
+    TonalPalette.fromInt.mockImplementation((argb) => ({
+      argb,
+      tone: () => argb,
+    }));
 
     sanitizeDegreesDouble.mockImplementation((degrees) => degrees % 360);
 
     // Mock DynamicScheme constructor
-    DynamicScheme.mockImplementation(() => ({
+    const mockDynamicScheme = () => ({
       primary: "primary",
       surfaceTint: "surfaceTint",
       onPrimary: "onPrimary",
@@ -121,7 +160,19 @@ describe("material-theme utilities", () => {
       surfaceContainer: "surfaceContainer",
       surfaceContainerHigh: "surfaceContainerHigh",
       surfaceContainerHighest: "surfaceContainerHighest",
+      primaryPalette: mockPalette("primary"),
+      secondaryPalette: mockPalette("secondary"),
+      tertiaryPalette: mockPalette("tertiary"),
+      neutralPalette: mockPalette("neutral"),
+      neutralVariantPalette: mockPalette("neutralVariant"),
+      errorPalette: mockPalette("error"),
+    });
+    DynamicScheme.mockImplementation((args) => ({
+      ...mockDynamicScheme(),
+      ...args,
     }));
+    SchemeVibrant.mockImplementation(mockDynamicScheme);
+    SchemeMonochrome.mockImplementation(mockDynamicScheme);
 
     // Mock console.log to avoid cluttering test output
     vi.spyOn(console, "log").mockImplementation(() => {});
@@ -183,6 +234,230 @@ describe("material-theme utilities", () => {
       // Should have the same structure for both themes
       expect(lightTheme.colors).toHaveLength(darkTheme.colors.length);
     });
+
+    it("should pass the seed color and a valid variant to the default scheme", async () => {
+      await generateScheme("#1976D2", 0);
+
+      expect(DynamicScheme).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sourceColorArgb: 0xff1976d2,
+          variant: 2, // Variant.TONAL_SPOT
+          contrastLevel: 0,
+          isDark: false,
+        }),
+      );
+    });
+
+    it("should use the scheme class of the requested variant", async () => {
+      const result = await generateScheme("#1976D2", 0.5, {
+        variant: "vibrant",
+      });
+
+      expect(DynamicScheme).not.toHaveBeenCalled();
+      expect(SchemeVibrant).toHaveBeenCalledTimes(2);
+      expect(SchemeVibrant).toHaveBeenCalledWith(
+        expect.objectContaining({ hue: 210 }),
+        false,
+        0.5,
+      );
+      expect(SchemeVibrant).toHaveBeenCalledWith(
+        expect.objectContaining({ hue: 210 }),
+        true,
+        0.5,
+      );
+      expect(result[0].colors).toHaveLength(49);
+      expect(result[1].colors).toHaveLength(49);
+    });
+
+    it("should produce the same tokens for every variant", async () => {
+      const defaultScheme = await generateScheme("#1976D2", 0);
+      const monochromeScheme = await generateScheme("#1976D2", 0, {
+        variant: "monochrome",
+      });
+
+      expect(SchemeMonochrome).toHaveBeenCalledTimes(2);
+      expect(monochromeScheme[0].colors.map(([key]) => key)).toEqual(
+        defaultScheme[0].colors.map(([key]) => key),
+      );
+    });
+
+    it("should not rebuild the scheme without palette overrides", async () => {
+      await generateScheme("#1976D2", 0, { palettes: { tertiary: "" } });
+
+      expect(DynamicScheme).toHaveBeenCalledTimes(2);
+      expect(TonalPalette.fromInt).not.toHaveBeenCalled();
+    });
+
+    it("should replace palettes with explicit source colors", async () => {
+      const base = {
+        sourceColorArgb: 0xff1976d2,
+        variant: 3,
+        contrastLevel: 0.2,
+        isDark: false,
+        primaryPalette: mockPalette("primaryPalette"),
+        secondaryPalette: mockPalette("secondaryPalette"),
+        tertiaryPalette: mockPalette("tertiaryPalette"),
+        neutralPalette: mockPalette("neutralPalette"),
+        neutralVariantPalette: mockPalette("neutralVariantPalette"),
+        errorPalette: mockPalette("errorPalette"),
+      };
+      SchemeVibrant.mockImplementation(() => base);
+      argbFromHex.mockImplementation((hex) => `argb:${hex}`);
+
+      const result = await generateScheme("#1976D2", 0.2, {
+        variant: "vibrant",
+        palettes: { tertiary: "#FFB300", error: "#C62828" },
+      });
+
+      expect(TonalPalette.fromInt).toHaveBeenCalledWith("argb:#FFB300");
+      expect(TonalPalette.fromInt).toHaveBeenCalledWith("argb:#C62828");
+      expect(DynamicScheme).toHaveBeenCalledTimes(2);
+      expect(DynamicScheme).toHaveBeenCalledWith({
+        sourceColorArgb: 0xff1976d2,
+        variant: 3,
+        contrastLevel: 0.2,
+        isDark: false,
+        primaryPalette: base.primaryPalette,
+        secondaryPalette: base.secondaryPalette,
+        tertiaryPalette: expect.objectContaining({ argb: "argb:#FFB300" }),
+        neutralPalette: base.neutralPalette,
+        neutralVariantPalette: base.neutralVariantPalette,
+      });
+      expect(result).toHaveLength(2);
+      expect(result[0]).toHaveProperty("brightness", "light");
+      expect(result[0].colors).toHaveLength(49);
+    });
+
+    it("should throw on an unknown palette name", async () => {
+      await expect(
+        generateScheme("#1976D2", 0, { palettes: { primary: "#FF0000" } }),
+      ).rejects.toThrow("Unknown palette: primary");
+    });
+
+    it("should add the tokens of custom colors to both themes", async () => {
+      const result = await generateScheme("#1976D2", 0, {
+        customColors: [
+          { name: "success", value: "#2E7D32" },
+          { name: "warning", value: "#F9A825" },
+        ],
+      });
+
+      expect(Blend.harmonize).not.toHaveBeenCalled();
+      expect(argbFromHex).toHaveBeenCalledWith("#2E7D32");
+      expect(argbFromHex).toHaveBeenCalledWith("#F9A825");
+      result.forEach(({ colors }) => {
+        expect(colors).toHaveLength(57);
+        expect(colors.slice(49).map(([key]) => key)).toEqual([
+          "success",
+          "onSuccess",
+          "successContainer",
+          "onSuccessContainer",
+          "warning",
+          "onWarning",
+          "warningContainer",
+          "onWarningContainer",
+        ]);
+      });
+    });
+
+    it("should harmonize custom colors toward the seed when blend is set", async () => {
+      argbFromHex.mockImplementation((hex) => `argb:${hex}`);
+      Blend.harmonize.mockReturnValue("harmonized");
+
+      await generateScheme("#1976D2", 0.5, {
+        customColors: [{ name: "success", value: "#2E7D32", blend: true }],
+      });
+
+      expect(Blend.harmonize).toHaveBeenCalledWith("argb:#2E7D32", 0xff1976d2);
+      expect(TonalPalette.fromInt).toHaveBeenCalledWith("harmonized");
+      expect(DynamicScheme).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sourceColorArgb: "harmonized",
+          primaryPalette: expect.objectContaining({ argb: "harmonized" }),
+          contrastLevel: 0.5,
+          isDark: true,
+        }),
+      );
+    });
+
+    it("should convert custom color tokens to CSS variables", async () => {
+      const result = await generateScheme("#1976D2", 0, {
+        customColors: [{ name: "success", value: "#2E7D32" }],
+      });
+      const names = convertToVariables(result).map(([name]) => name);
+
+      expect(names).toContain("--color-light-success");
+      expect(names).toContain("--color-light-on-success-container");
+      expect(names).toContain("--color-dark-success-container");
+    });
+
+    it("should throw on an invalid custom color name", async () => {
+      await expect(
+        generateScheme("#1976D2", 0, {
+          customColors: [{ name: "brand-accent", value: "#FF0000" }],
+        }),
+      ).rejects.toThrow("Invalid custom color name: brand-accent");
+      await expect(
+        generateScheme("#1976D2", 0, { customColors: [{ value: "#FF0000" }] }),
+      ).rejects.toThrow("Invalid custom color name: undefined");
+    });
+
+    it("should include the tonal palettes in both themes", async () => {
+      hexFromArgb.mockImplementation((argb) => `hex:${argb}`);
+
+      const result = await generateScheme("#1976D2", 0, { variant: "vibrant" });
+
+      result.forEach((theme) => {
+        expect(Object.keys(theme.palettes)).toEqual([
+          "primary",
+          "secondary",
+          "tertiary",
+          "neutral",
+          "neutralVariant",
+          "error",
+        ]);
+        expect(Object.keys(theme.palettes.primary)).toEqual(
+          paletteTones.map(String),
+        );
+      });
+      expect(result[0].palettes.primary[40]).toBe("hex:primary-40");
+      expect(result[0].palettes.neutralVariant[94]).toBe(
+        "hex:neutralVariant-94",
+      );
+      expect(result[1].palettes.error[100]).toBe("hex:error-100");
+    });
+
+    it("should take the tonal palettes from the overridden palettes", async () => {
+      hexFromArgb.mockImplementation((argb) => `hex:${argb}`);
+      argbFromHex.mockImplementation((hex) => `argb:${hex}`);
+
+      const result = await generateScheme("#1976D2", 0, {
+        palettes: { error: "#C62828" },
+      });
+
+      expect(result[0].palettes.error[40]).toBe("hex:argb:#C62828");
+    });
+
+    it("should throw on an unknown variant", async () => {
+      await expect(
+        generateScheme("#1976D2", 0, { variant: "rainbow" }),
+      ).rejects.toThrow("Unknown scheme variant: rainbow");
+    });
+  });
+
+  describe("schemeVariants", () => {
+    it("should list the default and the standard variants", () => {
+      expect(schemeVariants).toEqual([
+        "default",
+        "tonalSpot",
+        "vibrant",
+        "expressive",
+        "fidelity",
+        "content",
+        "monochrome",
+        "neutral",
+      ]);
+    });
   });
 
   describe("applyColorScheme", () => {
@@ -293,6 +568,76 @@ describe("material-theme utilities", () => {
 
       expect(mockDocumentElement.style.setProperty).not.toHaveBeenCalled();
     });
+
+    describe("scoped to an element", () => {
+      const scheme = [
+        { brightness: "light", colors: [["primary", "#1976D2"]] },
+      ];
+      let style;
+      let element;
+
+      beforeEach(() => {
+        // Minimal CSSStyleDeclaration keeping the custom properties
+        style = new Map([["--color-light-primary", "#415F91"]]);
+        element = {
+          style: {
+            getPropertyValue: vi.fn((name) => style.get(name) ?? ""),
+            setProperty: vi.fn((name, value) => style.set(name, value)),
+            removeProperty: vi.fn((name) => style.delete(name)),
+          },
+        };
+      });
+
+      it("should set the variables on the element only", () => {
+        applyColorScheme(scheme, element);
+
+        expect(style.get("--color-light-primary")).toBe("#1976D2");
+        expect(mockDocumentElement.style.setProperty).not.toHaveBeenCalled();
+      });
+
+      it("should redeclare the link and form variables on the element", () => {
+        applyColorScheme(scheme, element);
+
+        expect(style.get("--color-light-form")).toBe(
+          "var(--color-light-surface-container-lowest)",
+        );
+        expect(style.get("--color-dark-on-form")).toBe(
+          "var(--color-dark-on-surface)",
+        );
+      });
+
+      it("should restore the previous values on cleanup", () => {
+        const cleanup = applyColorScheme(scheme, element);
+        cleanup();
+
+        expect(Object.fromEntries(style)).toEqual({
+          "--color-light-primary": "#415F91",
+        });
+        expect(element.style.removeProperty).toHaveBeenCalledWith(
+          "--color-light-form",
+        );
+      });
+
+      it("should set nothing for an empty scheme", () => {
+        applyColorScheme([], element)();
+
+        expect(element.style.setProperty).not.toHaveBeenCalled();
+        expect(element.style.removeProperty).not.toHaveBeenCalled();
+      });
+    });
+
+    it("should return a cleanup for the document element", () => {
+      mockDocumentElement.style.removeProperty = vi.fn();
+
+      applyColorScheme([
+        { brightness: "dark", colors: [["primary", "#90CAF9"]] },
+      ])();
+
+      expect(mockDocumentElement.style.setProperty).toHaveBeenCalledTimes(1);
+      expect(mockDocumentElement.style.removeProperty).toHaveBeenCalledWith(
+        "--color-dark-primary",
+      );
+    });
   });
 
   describe("generateThemeCss", () => {
@@ -383,6 +728,184 @@ describe("material-theme utilities", () => {
       expect(result2).toContain("Contrast    : 0.12");
       expect(result3).toContain("Contrast    : -0.50");
     });
+
+    it("should not emit contrast sets without contrast schemes", () => {
+      const result = generateThemeCss(
+        [{ brightness: "light", colors: [["primary", "#1976D2"]] }],
+        "#1976D2",
+        0,
+      );
+
+      expect(result).not.toContain("prefers-contrast");
+      expect(result).not.toContain(".contrast-medium");
+      expect(result).not.toContain(".contrast-high");
+    });
+
+    it("should emit medium and high contrast sets", () => {
+      const scheme = (primary) => [
+        { brightness: "light", colors: [["primary", primary]] },
+        { brightness: "dark", colors: [["onPrimary", primary]] },
+      ];
+
+      const result = generateThemeCss(scheme("#1976D2"), "#1976D2", 0, {
+        contrastSchemes: {
+          medium: scheme("#0D47A1"),
+          high: scheme("#002C57"),
+        },
+      });
+
+      // Standard set stays in the @theme block for Tailwind
+      expect(result).toMatch(
+        /@theme \{\n {2}--color-light-primary: #1976D2;\n {2}--color-dark-on-primary: #1976D2;\n/,
+      );
+      expect(result).toContain(`@media (prefers-contrast: more) {
+  :root {
+    --color-light-primary: #002C57;
+    --color-dark-on-primary: #002C57;
+  }
+}`);
+      expect(result).toContain(`/* Medium contrast (0.50) */
+:root.contrast-medium {
+  --color-light-primary: #0D47A1;
+  --color-dark-on-primary: #0D47A1;
+}`);
+      expect(result).toContain(`/* High contrast (1.00) */
+:root.contrast-high {
+  --color-light-primary: #002C57;
+  --color-dark-on-primary: #002C57;
+}`);
+      // Explicit classes come after the media query to take precedence
+      expect(result.indexOf(":root.contrast-high")).toBeGreaterThan(
+        result.indexOf("prefers-contrast"),
+      );
+    });
+
+    it("should emit only the given contrast sets", () => {
+      const result = generateThemeCss(
+        [{ brightness: "light", colors: [["primary", "#1976D2"]] }],
+        "#1976D2",
+        0,
+        {
+          contrastSchemes: {
+            medium: [{ brightness: "light", colors: [["primary", "#0D47A1"]] }],
+          },
+        },
+      );
+
+      expect(result).toContain(":root.contrast-medium {");
+      expect(result).not.toContain("prefers-contrast");
+      expect(result).not.toContain(".contrast-high");
+    });
+
+    it("should emit tonal palettes as Tailwind tokens", () => {
+      const scheme = [
+        {
+          brightness: "light",
+          colors: [["primary", "#415F91"]],
+          palettes: {
+            primary: { 0: "#000000", 40: "#415F91", 100: "#FFFFFF" },
+            neutralVariant: { 90: "#E0E2EC" },
+          },
+        },
+        { brightness: "dark", colors: [["primary", "#AAC7FF"]] },
+      ];
+
+      const result = generateThemeCss(scheme, "#1976D2", 0, {
+        tonalPalettes: true,
+      });
+
+      expect(result).toContain(`  --color-dark-primary: #AAC7FF;
+
+  --color-palette-primary-0: #000000;
+  --color-palette-primary-40: #415F91;
+  --color-palette-primary-100: #FFFFFF;
+  --color-palette-neutral-variant-90: #E0E2EC;
+
+  --color-light-link: var(--color-blue-700);`);
+      expect(generateThemeCss(scheme, "#1976D2", 0)).not.toContain(
+        "--color-palette-primary-40",
+      );
+    });
+
+    it("should emit no tonal palettes for schemes without them", () => {
+      const scheme = [
+        { brightness: "light", colors: [["primary", "#415F91"]] },
+      ];
+
+      const result = generateThemeCss(scheme, "#1976D2", 0, {
+        tonalPalettes: true,
+      });
+
+      expect(result).toContain(`  --color-light-primary: #415F91;
+
+  --color-light-link`);
+    });
+  });
+
+  describe("seedColorsFromImage", () => {
+    // Two opaque pixels and one transparent pixel
+    const rgba = [200, 30, 30, 255, 30, 60, 200, 255, 0, 0, 0, 0];
+
+    beforeEach(() => {
+      argbFromRgb.mockImplementation((r, g, b) => `rgb(${r},${g},${b})`);
+      QuantizerCelebi.quantize.mockReturnValue("quantized");
+      Score.score.mockReturnValue(["first", "second"]);
+      hexFromArgb.mockImplementation((argb) => `hex:${argb}`);
+    });
+
+    it("should quantize the opaque pixels and rank the colors", async () => {
+      const result = await seedColorsFromImage(new Uint8ClampedArray(rgba));
+
+      expect(QuantizerCelebi.quantize).toHaveBeenCalledWith(
+        ["rgb(200,30,30)", "rgb(30,60,200)"],
+        128,
+      );
+      expect(Score.score).toHaveBeenCalledWith("quantized", {
+        desired: 4,
+        filter: true,
+      });
+      expect(result).toEqual(["hex:first", "hex:second"]);
+    });
+
+    it("should accept ImageData, decoded buffers and decoder results", async () => {
+      const bytes = new Uint8ClampedArray(rgba);
+
+      await seedColorsFromImage({ data: bytes, width: 3, height: 1 });
+      await seedColorsFromImage(bytes.buffer);
+      await seedColorsFromImage(new Uint8Array(rgba));
+
+      expect(QuantizerCelebi.quantize).toHaveBeenCalledTimes(3);
+      QuantizerCelebi.quantize.mock.calls.forEach(([pixels]) => {
+        expect(pixels).toEqual(["rgb(200,30,30)", "rgb(30,60,200)"]);
+      });
+    });
+
+    it("should pass the ranking options to Score", async () => {
+      await seedColorsFromImage(new Uint8Array(rgba), {
+        count: 6,
+        filter: false,
+      });
+
+      expect(Score.score).toHaveBeenCalledWith("quantized", {
+        desired: 6,
+        filter: false,
+      });
+    });
+  });
+
+  describe("paletteTones", () => {
+    it("should list the tones from 0 to 100 used by the color roles", () => {
+      expect(paletteTones).toEqual([
+        0, 4, 6, 10, 12, 17, 20, 22, 24, 30, 40, 50, 60, 70, 80, 87, 90, 92, 94,
+        95, 96, 98, 99, 100,
+      ]);
+    });
+  });
+
+  describe("contrastLevels", () => {
+    it("should define the standard Material Design 3 contrast levels", () => {
+      expect(contrastLevels).toEqual({ standard: 0, medium: 0.5, high: 1 });
+    });
   });
 
   describe("convertToVariables", () => {
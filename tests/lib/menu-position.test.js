@@ -0,0 +1,104 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from "vitest";
+import { placeMenu } from "../../lib/menu-position.js";
+
+const viewport = { width: 400, height: 800 };
+const size = { width: 200, height: 144 };
+
+describe("menu-position", () => {
+  describe("placeMenu", () => {
+    it("should open below the anchor at its start or end", () => {
+      const anchor = { top: 100, right: 140, bottom: 140, left: 100 };
+
+      expect(placeMenu(anchor, size, { viewport })).toEqual({
+        top: 140,
+        left: 100,
+      });
+      expect(
+        placeMenu({ ...anchor, right: 392, left: 352 }, size, {
+          viewport,
+          align: "end",
+        }),
+      ).toEqual({ top: 140, left: 192 });
+    });
+
+    it("should flip above the anchor near the bottom", () => {
+      const anchor = { top: 700, right: 140, bottom: 740, left: 100 };
+
+      expect(placeMenu(anchor, size, { viewport })).toEqual({
+        top: 556,
+        left: 100,
+      });
+    });
+
+    it("should open above the anchor and flip below near the top", () => {
+      const anchor = { top: 300, right: 140, bottom: 340, left: 100 };
+
+      expect(placeMenu(anchor, size, { viewport, side: "top" })).toEqual({
+        top: 156,
+        left: 100,
+      });
+      expect(
+        placeMenu({ ...anchor, top: 40, bottom: 80 }, size, {
+          viewport,
+          side: "top",
+        }),
+      ).toEqual({ top: 80, left: 100 });
+    });
+
+    it("should center on the anchor and shift at the edges", () => {
+      const anchor = { top: 100, right: 220, bottom: 140, left: 180 };
+
+      expect(placeMenu(anchor, size, { viewport, align: "center" })).toEqual({
+        top: 140,
+        left: 100,
+      });
+      expect(
+        placeMenu({ ...anchor, right: 40, left: 0 }, size, {
+          viewport,
+          side: "top",
+          align: "center",
+        }),
+      ).toEqual({ top: 140, left: 8 });
+    });
+
+    it("should open beside a submenu item and flip to the left", () => {
+      const item = { top: 200, right: 180, bottom: 248, left: 20 };
+
+      expect(placeMenu(item, size, { viewport, side: "right" })).toEqual({
+        top: 200,
+        left: 180,
+      });
+      expect(
+        placeMenu({ ...item, right: 380, left: 220 }, size, {
+          viewport,
+          side: "right",
+        }),
+      ).toEqual({ top: 200, left: 20 });
+    });
+
+    it("should shift into the viewport where flipping does not help", () => {
+      // Context menu at a point near the right edge of a short viewport
+      const point = { top: 50, right: 390, bottom: 50, left: 390 };
+      const short = { width: 400, height: 180 };
+
+      expect(placeMenu(point, size, { viewport: short })).toEqual({
+        top: 28,
+        left: 192,
+      });
+      expect(
+        placeMenu(
+          point,
+          { width: 500, height: 300 },
+          {
+            viewport: short,
+            margin: 4,
+          },
+        ),
+      ).toEqual({ top: 4, left: 4 });
+    });
+  });
+});
@@ -0,0 +1,351 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { act, createElement } from "react";
+import { createRoot } from "react-dom/client";
+import {
+  createCookieAdapter,
+  createPreferencesStore,
+  defaultPreferences,
+  preferencesStorageKey,
+  preferencesVersion,
+  usePreferences,
+} from "../../lib/preferences.js";
+
+const record = (preferences, version = preferencesVersion) =>
+  JSON.stringify({ version, preferences });
+
+describe("preferences", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  describe("createPreferencesStore", () => {
+    it("should start with the defaults", async () => {
+      const store = createPreferencesStore();
+
+      await store.ready;
+
+      expect(store.get()).toEqual(defaultPreferences);
+    });
+
+    it("should load and persist a versioned record", () => {
+      localStorage.setItem(
+        preferencesStorageKey,
+        record({ seedColor: "#1976D2", darkMode: "dark", unknown: 1 }),
+      );
+      const store = createPreferencesStore();
+
+      expect(store.get()).toEqual({
+        ...defaultPreferences,
+        seedColor: "#1976D2",
+        darkMode: "dark",
+      });
+
+      store.set({ contrast: 0.5 });
+
+      expect(JSON.parse(localStorage.getItem(preferencesStorageKey))).toEqual({
+        version: preferencesVersion,
+        preferences: {
+          ...defaultPreferences,
+          seedColor: "#1976D2",
+          contrast: 0.5,
+          darkMode: "dark",
+        },
+      });
+    });
+
+    it("should notify listeners of changes only", () => {
+      const store = createPreferencesStore();
+      const listener = vi.fn();
+      const unsubscribe = store.subscribe(listener);
+
+      store.set({ language: "ja" });
+      store.set({ language: "ja" });
+      const snapshot = store.get();
+      unsubscribe();
+      store.set({ language: "en" });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(snapshot);
+      expect(snapshot.language).toBe("ja");
+    });
+
+    it("should reset to the defaults and remove the record", () => {
+      const store = createPreferencesStore();
+      store.set({ variant: "vibrant" });
+
+      store.reset();
+
+      expect(store.get()).toEqual(defaultPreferences);
+      expect(localStorage.getItem(preferencesStorageKey)).toBeNull();
+    });
+
+    it("should migrate older records version by version", () => {
+      localStorage.setItem("app", record({ compact: true }, 1));
+      const migrations = {
+        2: ({ compact, ...rest }) => ({ ...rest, density: compact ? -1 : 0 }),
+        3: (data) => ({ ...data, density: data.density * 2 }),
+      };
+
+      const store = createPreferencesStore({
+        key: "app",
+        defaults: { ...defaultPreferences, density: 0 },
+        version: 3,
+        migrations,
+      });
+
+      expect(store.get().density).toBe(-2);
+    });
+
+    it("should ignore newer and broken records", () => {
+      localStorage.setItem(
+        preferencesStorageKey,
+        record({ darkMode: "dark" }, preferencesVersion + 1),
+      );
+      expect(createPreferencesStore().get()).toEqual(defaultPreferences);
+
+      localStorage.setItem(preferencesStorageKey, "{ broken");
+      expect(createPreferencesStore().get()).toEqual(defaultPreferences);
+
+      localStorage.setItem(preferencesStorageKey, "null");
+      expect(createPreferencesStore().get()).toEqual(defaultPreferences);
+    });
+
+    it("should read the keys used before the versioned record", () => {
+      localStorage.setItem("xuan-paper-theme-mode", "dark");
+      localStorage.setItem("xuan-paper-language", "ja");
+
+      const store = createPreferencesStore();
+
+      expect(store.get()).toEqual({
+        ...defaultPreferences,
+        darkMode: "dark",
+        language: "ja",
+      });
+      expect(createPreferencesStore({ key: "other" }).get().darkMode).toBe(
+        "system",
+      );
+    });
+
+    it("should use sessionStorage", () => {
+      const store = createPreferencesStore({ storage: "session" });
+
+      store.set({ darkMode: "light" });
+
+      expect(sessionStorage.getItem(preferencesStorageKey)).toBe(
+        record({ ...defaultPreferences, darkMode: "light" }),
+      );
+      expect(localStorage.getItem(preferencesStorageKey)).toBeNull();
+    });
+
+    it("should wait for an async adapter", async () => {
+      const adapter = {
+        getItem: vi.fn().mockResolvedValue(record({ contrast: 1 })),
+        setItem: vi.fn().mockResolvedValue(),
+        removeItem: vi.fn().mockResolvedValue(),
+      };
+      const store = createPreferencesStore({ storage: adapter });
+      const listener = vi.fn();
+      store.subscribe(listener);
+
+      expect(store.get().contrast).toBe(0);
+      await store.ready;
+
+      expect(store.get().contrast).toBe(1);
+      expect(listener).toHaveBeenCalledTimes(1);
+      await store.set({ contrast: 0.5 });
+      expect(adapter.setItem).toHaveBeenCalledWith(
+        preferencesStorageKey,
+        record({ ...defaultPreferences, contrast: 0.5 }),
+      );
+    });
+
+    it("should keep changes made before an async adapter has loaded", async () => {
+      const store = createPreferencesStore({
+        storage: {
+          getItem: async () => record({ contrast: 1 }),
+          setItem: () => {},
+          removeItem: () => {},
+        },
+      });
+
+      store.set({ contrast: -1 });
+      await store.ready;
+
+      expect(store.get().contrast).toBe(-1);
+    });
+
+    it("should reject ready when an async adapter fails", async () => {
+      const store = createPreferencesStore({
+        storage: {
+          getItem: () => Promise.reject(new Error("offline")),
+          setItem: () => {},
+          removeItem: () => {},
+        },
+      });
+
+      await expect(store.ready).rejects.toThrow("offline");
+      expect(store.get()).toEqual(defaultPreferences);
+    });
+
+    it("should stay usable when nothing awaits a failing adapter", async () => {
+      const adapter = {
+        getItem: () => Promise.reject(new Error("offline")),
+        setItem: vi.fn(),
+        removeItem: () => {},
+      };
+      const store = createPreferencesStore({ storage: adapter });
+
+      await store.set({ darkMode: "dark" });
+
+      expect(store.get()).toEqual({ ...defaultPreferences, darkMode: "dark" });
+      expect(adapter.setItem).toHaveBeenCalledWith(
+        preferencesStorageKey,
+        record({ ...defaultPreferences, darkMode: "dark" }),
+      );
+    });
+
+    it("should throw on an unknown storage", () => {
+      expect(() => createPreferencesStore({ storage: "indexedDB" })).toThrow(
+        "Unknown preferences storage: indexedDB",
+      );
+    });
+  });
+
+  describe("storage event sync", () => {
+    const dispatch = (key, newValue, storageArea = localStorage) =>
+      window.dispatchEvent(
+        new StorageEvent("storage", { key, newValue, storageArea }),
+      );
+
+    it("should follow changes made in other tabs", () => {
+      const store = createPreferencesStore();
+      const listener = vi.fn();
+      store.subscribe(listener);
+
+      dispatch(preferencesStorageKey, record({ darkMode: "dark" }));
+      dispatch("other", record({ darkMode: "light" }));
+      dispatch(
+        preferencesStorageKey,
+        record({ darkMode: "light" }),
+        sessionStorage,
+      );
+
+      expect(store.get().darkMode).toBe("dark");
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      // Cleared storage
+      dispatch(null, null);
+      expect(store.get()).toEqual(defaultPreferences);
+    });
+
+    it("should not follow other tabs after destroy or without sync", () => {
+      const store = createPreferencesStore();
+      const unsynced = createPreferencesStore({ sync: false });
+      const listener = vi.fn();
+      store.subscribe(listener);
+
+      store.destroy();
+      dispatch(preferencesStorageKey, record({ darkMode: "dark" }));
+
+      expect(store.get().darkMode).toBe("system");
+      expect(unsynced.get().darkMode).toBe("system");
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createCookieAdapter", () => {
+    it("should store the record in a cookie", () => {
+      const store = createPreferencesStore({ storage: "cookie" });
+
+      store.set({ seedColor: "#1976D2" });
+
+      expect(
+        createPreferencesStore({ storage: "cookie" }).get().seedColor,
+      ).toBe("#1976D2");
+      expect(document.cookie).toContain(`${preferencesStorageKey}=`);
+
+      store.reset();
+      expect(document.cookie).not.toContain(`${preferencesStorageKey}=`);
+    });
+
+    it("should write the cookie attributes", () => {
+      const setter = vi.spyOn(document, "cookie", "set");
+      const adapter = createCookieAdapter({
+        maxAge: 60,
+        path: "/app",
+        sameSite: "Strict",
+        secure: true,
+      });
+
+      adapter.setItem("key", "a b");
+
+      expect(setter).toHaveBeenCalledWith(
+        "key=a%20b; Path=/app; Max-Age=60; SameSite=Strict; Secure",
+      );
+      expect(adapter.getItem("missing")).toBeNull();
+      setter.mockRestore();
+    });
+
+    it("should read a Cookie header and ignore writes", async () => {
+      const cookieHeader = `other=1; ${preferencesStorageKey}=${encodeURIComponent(
+        record({ darkMode: "dark" }),
+      )}`;
+      const store = createPreferencesStore({
+        storage: createCookieAdapter({ cookieHeader }),
+        sync: false,
+      });
+
+      await store.ready;
+      await store.set({ contrast: 1 });
+
+      expect(store.get().darkMode).toBe("dark");
+      expect(document.cookie).not.toContain(preferencesStorageKey);
+    });
+  });
+
+  describe("getServerSnapshot", () => {
+    it("should keep the defaults for storages servers cannot read", () => {
+      localStorage.setItem(preferencesStorageKey, record({ darkMode: "dark" }));
+      const local = createPreferencesStore({ sync: false });
+      const cookie = createPreferencesStore({
+        storage: createCookieAdapter({
+          cookieHeader: `${preferencesStorageKey}=${encodeURIComponent(
+            record({ darkMode: "dark" }),
+          )}`,
+        }),
+      });
+
+      expect(local.get().darkMode).toBe("dark");
+      expect(local.getServerSnapshot()).toEqual(defaultPreferences);
+      expect(cookie.getServerSnapshot().darkMode).toBe("dark");
+    });
+  });
+
+  describe("usePreferences", () => {
+    it("should re-render on changes of the store", () => {
+      globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+      const store = createPreferencesStore({ storage: "session" });
+      let result;
+      const Probe = () => {
+        result = usePreferences(store);
+        return null;
+      };
+      const root = createRoot(document.createElement("div"));
+
+      act(() => root.render(createElement(Probe)));
+      expect(result[0].darkMode).toBe("system");
+
+      act(() => {
+        result[1]({ darkMode: "dark" });
+      });
+      expect(result[0].darkMode).toBe("dark");
+
+      act(() => root.unmount());
+    });
+  });
+});
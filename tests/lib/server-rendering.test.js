@@ -0,0 +1,152 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from "vitest";
+import { createElement } from "react";
+import { renderToString } from "react-dom/server";
+import * as xuanPaper from "../../index.js";
+
+const icon = createElement("svg", { "aria-hidden": true });
+const items = [
+  { icon, label: "Home", value: "home", active: true },
+  { icon, label: "Settings", value: "settings" },
+];
+
+// Minimal props of every exported component
+const componentProps = {
+  AppBar: {
+    appName: "App",
+    prefix: [createElement("svg", { key: "menu" })],
+    suffix: [createElement("svg", { key: "more" })],
+  },
+  Button: { label: "Save", icon },
+  ButtonGroup: { name: "group", value: "home", items },
+  Card: {
+    media: icon,
+    avatar: icon,
+    headline: "Kyoto",
+    subhead: "Japan",
+    children: "Temples",
+    actions: [{ label: "Share" }],
+    onClick: () => {},
+    draggable: true,
+    onDrop: () => {},
+  },
+  CheckBox: { value: true },
+  Chip: { type: "input", label: "Ada", onRemove: () => {} },
+  ChipSet: {
+    type: "filter",
+    value: ["home"],
+    multiSelect: true,
+    items: [
+      { icon, value: "home", label: "Home" },
+      { value: "settings", label: "Settings", disabled: true },
+    ],
+  },
+  CircularProgress: { value: 0.4, label: "Uploading" },
+  ColorModeIcon: { mode: "system" },
+  ColorModeSelector: { labels: { system: "System" } },
+  Dialog: {
+    open: true,
+    headline: "Delete?",
+    children: "The draft will be removed.",
+    actions: [{ label: "Cancel" }, { label: "Delete" }],
+  },
+  Fab: { icon, label: "Add", items },
+  LinearProgress: { value: 0.4, buffer: 0.6, label: "Playback" },
+  List: {
+    selectable: true,
+    multiSelect: true,
+    value: ["home"],
+    items: [
+      { value: "home", headline: "Home", control: "checkbox" },
+      { value: "settings", headline: "Settings", disabled: true },
+    ],
+  },
+  ListItem: {
+    leading: icon,
+    overline: "Overline",
+    headline: "Wi-Fi",
+    supportingText: "Connected",
+    trailingText: "Now",
+    control: "switch",
+    checked: true,
+  },
+  Menu: {
+    items: [{ label: "Share", items: [{ label: "Mail" }] }, {}],
+    children: createElement("button", null, "More"),
+  },
+  NavigationBar: { items },
+  NavigationDrawer: { items, open: true },
+  NavigationRail: { items },
+  PasswordField: { value: "secret", width: "w-64", fontFamily: "font-sans" },
+  PWABadge: {
+    useRegisterSW: () => ({
+      offlineReady: [true, () => {}],
+      needRefresh: [false, () => {}],
+      updateServiceWorker: () => {},
+    }),
+  },
+  RadioGroup: { name: "radio", value: "home", items },
+  Select: {
+    label: "Size",
+    value: ["s"],
+    options: [
+      { value: "s", label: "Small" },
+      { value: "m", label: "Medium", disabled: true },
+    ],
+    multiple: true,
+  },
+  Slider: { value: 2, count: 5 },
+  Snackbar: { message: "Saved", action: { label: "Undo", onClick: () => {} } },
+  SnackbarProvider: { children: "content" },
+  Switch: { value: false },
+  TabPanels: { id: "tabs", index: 1, children: ["one", "two"] },
+  Tabs: {
+    id: "tabs",
+    items: [
+      { icon, label: "One", badge: 3 },
+      { label: "Two", active: true, badge: true },
+    ],
+  },
+  TextField: { value: "text", width: "w-64", fontFamily: "font-sans" },
+  ThemeProvider: { seedColor: "#1976D2", children: "content" },
+  ToggleDarkModeButton: {},
+  ToggleLanguageButton: {
+    langs: { en: { label: "English" }, ja: { label: "日本語" } },
+    lang: "en",
+    setLang: () => {},
+  },
+  Tooltip: {
+    title: "Sync",
+    text: "Saved on this device",
+    actions: [{ label: "Learn more" }],
+    children: createElement("button", null, "Sync"),
+  },
+};
+
+describe("server rendering", () => {
+  it("should list the props of every exported component", () => {
+    const components = Object.keys(xuanPaper).filter((name) =>
+      /^[A-Z]/.test(name),
+    );
+
+    expect(Object.keys(componentProps).sort()).toEqual(components.sort());
+  });
+
+  it("should have no browser globals in this environment", () => {
+    expect(typeof window).toBe("undefined");
+    expect(typeof document).toBe("undefined");
+  });
+
+  it.each(Object.entries(componentProps))(
+    "should render %s with react-dom/server",
+    (name, props) => {
+      const html = renderToString(createElement(xuanPaper[name], props));
+
+      expect(html).not.toBe("");
+      expect(console.error).not.toHaveBeenCalled();
+    },
+  );
+});
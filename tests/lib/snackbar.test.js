@@ -0,0 +1,149 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { act, createElement } from "react";
+import { createRoot } from "react-dom/client";
+import { useSnackbar } from "../../lib/snackbar.js";
+import SnackbarProvider from "../../lib/SnackbarProvider.jsx";
+
+/**
+ * Renders a SnackbarProvider with a component using useSnackbar().
+ * @param {object} props - Provider props
+ * @returns {Array} [queue, container, root]
+ */
+const renderSnackbar = (props = {}) => {
+  let queue;
+  const Probe = () => {
+    queue = useSnackbar();
+    return null;
+  };
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  act(() =>
+    root.render(createElement(SnackbarProvider, props, createElement(Probe))),
+  );
+  return [queue, container, root];
+};
+
+const region = (container) => container.querySelector('[role="status"]');
+
+describe("snackbar", () => {
+  beforeEach(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.innerHTML = "";
+  });
+
+  it("should show the messages one at a time in a live region", () => {
+    const [queue, container, root] = renderSnackbar();
+
+    expect(region(container).getAttribute("aria-live")).toBe("polite");
+    expect(region(container).textContent).toBe("");
+
+    act(() => {
+      queue.enqueue({ message: "First" });
+      queue.enqueue({ message: "Second", duration: 1000 });
+    });
+    expect(region(container).textContent).toBe("First");
+
+    act(() => vi.advanceTimersByTime(3999));
+    expect(region(container).textContent).toBe("First");
+    act(() => vi.advanceTimersByTime(1));
+    expect(region(container).textContent).toBe("Second");
+    act(() => vi.advanceTimersByTime(1000));
+    expect(region(container).textContent).toBe("");
+    act(() => root.unmount());
+  });
+
+  it("should pause the timer on hover and focus", () => {
+    const [queue, container, root] = renderSnackbar({ duration: 1000 });
+    act(() => {
+      queue.enqueue({
+        message: "Saved",
+        action: { label: "Undo", onClick: () => {} },
+      });
+    });
+    const snackbar = region(container).firstChild;
+
+    act(() => vi.advanceTimersByTime(600));
+    act(() => {
+      snackbar.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+    });
+    act(() => vi.advanceTimersByTime(5000));
+    expect(region(container).textContent).toContain("Saved");
+
+    act(() => {
+      snackbar.dispatchEvent(
+        new MouseEvent("mouseout", {
+          bubbles: true,
+          relatedTarget: document.body,
+        }),
+      );
+    });
+    act(() => snackbar.querySelector("button").focus());
+    act(() => vi.advanceTimersByTime(5000));
+    expect(region(container).textContent).toContain("Saved");
+
+    act(() => snackbar.querySelector("button").blur());
+    act(() => vi.advanceTimersByTime(399));
+    expect(region(container).textContent).toContain("Saved");
+    act(() => vi.advanceTimersByTime(1));
+    expect(region(container).textContent).toBe("");
+    act(() => root.unmount());
+  });
+
+  it("should close after the action and with the close button", () => {
+    const onClick = vi.fn();
+    const [queue, container, root] = renderSnackbar({ closeLabel: "Dismiss" });
+    act(() => {
+      queue.enqueue({ message: "Deleted", action: { label: "Undo", onClick } });
+      queue.enqueue({ message: "Offline", duration: Infinity, closable: true });
+    });
+
+    act(() => region(container).querySelector("button").click());
+    expect(onClick).toHaveBeenCalled();
+    expect(region(container).textContent).toBe("Offline");
+
+    act(() => vi.advanceTimersByTime(60000));
+    act(() =>
+      region(container).querySelector('[aria-label="Dismiss"]').click(),
+    );
+    expect(region(container).textContent).toBe("");
+    act(() => root.unmount());
+  });
+
+  it("should remove messages that have not been shown", () => {
+    const [queue, container, root] = renderSnackbar();
+    let id;
+    act(() => {
+      queue.enqueue({ message: "First" });
+      id = queue.enqueue({ message: "Second" });
+      queue.enqueue({ message: "Third" });
+    });
+
+    act(() => queue.dismiss(id));
+    act(() => vi.advanceTimersByTime(4000));
+
+    expect(region(container).textContent).toBe("Third");
+    act(() => root.unmount());
+  });
+
+  it("should throw outside a SnackbarProvider", () => {
+    const Probe = () => {
+      useSnackbar();
+      return null;
+    };
+    const root = createRoot(document.createElement("div"));
+
+    expect(() => act(() => root.render(createElement(Probe)))).toThrow(
+      "useSnackbar must be used within a SnackbarProvider",
+    );
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  cacheColorScheme,
+  themeBootstrapScript,
+  themeCacheKey,
+} from "../../lib/theme-bootstrap.js";
+import {
+  createPreferencesStore,
+  preferencesStorageKey,
+} from "../../lib/preferences.js";
+
+const scheme = [
+  { brightness: "light", colors: [["primary", "#1976D2"]] },
+  { brightness: "dark", colors: [["primary", "#90CAF9"]] },
+];
+
+const root = document.documentElement;
+
+// Runs the generated script like an inline script tag
+const run = (options) => new Function(themeBootstrapScript(options))();
+
+describe("theme-bootstrap", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    root.removeAttribute("style");
+    root.className = "app-root";
+  });
+
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  describe("cacheColorScheme", () => {
+    it("should store the CSS variables of the scheme", () => {
+      cacheColorScheme(scheme);
+      cacheColorScheme(scheme, { key: "other" });
+
+      expect(JSON.parse(localStorage.getItem(themeCacheKey))).toEqual([
+        ["--color-light-primary", "#1976D2"],
+        ["--color-dark-primary", "#90CAF9"],
+      ]);
+      expect(localStorage.getItem("other")).toBe(
+        localStorage.getItem(themeCacheKey),
+      );
+    });
+  });
+
+  describe("themeBootstrapScript", () => {
+    it("should apply the stored mode and the cached variables", () => {
+      createPreferencesStore({ sync: false }).set({ darkMode: "dark" });
+      cacheColorScheme(scheme);
+
+      run();
+
+      expect([...root.classList]).toEqual(["app-root", "dark"]);
+      expect(root.style.getPropertyValue("--color-light-primary")).toBe(
+        "#1976D2",
+      );
+      expect(root.style.getPropertyValue("--color-dark-primary")).toBe(
+        "#90CAF9",
+      );
+    });
+
+    it("should resolve the system mode with the media query", () => {
+      window.matchMedia = vi.fn().mockReturnValue({ matches: true });
+
+      run();
+
+      expect(window.matchMedia).toHaveBeenCalledWith(
+        "(prefers-color-scheme: dark)",
+      );
+      expect(root.classList.contains("dark")).toBe(true);
+
+      createPreferencesStore({ sync: false }).set({ darkMode: "light" });
+      run();
+      expect(root.classList.contains("dark")).toBe(false);
+    });
+
+    it("should read the key used before the versioned record", () => {
+      localStorage.setItem("xuan-paper-theme-mode", "dark");
+
+      run({ className: "theme-dark" });
+
+      expect(root.classList.contains("theme-dark")).toBe(true);
+    });
+
+    it("should read the preferences from sessionStorage and cookies", () => {
+      createPreferencesStore({ storage: "session", sync: false }).set({
+        darkMode: "dark",
+      });
+      run({ storage: "session" });
+      expect(root.classList.contains("dark")).toBe(true);
+
+      const cookieStore = createPreferencesStore({ storage: "cookie" });
+      cookieStore.set({ darkMode: "dark" });
+      root.className = "";
+      run({ storage: "cookie", preferencesKey: preferencesStorageKey });
+      expect(root.classList.contains("dark")).toBe(true);
+
+      cookieStore.reset();
+      root.className = "";
+      run({ storage: "cookie" });
+      expect(root.classList.contains("dark")).toBe(false);
+    });
+
+    it("should not throw on broken storage", () => {
+      localStorage.setItem(preferencesStorageKey, "{ broken");
+
+      expect(() => run()).not.toThrow();
+      expect(root.className).toBe("app-root");
+    });
+
+    it("should throw on an unknown storage", () => {
+      expect(() => themeBootstrapScript({ storage: "indexedDB" })).toThrow(
+        "Unknown preferences storage: indexedDB",
+      );
+    });
+  });
+});
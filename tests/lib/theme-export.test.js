@@ -0,0 +1,238 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  exportTheme,
+  registerThemeFormat,
+  themeFormatExtension,
+  themeFormatNames,
+} from "../../lib/theme-export.js";
+import { generateThemeCss } from "../../lib/material-theme.js";
+
+const mockScheme = [
+  {
+    brightness: "light",
+    colors: [
+      ["primary", "#1976D2"],
+      ["primaryContainer", "#BBDEFB"],
+    ],
+  },
+  {
+    brightness: "dark",
+    colors: [
+      ["primary", "#90CAF9"],
+      ["primaryContainer", "#0D47A1"],
+    ],
+  },
+];
+
+describe("theme-export", () => {
+  beforeEach(() => {
+    // Mock Date for consistent testing
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-01-01T12:00:00.000Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("exportTheme", () => {
+    it("should default to the Tailwind format of generateThemeCss", () => {
+      expect(exportTheme(mockScheme, "#1976D2", 0.5)).toBe(
+        generateThemeCss(mockScheme, "#1976D2", 0.5),
+      );
+    });
+
+    it("should pass options to the Tailwind format", () => {
+      const high = [{ brightness: "light", colors: [["primary", "#002C57"]] }];
+
+      const result = exportTheme(mockScheme, "#1976D2", 0, {
+        format: "tailwind",
+        contrastSchemes: { high },
+      });
+
+      expect(result).toContain(":root.contrast-high {");
+    });
+
+    it("should export plain CSS custom properties with metadata", () => {
+      const result = exportTheme(mockScheme, "#1976D2", 0.5, { format: "css" });
+
+      expect(result).toBe(`/**
+ * Theme colors for CSS / Material Design 3
+ *
+ * Generated by: Xuan Paper
+ * Generated at: 2024-01-01T12:00:00.000Z
+ * Seed color  : #1976D2
+ * Contrast    : 0.50
+ */
+
+:root {
+  --color-light-primary: #1976D2;
+  --color-light-primary-container: #BBDEFB;
+  --color-dark-primary: #90CAF9;
+  --color-dark-primary-container: #0D47A1;
+}
+`);
+      expect(result).not.toContain("@theme");
+    });
+
+    it("should export SCSS maps per brightness", () => {
+      const result = exportTheme(mockScheme, "#1976D2", 0, { format: "scss" });
+
+      expect(result).toContain("Seed color  : #1976D2");
+      expect(result).toContain(`$color-light: (
+  "primary": #1976D2,
+  "primary-container": #BBDEFB,
+);`);
+      expect(result).toContain(`$color-dark: (
+  "primary": #90CAF9,
+  "primary-container": #0D47A1,
+);`);
+    });
+
+    it("should export a JavaScript module", () => {
+      const result = exportTheme(mockScheme, "#1976D2", 0.25, { format: "js" });
+
+      expect(result).toContain("Contrast    : 0.25");
+      expect(result).toContain('export const seedColor = "#1976D2";');
+      expect(result).toContain("export const contrast = 0.25;");
+      expect(result).toContain('"primaryContainer": "#BBDEFB"');
+      expect(result).toContain("export default colors;");
+    });
+
+    it("should export a TypeScript module", () => {
+      const result = exportTheme(mockScheme, "#1976D2", 0, { format: "ts" });
+
+      expect(result).toContain("Generated by: Xuan Paper");
+      expect(result).toMatch(/export const colors = \{[\s\S]*\} as const;/);
+      expect(result).toContain(
+        "export type ColorToken = keyof (typeof colors)[Brightness];",
+      );
+    });
+
+    it("should export W3C design tokens", () => {
+      const result = JSON.parse(
+        exportTheme(mockScheme, "#1976D2", 0.5, { format: "dtcg" }),
+      );
+
+      expect(result.$extensions["xuan-paper"]).toEqual({
+        seedColor: "#1976D2",
+        contrast: 0.5,
+        generatedAt: "2024-01-01T12:00:00.000Z",
+      });
+      expect(result.color.light.primary).toEqual({
+        $type: "color",
+        $value: "#1976D2",
+      });
+      expect(result.color.dark.primaryContainer).toEqual({
+        $type: "color",
+        $value: "#0D47A1",
+      });
+    });
+
+    it("should export Material Theme Builder JSON", () => {
+      const medium = [
+        { brightness: "light", colors: [["primary", "#0D47A1"]] },
+      ];
+      const high = [{ brightness: "dark", colors: [["primary", "#FFFFFF"]] }];
+
+      const result = JSON.parse(
+        exportTheme(mockScheme, "#1976D2", 0, {
+          format: "material-theme-builder",
+          contrastSchemes: { medium, high },
+        }),
+      );
+
+      expect(result.seed).toBe("#1976D2");
+      expect(result.coreColors).toEqual({ primary: "#1976D2" });
+      expect(result.description).toContain("2024-01-01T12:00:00.000Z");
+      expect(result.schemes.light).toEqual({
+        primary: "#1976D2",
+        primaryContainer: "#BBDEFB",
+      });
+      expect(result.schemes.dark.primary).toBe("#90CAF9");
+      expect(result.schemes["light-medium-contrast"]).toEqual({
+        primary: "#0D47A1",
+      });
+      expect(result.schemes["dark-high-contrast"]).toEqual({
+        primary: "#FFFFFF",
+      });
+    });
+
+    it("should throw on an unknown format", () => {
+      expect(() =>
+        exportTheme(mockScheme, "#1976D2", 0, { format: "xml" }),
+      ).toThrow("Unknown theme format: xml");
+    });
+  });
+
+  describe("registerThemeFormat", () => {
+    it("should add a format used by exportTheme", () => {
+      const render = vi.fn().mockReturnValue("custom");
+
+      registerThemeFormat("custom", { extension: "txt", render });
+      const result = exportTheme(mockScheme, "#1976D2", 0.5, {
+        format: "custom",
+        foo: "bar",
+      });
+
+      expect(result).toBe("custom");
+      expect(render).toHaveBeenCalledWith(
+        mockScheme,
+        {
+          seedColor: "#1976D2",
+          contrast: 0.5,
+          generatedAt: "2024-01-01T12:00:00.000Z",
+        },
+        { foo: "bar" },
+      );
+      expect(themeFormatNames()).toContain("custom");
+    });
+
+    it("should default the extension to txt", () => {
+      registerThemeFormat("plain", { render: () => "" });
+
+      expect(themeFormatExtension("plain")).toBe("txt");
+    });
+
+    it("should throw without a render function", () => {
+      expect(() => registerThemeFormat("broken", {})).toThrow(
+        "Theme format broken has no render function",
+      );
+      expect(() => registerThemeFormat("broken")).toThrow(
+        "Theme format broken has no render function",
+      );
+    });
+  });
+
+  describe("themeFormatNames and themeFormatExtension", () => {
+    it("should list the built-in formats", () => {
+      expect(themeFormatNames()).toEqual(
+        expect.arrayContaining([
+          "tailwind",
+          "css",
+          "scss",
+          "js",
+          "ts",
+          "dtcg",
+          "material-theme-builder",
+        ]),
+      );
+    });
+
+    it("should return the file extension of a format", () => {
+      expect(themeFormatExtension("tailwind")).toBe("css");
+      expect(themeFormatExtension("scss")).toBe("scss");
+      expect(themeFormatExtension("dtcg")).toBe("json");
+    });
+
+    it("should throw on an unknown format", () => {
+      expect(() => themeFormatExtension("xml")).toThrow(
+        "Unknown theme format: xml",
+      );
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  importTheme,
+  parseThemeBuilderJson,
+  parseThemeCss,
+} from "../../lib/theme-import.js";
+import { exportTheme } from "../../lib/theme-export.js";
+import {
+  colorTokens,
+  generateScheme,
+  generateThemeCss,
+} from "../../lib/material-theme.js";
+
+const mockScheme = [
+  {
+    brightness: "light",
+    colors: [
+      ["primary", "#1976D2"],
+      ["primaryContainer", "#BBDEFB"],
+    ],
+  },
+  {
+    brightness: "dark",
+    colors: [
+      ["primary", "#90CAF9"],
+      ["primaryContainer", "#0D47A1"],
+    ],
+  },
+];
+
+describe("theme-import", () => {
+  describe("parseThemeCss", () => {
+    it("should read tokens and metadata from generateThemeCss output", () => {
+      const result = parseThemeCss(
+        generateThemeCss(mockScheme, "#1976D2", 0.5),
+      );
+
+      expect(result.scheme).toEqual(mockScheme);
+      expect(result.seedColor).toBe("#1976D2");
+      expect(result.contrast).toBe(0.5);
+      expect(result.malformed).toEqual([]);
+    });
+
+    it("should skip the link and form variables", () => {
+      const result = parseThemeCss(generateThemeCss(mockScheme, "#1976D2", 0));
+      const tokens = result.scheme.flatMap(({ colors }) =>
+        colors.map(([key]) => key),
+      );
+
+      expect(tokens).not.toContain("link");
+      expect(tokens).not.toContain("form");
+      expect(tokens).not.toContain("onForm");
+    });
+
+    it("should read contrast overrides into contrastSchemes", () => {
+      const high = [{ brightness: "light", colors: [["primary", "#002C57"]] }];
+      const css = generateThemeCss(mockScheme, "#1976D2", 0, {
+        contrastSchemes: { high },
+      });
+
+      const result = parseThemeCss(css);
+
+      expect(result.scheme[0].colors).toContainEqual(["primary", "#1976D2"]);
+      expect(result.contrastSchemes.high[0].colors).toEqual([
+        ["primary", "#002C57"],
+      ]);
+      expect(result.contrastSchemes.medium).toBeUndefined();
+    });
+
+    it("should report missing and malformed tokens", () => {
+      const result = parseThemeCss(`@theme {
+  --color-light-primary: #1976D2;
+  --color-light-secondary: blue;
+  --color-dark-primary: #90CAF9;
+}`);
+
+      expect(result.scheme[0].colors).toEqual([["primary", "#1976D2"]]);
+      expect(result.malformed).toEqual([
+        { brightness: "light", token: "secondary", value: "blue" },
+      ]);
+      expect(result.missing).toContainEqual({
+        brightness: "light",
+        token: "onPrimary",
+      });
+      expect(result.missing).toContainEqual({
+        brightness: "dark",
+        token: "secondary",
+      });
+      expect(result.missing).not.toContainEqual({
+        brightness: "light",
+        token: "secondary",
+      });
+    });
+
+    it("should return null metadata without a header", () => {
+      const result = parseThemeCss(
+        "@theme { --color-light-primary: #1976D2; }",
+      );
+
+      expect(result.seedColor).toBeNull();
+      expect(result.contrast).toBeNull();
+    });
+
+    it("should throw without an @theme block", () => {
+      expect(() => parseThemeCss(":root { --x: 1; }")).toThrow(
+        "No @theme block found",
+      );
+    });
+  });
+
+  describe("parseThemeBuilderJson", () => {
+    it("should read schemes and metadata from exportTheme output", () => {
+      const medium = [
+        { brightness: "light", colors: [["primary", "#0D47A1"]] },
+      ];
+      const json = exportTheme(mockScheme, "#1976D2", 0.5, {
+        format: "material-theme-builder",
+        contrastSchemes: { medium },
+      });
+
+      const result = parseThemeBuilderJson(json);
+
+      expect(result.scheme).toEqual(mockScheme);
+      expect(result.seedColor).toBe("#1976D2");
+      expect(result.contrast).toBe(0.5);
+      expect(result.contrastSchemes.medium[0].colors).toEqual([
+        ["primary", "#0D47A1"],
+      ]);
+      expect(result.contrastSchemes.high).toBeUndefined();
+    });
+
+    it("should accept a parsed object without description", () => {
+      const result = parseThemeBuilderJson({
+        seed: "#1976D2",
+        schemes: { light: { primary: "#1976D2", secondary: "#12" } },
+      });
+
+      expect(result.contrast).toBeNull();
+      expect(result.malformed).toEqual([
+        { brightness: "light", token: "secondary", value: "#12" },
+      ]);
+      expect(
+        result.missing.filter((m) => m.brightness === "dark"),
+      ).toHaveLength(colorTokens.length);
+    });
+
+    it("should throw without schemes", () => {
+      expect(() => parseThemeBuilderJson({ seed: "#1976D2" })).toThrow(
+        "No schemes found in Theme Builder JSON",
+      );
+    });
+  });
+
+  describe("importTheme", () => {
+    it("should round-trip a generated scheme through CSS and JSON", async () => {
+      const scheme = await generateScheme("#1976D2", 0);
+
+      const fromCss = importTheme(generateThemeCss(scheme, "#1976D2", 0));
+      const fromJson = importTheme(
+        exportTheme(scheme, "#1976D2", 0, { format: "material-theme-builder" }),
+      );
+
+      // Tonal palettes are not part of the exported role tokens
+      const roles = scheme.map(({ brightness, colors }) => ({
+        brightness,
+        colors,
+      }));
+      expect(fromCss.scheme).toEqual(roles);
+      expect(fromCss.missing).toEqual([]);
+      expect(fromJson.scheme).toEqual(roles);
+      expect(fromJson.missing).toEqual([]);
+    });
+
+    it("should round-trip the contrast sets through CSS", async () => {
+      const [scheme, medium, high] = await Promise.all(
+        [0, 0.5, 1].map((level) => generateScheme("#1976D2", level)),
+      );
+      const roles = (levelScheme) =>
+        levelScheme.map(({ brightness, colors }) => ({ brightness, colors }));
+
+      const { contrastSchemes } = importTheme(
+        generateThemeCss(scheme, "#1976D2", 0, {
+          contrastSchemes: { medium, high },
+        }),
+      );
+
+      expect(contrastSchemes).toEqual({
+        medium: roles(medium),
+        high: roles(high),
+      });
+    });
+
+    it("should throw on unrecognized input", () => {
+      expect(() => importTheme("hello")).toThrow("No @theme block found");
+      expect(() => importTheme("{ not json")).toThrow();
+    });
+  });
+});
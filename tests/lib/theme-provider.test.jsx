@@ -0,0 +1,49 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import ThemeProvider from "../../lib/ThemeProvider.jsx";
+import { generateScheme } from "../../lib/material-theme.js";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("ThemeProvider", () => {
+  let root;
+
+  const render = async (props) => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+    await act(async () => {
+      root.render(<ThemeProvider {...props} />);
+    });
+    return container.firstChild;
+  };
+
+  afterEach(() => {
+    act(() => root.unmount());
+    document.body.innerHTML = "";
+  });
+
+  it("should set the variables of the generated scheme", async () => {
+    const element = await render({ seedColor: "#E91E63", variant: "vibrant" });
+    const [light] = await generateScheme("#E91E63", 0, { variant: "vibrant" });
+
+    await vi.waitFor(() =>
+      expect(element.style.getPropertyValue("--color-light-primary")).toBe(
+        light.colors.find(([name]) => name === "primary")[1],
+      ),
+    );
+  });
+
+  it("should keep the scheme of the parent for an unknown variant", async () => {
+    const element = await render({ seedColor: "#E91E63", variant: "nope" });
+    await act(() => Promise.resolve());
+
+    expect(element.style.length).toBe(0);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
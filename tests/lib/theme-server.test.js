@@ -0,0 +1,117 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from "vitest";
+import { schemeStyleSheet, serverTheme } from "../../lib/theme-server.js";
+import { generateScheme } from "../../lib/material-theme.js";
+import { preferencesStorageKey } from "../../lib/preferences.js";
+
+const scheme = [
+  { brightness: "light", colors: [["primaryContainer", "#1976D2"]] },
+  { brightness: "dark", colors: [["primaryContainer", "#90CAF9"]] },
+];
+
+const cookie = (preferences, version = 1) =>
+  `session=abc; ${preferencesStorageKey}=${encodeURIComponent(
+    JSON.stringify({ version, preferences }),
+  )}`;
+
+describe("theme-server", () => {
+  describe("schemeStyleSheet", () => {
+    it("should write the variables of both brightnesses", () => {
+      expect(schemeStyleSheet(scheme)).toBe(
+        ":root {\n" +
+          "  --color-light-primary-container: #1976D2;\n" +
+          "  --color-dark-primary-container: #90CAF9;\n" +
+          "}\n",
+      );
+      expect(schemeStyleSheet(scheme, { selector: ".card" })).toMatch(
+        /^\.card \{\n/,
+      );
+    });
+  });
+
+  describe("serverTheme", () => {
+    it("should use the scheme and mode of the cookie", async () => {
+      const theme = await serverTheme(
+        cookie({ seedColor: "#E91E63", contrast: 0.5, darkMode: "dark" }),
+        { seedColor: "#1976D2" },
+      );
+
+      expect(theme.preferences).toMatchObject({
+        seedColor: "#E91E63",
+        contrast: 0.5,
+      });
+      expect(theme.resolvedMode).toBe("dark");
+      expect(theme.className).toBe("dark");
+      expect(theme.css).toBe(
+        schemeStyleSheet(await generateScheme("#E91E63", 0.5)),
+      );
+    });
+
+    it("should fall back to the seed color and the system mode", async () => {
+      const theme = await serverTheme(undefined, { seedColor: "#1976D2" });
+
+      expect(theme.resolvedMode).toBe("light");
+      expect(theme.className).toBe("");
+      expect(theme.css).toBe(
+        schemeStyleSheet(await generateScheme("#1976D2", 0)),
+      );
+
+      const hinted = await serverTheme("", {
+        systemMode: "dark",
+        className: "theme-dark",
+      });
+      expect(hinted.className).toBe("theme-dark");
+      expect(hinted.css).toBe("");
+    });
+
+    it("should migrate and ignore broken cookies", async () => {
+      const migrated = await serverTheme(cookie({ mode: "dark" }, 1), {
+        version: 2,
+        migrations: { 2: ({ mode, ...rest }) => ({ ...rest, darkMode: mode }) },
+      });
+      expect(migrated.resolvedMode).toBe("dark");
+
+      const broken = await serverTheme(`${preferencesStorageKey}=%7Bbroken`, {
+        systemMode: "dark",
+      });
+      expect(broken.preferences.darkMode).toBe("system");
+      expect(broken.resolvedMode).toBe("dark");
+
+      const undecodable = await serverTheme(
+        `${preferencesStorageKey}=%E0%A4%A; session=abc`,
+        { seedColor: "#1976D2" },
+      );
+      expect(undecodable.preferences.seedColor).toBeNull();
+      expect(undecodable.css).toBe(
+        schemeStyleSheet(await generateScheme("#1976D2", 0)),
+      );
+    });
+
+    it("should replace an invalid seed color and variant", async () => {
+      const theme = await serverTheme(
+        cookie({ seedColor: "red", variant: "nope", darkMode: "dark" }),
+        { seedColor: "#1976D2" },
+      );
+
+      expect(theme.preferences).toMatchObject({
+        seedColor: null,
+        variant: "default",
+        darkMode: "dark",
+      });
+      expect(theme.css).toBe(
+        schemeStyleSheet(await generateScheme("#1976D2", 0)),
+      );
+
+      const variant = await serverTheme(
+        cookie({ seedColor: "#E91E63", variant: "nope" }),
+      );
+      expect(variant.preferences.seedColor).toBe("#E91E63");
+      expect(variant.css).toBe(
+        schemeStyleSheet(await generateScheme("#E91E63", 0)),
+      );
+    });
+  });
+});
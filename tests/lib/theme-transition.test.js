@@ -0,0 +1,252 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  interpolateColor,
+  transitionColorScheme,
+  transitionDarkMode,
+} from "../../lib/theme-transition.js";
+
+// Animation frames run only when the test calls runFrame()
+let frames = [];
+const runFrame = (time) => frames.splice(0).forEach((frame) => frame(time));
+
+const root = document.documentElement;
+const variable = (name) => root.style.getPropertyValue(name);
+
+describe("theme-transition", () => {
+  beforeEach(() => {
+    frames = [];
+    vi.stubGlobal(
+      "requestAnimationFrame",
+      vi.fn((frame) => frames.push(frame)),
+    );
+    vi.stubGlobal("cancelAnimationFrame", vi.fn());
+    root.removeAttribute("style");
+    root.className = "";
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    delete window.matchMedia;
+  });
+
+  describe("interpolateColor", () => {
+    it("should return the end colors at 0 and 1", () => {
+      ["hct", "oklch"].forEach((space) => {
+        expect(interpolateColor("#1976D2", "#E91E63", 0, space)).toBe(
+          "#1976D2",
+        );
+        expect(interpolateColor("#1976D2", "#E91E63", 1, space)).toBe(
+          "#E91E63",
+        );
+      });
+    });
+
+    it("should interpolate in HCT by default", () => {
+      expect(interpolateColor("#1976d2", "#e91e63", 0.5)).toBe("#a34be5");
+      expect(interpolateColor("#000000", "#ffffff", 0.5)).toBe("#777777");
+    });
+
+    it("should interpolate in OKLCH", () => {
+      expect(interpolateColor("#1976d2", "#e91e63", 0.5, "oklch")).toBe(
+        "#a14fcf",
+      );
+      expect(interpolateColor("#000000", "#ffffff", 0.5, "oklch")).toBe(
+        "#636363",
+      );
+    });
+
+    it("should keep the hue of the chromatic color when fading from gray", () => {
+      const [r, g, b] = [1, 3, 5].map((i) =>
+        Number(
+          `0x${interpolateColor("#808080", "#ff0000", 0.5, "oklch").slice(i, i + 2)}`,
+        ),
+      );
+
+      expect(r).toBeGreaterThan(g);
+      expect(Math.abs(g - b)).toBeLessThan(16);
+    });
+
+    it("should throw on an unknown color space", () => {
+      expect(() => interpolateColor("#000000", "#ffffff", 0.5, "lab")).toThrow(
+        "Unknown color space: lab",
+      );
+    });
+  });
+
+  describe("transitionColorScheme", () => {
+    const scheme = [{ brightness: "light", colors: [["primary", "#ffffff"]] }];
+
+    it("should animate from the current colors in one write per frame", async () => {
+      root.style.setProperty("--color-light-primary", "#000000");
+
+      const done = transitionColorScheme(scheme, { duration: 100 });
+
+      runFrame(1000);
+      expect(variable("--color-light-primary")).toBe("#000000");
+      runFrame(1050);
+      expect(variable("--color-light-primary")).toBe("#777777");
+      expect(requestAnimationFrame).toHaveBeenCalledTimes(3);
+      runFrame(1100);
+      expect(variable("--color-light-primary")).toBe("#ffffff");
+
+      const cleanup = await done;
+      cleanup();
+      expect(variable("--color-light-primary")).toBe("#000000");
+    });
+
+    it("should set colors without a current value in the first frame", async () => {
+      const done = transitionColorScheme(scheme, { duration: 100 });
+
+      runFrame(0);
+      expect(variable("--color-light-primary")).toBe("#ffffff");
+      runFrame(100);
+      await done;
+    });
+
+    it("should use the easing function", async () => {
+      root.style.setProperty("--color-light-primary", "#000000");
+
+      const done = transitionColorScheme(scheme, { easing: () => 1 });
+
+      runFrame(0);
+      expect(variable("--color-light-primary")).toBe("#ffffff");
+      runFrame(300);
+      await done;
+    });
+
+    it("should stop a running transition of the same element", async () => {
+      root.style.setProperty("--color-light-primary", "#000000");
+      const first = transitionColorScheme(scheme, { duration: 100 });
+      runFrame(0);
+      runFrame(50);
+
+      const second = transitionColorScheme(
+        [{ brightness: "light", colors: [["primary", "#000000"]] }],
+        { duration: 100 },
+      );
+      await first;
+
+      // Continues from the color where the first one stopped
+      runFrame(100);
+      expect(variable("--color-light-primary")).toBe("#777777");
+      runFrame(200);
+      expect(variable("--color-light-primary")).toBe("#000000");
+      await second;
+    });
+
+    it("should apply at once when reduced motion is preferred", async () => {
+      window.matchMedia = vi.fn().mockReturnValue({ matches: true });
+
+      const cleanup = await transitionColorScheme(scheme);
+
+      expect(window.matchMedia).toHaveBeenCalledWith(
+        "(prefers-reduced-motion: reduce)",
+      );
+      expect(requestAnimationFrame).not.toHaveBeenCalled();
+      expect(variable("--color-light-primary")).toBe("#ffffff");
+      expect(cleanup).toBeInstanceOf(Function);
+    });
+
+    it("should reject an unknown color space", async () => {
+      root.style.setProperty("--color-light-primary", "#000000");
+
+      await expect(
+        transitionColorScheme(scheme, { space: "lab" }),
+      ).rejects.toThrow("Unknown color space: lab");
+    });
+  });
+
+  describe("transitionDarkMode", () => {
+    beforeEach(() => {
+      root.style.setProperty("--color-light-primary", "#ffffff");
+      root.style.setProperty("--color-dark-primary", "#000000");
+    });
+
+    it("should fade the new brightness from the colors shown", async () => {
+      const done = transitionDarkMode(true, { duration: 100 });
+
+      // The class flips at once, with the light colors still shown
+      expect(root.classList.contains("dark")).toBe(true);
+      expect(variable("--color-dark-primary")).toBe("#ffffff");
+      runFrame(0);
+      runFrame(50);
+      expect(variable("--color-dark-primary")).toBe("#777777");
+      runFrame(100);
+      await done;
+
+      expect(variable("--color-dark-primary")).toBe("#000000");
+      expect(variable("--color-light-primary")).toBe("#ffffff");
+    });
+
+    it("should remove the variables it added", async () => {
+      const style = document.createElement("style");
+      style.textContent = ":root { --color-light-primary: #ffffff; }";
+      document.head.append(style);
+      root.removeAttribute("style");
+      root.className = "dark";
+      root.style.setProperty("--color-dark-primary", "#000000");
+
+      const done = transitionDarkMode(false);
+
+      expect(root.classList.contains("dark")).toBe(false);
+      expect(variable("--color-light-primary")).toBe("#000000");
+      runFrame(0);
+      runFrame(300);
+      await done;
+      expect(variable("--color-light-primary")).toBe("");
+      style.remove();
+    });
+
+    it("should finish a running scheme transition first", async () => {
+      const scheme = transitionColorScheme(
+        [{ brightness: "light", colors: [["primary", "#000000"]] }],
+        { duration: 100 },
+      );
+      runFrame(0);
+      runFrame(50);
+      expect(variable("--color-light-primary")).toBe("#777777");
+
+      const done = transitionDarkMode(true, { duration: 100 });
+      await scheme;
+
+      // The light colors are the new scheme, not where it was stopped
+      expect(variable("--color-light-primary")).toBe("#000000");
+      runFrame(100);
+      runFrame(200);
+      await done;
+      expect(variable("--color-light-primary")).toBe("#000000");
+      expect(variable("--color-dark-primary")).toBe("#000000");
+    });
+
+    it("should reject an unknown color space before switching", async () => {
+      await expect(transitionDarkMode(true, { space: "lab" })).rejects.toThrow(
+        "Unknown color space: lab",
+      );
+
+      expect(root.classList.contains("dark")).toBe(false);
+      expect(variable("--color-dark-primary")).toBe("#000000");
+    });
+
+    it("should do nothing when the mode does not change", async () => {
+      root.className = "dark";
+
+      await transitionDarkMode(true);
+
+      expect(requestAnimationFrame).not.toHaveBeenCalled();
+      expect(variable("--color-dark-primary")).toBe("#000000");
+    });
+
+    it("should switch at once when reduced motion is preferred", async () => {
+      window.matchMedia = vi.fn().mockReturnValue({ matches: true });
+
+      await transitionDarkMode(true, { className: "night" });
+
+      expect(root.classList.contains("night")).toBe(true);
+      expect(requestAnimationFrame).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { isDarkBackground, downloadFile } from "../../src/utils.js";
+import { isDarkBackground, downloadFile, hueFromHex } from "../../src/utils.js";
 import { hslToHex } from "../../lib/material-theme.js";
 
 // Mock DOM APIs for downloadFile
@@ -113,6 +113,25 @@ describe("utils.js", () => {
     });
   });
 
+  describe("hueFromHex", () => {
+    it("should return the hue of primary colors", () => {
+      expect(hueFromHex("#FF0000")).toBe(0);
+      expect(hueFromHex("#00FF00")).toBeCloseTo(1 / 3);
+      expect(hueFromHex("#0000FF")).toBeCloseTo(2 / 3);
+    });
+
+    it("should return 0 for achromatic colors", () => {
+      expect(hueFromHex("#000000")).toBe(0);
+      expect(hueFromHex("#808080")).toBe(0);
+    });
+
+    it("should invert hslToHex for the hues of the demo slider", () => {
+      [0, 45, 144, 210, 359].forEach((degree) => {
+        expect(Math.round(hueFromHex(hslToHex(degree)) * 360)).toBe(degree);
+      });
+    });
+  });
+
   describe("downloadFile", () => {
     it("should create and trigger download for text content", () => {
       const filename = "test.txt";
@@ -0,0 +1,42 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from "vitest";
+import { themeBootstrapPlugin } from "../../tools/theme-bootstrap-plugin.js";
+import { themeBootstrapScript } from "../../lib/theme-bootstrap.js";
+
+describe("themeBootstrapPlugin", () => {
+  it("should prepend the bootstrap script to the head", () => {
+    const plugin = themeBootstrapPlugin();
+
+    expect(plugin.name).toBe("theme-bootstrap");
+    expect(plugin.transformIndexHtml()).toEqual([
+      {
+        tag: "script",
+        attrs: {},
+        children: themeBootstrapScript(),
+        injectTo: "head-prepend",
+      },
+    ]);
+  });
+
+  it("should pass the options to the script and add the nonce", () => {
+    const [tag] = themeBootstrapPlugin({
+      storage: "cookie",
+      className: "theme-dark",
+      nonce: "r4nd0m",
+    }).transformIndexHtml();
+
+    expect(tag.attrs).toEqual({ nonce: "r4nd0m" });
+    expect(tag.children).toBe(
+      themeBootstrapScript({ storage: "cookie", className: "theme-dark" }),
+    );
+  });
+
+  it("should throw on an unknown storage", () => {
+    expect(() => themeBootstrapPlugin({ storage: "indexedDB" })).toThrow(
+      "Unknown preferences storage: indexedDB",
+    );
+  });
+});
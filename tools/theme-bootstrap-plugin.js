@@ -0,0 +1,65 @@
+import { themeBootstrapScript } from "../lib/theme-bootstrap.js";
+
+/**
+ * Vite plugin that injects the theme bootstrap script into index.html
+ *
+ * The script is added as the first element of the `<head>`, so that the persisted
+ * dark mode class and the cached color scheme are applied before the page is
+ * painted and before React mounts. See themeBootstrapScript() in
+ * lib/theme-bootstrap.js for what the script does.
+ * @module theme-bootstrap-plugin
+ * @exports themeBootstrapPlugin - Vite plugin for the theme bootstrap script
+ */
+
+/**
+ * Plugin configuration for Vite integration
+ * @typedef {object} ThemeBootstrapPluginConfig
+ * @property {string} [storage] - Storage of the preferences, "local", "session" or "cookie"
+ * @property {string} [preferencesKey] - Key of the preferences record
+ * @property {string} [cacheKey] - Key of the cached CSS variables
+ * @property {string} [className] - Dark mode class
+ * @property {string} [nonce] - Nonce of the script tag for a Content Security Policy
+ */
+
+/**
+ * Creates a Vite plugin that prepends the theme bootstrap script to the `<head>`
+ * of the HTML entry points.
+ * @param {ThemeBootstrapPluginConfig} [config] - The plugin configuration
+ * @returns {object} A Vite plugin object with name and transformIndexHtml methods
+ * @throws {Error} Throws error if the storage is unknown
+ * @example
+ * // Basic usage in vite.config.js
+ * import { themeBootstrapPlugin } from './tools/theme-bootstrap-plugin.js';
+ *
+ * export default defineConfig({
+ *   plugins: [themeBootstrapPlugin(), react()],
+ * });
+ * @example
+ * // Preferences in a cookie, with a strict Content Security Policy
+ * themeBootstrapPlugin({ storage: 'cookie', nonce: 'r4nd0m' })
+ */
+export const themeBootstrapPlugin = (config = {}) => {
+  const { nonce, ...options } = config;
+  const script = themeBootstrapScript(options);
+
+  return {
+    name: "theme-bootstrap",
+    /**
+     * Adds the bootstrap script to the HTML
+     *
+     * This method is invoked by Vite for every HTML entry point in both development
+     * and production builds.
+     * @returns {Array<object>} Tag descriptor of the inline script
+     */
+    transformIndexHtml() {
+      return [
+        {
+          tag: "script",
+          attrs: nonce ? { nonce } : {},
+          children: script,
+          injectTo: "head-prepend",
+        },
+      ];
+    },
+  };
+};
@@ -4,6 +4,7 @@ import { defineConfig } from "vite";
 import tailwindcss from "@tailwindcss/vite";
 import react from "@vitejs/plugin-react";
 import { apiDocsPlugin } from "./tools/generate-api-docs.js";
+import { themeBootstrapPlugin } from "./tools/theme-bootstrap-plugin.js";
 import { name, version } from "./package.json";
 
 // https://vitejs.dev/config/
@@ -16,6 +17,7 @@ export default defineConfig({
       output: path.join("docs", "api.md"),
       options: {},
     }),
+    themeBootstrapPlugin(),
     tailwindcss(),
     react(),
     VitePWA({